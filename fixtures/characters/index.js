@@ -0,0 +1,8 @@
+// Character payloads bundled for UPSTREAM_SOURCE=fixtures, keyed by character ID.
+// Each file is the `data` object of a v5 character-service response; add recordings here.
+
+import demoAdventurer from './1000001.json' with { type: 'json' };
+
+export default {
+  1000001: demoAdventurer
+};
@@ -2,54 +2,132 @@
 // A Cloudflare Worker that provides A2A protocol-compliant access to D&D Beyond data
 // Fetches character sheets, campaign info, and party details for D&D campaign management
 
-export default {
-  async fetch(req, env) {
-    const { pathname } = new URL(req.url);
-
-    // A2A Protocol agent card endpoint
-    if (pathname === "/.well-known/agent.json") {
-      return new Response(JSON.stringify({
-        "@type": "AgentCard",
-        "name": "D&D Beyond Character & Campaign Agent",
-        "description": "Fetches character sheets, campaign information, and party details from D&D Beyond.",
-        "version": "1.0.0",
-        "icon": "🐉",
-        "example_prompts": [
-          "Look up my D&D character",
-          "Show me character stats",
-          "Get my campaign information",
-          "Find my party details",
-          "Check my character sheet"
-        ],
-        "capabilities": ["character-lookup", "campaign-data", "party-management"],
-        "api": {
-          "url": "https://dndbeyond-agent.example.workers.dev",
-          "authentication": { "type": "none" },
-          "endpoints": [
-            { "path": "/character/{id}", "method": "GET", "description": "Get character by ID" },
-            { "path": "/campaign/{characterId}", "method": "GET", "description": "Get campaign info" },
-            { "path": "/party/{characterId}", "method": "GET", "description": "Get party overview" }
-          ]
-        }
-      }), {
-        headers: { "Content-Type": "application/json", "Access-Control-Allow-Origin": "*" }
+import { authenticate, hasScope } from './src/auth.js';
+import { cachedLoad, combineCacheMeta, computeETag, etagMatches, listCached } from './src/cache.js';
+import { UpstreamError, fetchUpstream } from './src/upstream.js';
+import { SourceConfigError, characterCacheKey, checkPayload, liveRequest, loadFixture, recordFixture, upstreamSource } from './src/sources.js';
+import {
+  activeModifiers,
+  characterLevel,
+  deriveAbilityModifiers,
+  deriveAbilityScores,
+  deriveArmorClass,
+  deriveDefenses,
+  deriveHitPoints,
+  deriveLanguages,
+  derivePassives,
+  deriveProficiencies,
+  deriveSavingThrows,
+  deriveSenses,
+  deriveSkills,
+  deriveSpeed,
+  proficiencyBonus
+} from './src/derive.js';
+import { bestSpellSaveDC, deriveSpellcasting } from './src/spellcasting.js';
+import { CONDITIONS, deriveCombatState } from './src/combat.js';
+import { deriveActions, deriveAttacks, deriveInventory } from './src/inventory.js';
+import { batchError, buildAgentCard, handleRpc, parseError } from './src/a2a.js';
+import { EXAMPLE_QUESTIONS, answerQuestion } from './src/ask.js';
+import { ChunkError, UI_CHUNK_VERSION, UI_STEPS, parseChunkRequest, uiChunk } from './src/uichunk.js';
+import {
+  WATCH_EVENTS,
+  WATCH_FORMATS,
+  WatchError,
+  addDeadLetter,
+  buildPayload,
+  createWatch,
+  deleteDeadLetter,
+  deleteWatch,
+  deliver,
+  detectEvents,
+  getDeadLetter,
+  getWatch,
+  listDeadLetters,
+  listWatches,
+  parseWatchRequest,
+  publicWatch,
+  saveWatch,
+  updateDeadLetter,
+  watchState
+} from './src/watches.js';
+import { ROLL_EXAMPLES, RollError, rollExpression } from './src/dice.js';
+import { CR_XP, DEFAULT_TARGETS, DIFFICULTIES_2014, DIFFICULTIES_2024, evaluateEncounter, genericName, parseChallengeRating } from './src/encounter.js';
+import { EXPORT_FORMATS, SCHEMA_PATH, characterSchema, exportCharacter } from './src/export.js';
+import { SHEET_FORMATS, characterSheet, characterSheetHtml, characterSheetPdf, partySheet, partySheetHtml, partySheetPdf } from './src/sheet.js';
+import { batchError as mcpBatchError, characterUri, handleMcpMessage, parseError as mcpParseError } from './src/mcp.js';
+import { PartyHub, PartyStreamObject, liveState } from './src/stream.js';
+import { diffValues, getSnapshot, listSnapshots, recordSnapshot, snapshotModes, summarizeDiff } from './src/snapshots.js';
+
+export { UpstreamThrottle } from './src/throttle.js';
+
+const agent = {
+  async fetch(req, env, ctx) {
+    try {
+      return await this.route(req, env, ctx);
+    } catch (error) {
+      // Routes that load several characters let configuration errors through; answer them here
+      if (error instanceof SourceConfigError) return this.errorResponse(error, "Upstream source misconfigured");
+      throw error;
+    }
+  },
+
+  async route(req, env, ctx) {
+    const url = new URL(req.url);
+    const { pathname } = url;
+    const fresh = url.searchParams.get("fresh") === "1";
+
+    // A2A Protocol agent card endpoint (agent-card.json is the current spec path)
+    if (pathname === "/.well-known/agent.json" || pathname === "/.well-known/agent-card.json") {
+      return this.jsonResponse(buildAgentCard(url.origin, this.restEndpoints()));
+    }
+
+    // A2A JSON-RPC endpoint
+    if (pathname === "/a2a" && req.method === "POST") {
+      return this.handleA2A(req, env, ctx);
+    }
+
+    // JSON Schema of the normalized character (public, referenced by json-schema exports)
+    if (pathname === SCHEMA_PATH && req.method === "GET") {
+      return new Response(JSON.stringify(characterSchema(url.origin + SCHEMA_PATH), null, 2), {
+        headers: { "Content-Type": "application/schema+json", "Access-Control-Allow-Origin": "*" }
       });
     }
 
+    // Several characters in one request
+    if (pathname === "/characters" && (req.method === "GET" || req.method === "POST")) {
+      const denied = await this.requireAuth(req, env, "character");
+      if (denied) return denied;
+      return this.handleCharacters(req, url, env, ctx, fresh);
+    }
+
+    // Rule-based questions about a set of characters
+    if (pathname === "/ask" && req.method === "POST") {
+      const denied = await this.requireAuth(req, env, "character");
+      if (denied) return denied;
+      return this.handleAsk(req, env, ctx);
+    }
+
+    // Encounter difficulty for the party's real levels
+    if (pathname === "/encounter" && req.method === "POST") {
+      const denied = await this.requireAuth(req, env, "party");
+      if (denied) return denied;
+      return this.handleEncounter(req, env, ctx);
+    }
+
     // Serve character lookup UI (optional)
-    if (pathname === "/" || pathname === "/ui") {
+    if ((pathname === "/" || pathname === "/ui") && req.method === "GET") {
       return new Response(this.getDndbeyondAgentUI(env), {
         headers: { "Content-Type": "text/html", "Access-Control-Allow-Origin": "*" }
       });
     }
 
-    // Serve UI chunks for main agent integration
+    // Serve UI chunks for main agent integration, one step of the flow per request
     if (pathname === "/ui-chunk" && req.method === "GET") {
       return this.handleUIChunk(req);
     }
 
-    // Serve complete UI for main agent integration
-    if (pathname === "/ui" && req.method === "GET") {
+    // Serve the same flow as one embeddable HTML fragment for main agent integration
+    if (pathname === "/ui/embed" && req.method === "GET") {
       return this.handleCompleteUI(req);
     }
 
@@ -58,30 +136,142 @@ export default {
       return new Response(null, {
         headers: {
           "Access-Control-Allow-Origin": "*",
-          "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
-          "Access-Control-Allow-Headers": "Content-Type, Authorization"
+          "Access-Control-Allow-Methods": "GET, POST, DELETE, OPTIONS",
+          "Access-Control-Allow-Headers": "Content-Type, Authorization, If-None-Match, Mcp-Session-Id, MCP-Protocol-Version"
         }
       });
     }
 
-    // Get character by ID
-    if (pathname.startsWith("/character/") && req.method === "GET") {
-      const characterId = pathname.split("/character/")[1];
+    // Model Context Protocol endpoint (streamable HTTP); below the CORS block so preflights reach it
+    if (pathname === "/mcp") {
+      return this.handleMCP(req, env, ctx);
+    }
+
+    // Webhook and Discord notifications for watched characters
+    if (pathname === "/watches" || pathname.startsWith("/watches/")) {
+      const denied = await this.requireAuth(req, env, "watch");
+      if (denied) return denied;
+      return this.handleWatches(req, pathname, env, ctx);
+    }
+
+    // Get character by ID, or one section of it (/character/{id}/spells, /character/{id}/inventory)
+    const characterRoute = pathname.match(/^\/character\/([^/]*)(?:\/([a-z-]+))?\/?$/);
+
+    // Dice rolls against the character's modifiers
+    if (characterRoute && characterRoute[2] === "roll" && req.method === "POST") {
+      const denied = await this.requireAuth(req, env, "character");
+      if (denied) return denied;
+
+      const characterId = characterRoute[1];
+      if (!characterId || !characterId.match(/^\d+$/)) {
+        return this.jsonResponse({ error: "Invalid character ID" }, 400);
+      }
+      return this.handleRoll(req, characterId, env, ctx, fresh);
+    }
+
+    if (characterRoute && req.method === "GET") {
+      const denied = await this.requireAuth(req, env, "character");
+      if (denied) return denied;
+
+      const [, characterId, section] = characterRoute;
       if (!characterId || !characterId.match(/^\d+$/)) {
         return new Response(JSON.stringify({ error: "Invalid character ID" }), { 
           status: 400, headers: { "Content-Type": "application/json", "Access-Control-Allow-Origin": "*" }
         });
       }
 
+      if (section === "history") {
+        return this.handleHistory(characterId, url, env);
+      }
+      if (section === "diff") {
+        return this.handleDiff(characterId, url, env, ctx);
+      }
+      if (section === "export") {
+        return this.handleExport(req, characterId, url, env, ctx, fresh);
+      }
+      if (section === "sheet") {
+        return this.handleCharacterSheet(req, characterId, url, env, ctx, fresh);
+      }
+
+      // Route section -> character field returned on its own
+      const sections = { spells: "spellcasting", inventory: "inventory" };
+      if (section && !sections[section]) {
+        return this.jsonResponse({ error: "Unknown character section", message: `No /character/{id}/${section} route` }, 404);
+      }
+
       try {
-        const character = await this.fetchCharacter(characterId);
-        return new Response(JSON.stringify({ success: true, character }), {
-          headers: { "Content-Type": "application/json", "Access-Control-Allow-Origin": "*" }
-        });
+        const { data, cache } = await this.loadCharacterData(characterId, env, ctx, { fresh });
+        const character = this.normalizeCharacter(data);
+
+        if (section) {
+          const field = sections[section];
+          return this.cachedJsonResponse(req, {
+            success: true,
+            character: { id: character.id, name: character.name, level: character.level },
+            [field]: character[field]
+          }, cache);
+        }
+        return this.cachedJsonResponse(req, { success: true, character }, cache);
       } catch (error) {
-        return new Response(JSON.stringify({ error: "Failed to fetch character", message: error.message }), { 
-          status: 500, headers: { "Content-Type": "application/json", "Access-Control-Allow-Origin": "*" }
-        });
+        return this.errorResponse(error, "Failed to fetch character");
+      }
+    }
+
+    // Get campaign info from a character's campaign
+    if (pathname.startsWith("/campaign/") && req.method === "GET") {
+      const denied = await this.requireAuth(req, env, "campaign");
+      if (denied) return denied;
+
+      const characterId = pathname.split("/campaign/")[1];
+      if (!characterId || !characterId.match(/^\d+$/)) {
+        return this.jsonResponse({ error: "Invalid character ID" }, 400);
+      }
+
+      try {
+        const { data, cache } = await this.loadCharacterData(characterId, env, ctx, { fresh });
+        if (!data.campaign) {
+          return this.jsonResponse({
+            error: "Character is not in a campaign",
+            message: "Join the character to a D&D Beyond campaign to see campaign details"
+          }, 404);
+        }
+        return this.cachedJsonResponse(req, { success: true, campaign: this.normalizeCampaign(data.campaign) }, cache);
+      } catch (error) {
+        return this.errorResponse(error, "Failed to fetch campaign");
+      }
+    }
+
+    // Get simplified party overview for DM use, its printable sheet (/party/{id}/sheet)
+    // or a live feed of its changes (/party/{id}/stream)
+    const partyRoute = pathname.match(/^\/party\/([^/]*)(?:\/(sheet|stream))?\/?$/);
+    if (partyRoute && req.method === "GET") {
+      const denied = await this.requireAuth(req, env, "party");
+      if (denied) return denied;
+
+      const [, characterId, section] = partyRoute;
+      if (!characterId || !characterId.match(/^\d+$/)) {
+        return this.jsonResponse({ error: "Invalid character ID" }, 400);
+      }
+
+      if (section === "sheet") {
+        return this.handlePartySheet(req, characterId, url, env, ctx, fresh);
+      }
+      if (section === "stream") {
+        return this.handlePartyStream(req, characterId, env, ctx);
+      }
+
+      try {
+        const overview = await this.fetchParty(characterId, env, ctx, { fresh });
+        if (!overview) {
+          return this.jsonResponse({
+            error: "Character is not in a campaign",
+            message: "Join the character to a D&D Beyond campaign to see the party"
+          }, 404);
+        }
+        const { cache, ...party } = overview;
+        return this.cachedJsonResponse(req, { success: true, ...party }, cache);
+      } catch (error) {
+        return this.errorResponse(error, "Failed to fetch party");
       }
     }
 
@@ -90,363 +280,1144 @@ export default {
 
 Available endpoints:
 - GET /.well-known/agent.json - Agent capabilities
-- GET /character/{id} - Get character by ID (public access)
+- POST /a2a - A2A JSON-RPC endpoint (message/send, tasks/get)
+- GET /characters?ids=1,2,3&fields=name,armorClass - Get several characters
+- POST /ask - Answer a question about characters ({characterIds, question})
+- POST /encounter - Encounter difficulty for the party ({characterIds | characterId, monsters})
+- POST /mcp - Model Context Protocol endpoint (streamable HTTP)
+- GET /character/{id} - Get character by ID
+- GET /character/{id}/spells - Get a character's spellcasting
+- GET /character/{id}/inventory - Get a character's inventory and coins
+- GET /character/{id}/history - List stored snapshots of a character
+- GET /character/{id}/diff?from=&to= - Field-level diff between snapshots
+- GET /character/{id}/export?format=foundry|roll20|json-schema - Export for a virtual tabletop
+- GET /campaign/{characterId} - Get campaign info from a character's campaign
+- GET /party/{characterId} - Get simplified party overview for DM use
+- GET /character/{id}/sheet?format=html|pdf - Printable character sheet
+- POST /character/{id}/roll - Roll a check, save, attack or dice expression ({expression, seed})
+- GET /party/{characterId}/sheet?format=html|pdf - Printable party sheet for the DM screen
+- GET /party/{characterId}/stream - Live party HP, conditions and resources (Server-Sent Events)
+- POST /watches - Notify a webhook or Discord channel when a character changes ({characterId, url, events})
+- GET /watches/dead-letters - Notifications that could not be delivered
 - GET /ui - Character lookup interface
+- GET /ui-chunk?step=&state= - Embeddable lookup flow for host agents, one step per request
 
+Data endpoints require an Authorization: Bearer <API key> header.
 This is an API-only agent. Use the /ui endpoint for the web interface.`, {
       headers: { "Content-Type": "text/plain", "Access-Control-Allow-Origin": "*" }
     });
   },
 
-  async fetchCharacter(characterId) {
-    const url = `https://character-service.dndbeyond.com/character/v5/character/${characterId}`;
-    
-    const response = await fetch(url, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-        'Accept': 'application/json',
-        'Referer': 'https://www.dndbeyond.com/'
+  // REST routes advertised on the agent card
+  restEndpoints() {
+    return [
+      { path: "/character/{id}", method: "GET", description: "Get character by ID", scope: "character" },
+      { path: "/character/{id}/spells", method: "GET", description: "Get spellcasting", scope: "character" },
+      { path: "/character/{id}/inventory", method: "GET", description: "Get inventory", scope: "character" },
+      { path: "/character/{id}/history", method: "GET", description: "List character snapshots", scope: "character" },
+      { path: "/character/{id}/diff", method: "GET", description: "Diff two character snapshots", scope: "character" },
+      { path: "/character/{id}/export?format={foundry|roll20|json-schema}", method: "GET", description: "Export for Foundry VTT, Roll20 or as portable JSON", scope: "character" },
+      { path: "/campaign/{characterId}", method: "GET", description: "Get campaign info", scope: "campaign" },
+      { path: "/party/{characterId}", method: "GET", description: "Get party overview", scope: "party" },
+      { path: "/character/{id}/sheet?format={html|pdf}", method: "GET", description: "Printable one-page character sheet", scope: "character" },
+      { path: "/character/{id}/roll", method: "POST", description: "Roll a skill, save, attack or dice expression with the character's modifiers", scope: "character" },
+      { path: "/party/{characterId}/sheet?format={html|pdf}", method: "GET", description: "Printable landscape party sheet for the DM", scope: "party" },
+      { path: "/party/{characterId}/stream", method: "GET", description: "Server-Sent Events feed of party HP, conditions, death saves, spell slots and inspiration", scope: "party" },
+      { path: "/characters?ids={id,id}", method: "GET", description: "Get several characters", scope: "character" },
+      { path: "/characters", method: "POST", description: "Get several characters ({ids, fields})", scope: "character" },
+      { path: "/ask", method: "POST", description: "Answer a question about characters", scope: "character" },
+      { path: "/encounter", method: "POST", description: "2014 and 2024 DMG encounter difficulty for the party, with adjustment suggestions", scope: "party" },
+      { path: "/watches", method: "POST", description: "Register a webhook or Discord notification for level-ups, magic items, 0 HP and conditions", scope: "watch" },
+      { path: "/watches", method: "GET", description: "List watches", scope: "watch" },
+      { path: "/watches/{id}/test", method: "POST", description: "Send a test notification", scope: "watch" },
+      { path: "/watches/dead-letters", method: "GET", description: "List undelivered notifications", scope: "watch" },
+      { path: "/mcp", method: "POST", description: "Model Context Protocol endpoint" }
+    ];
+  },
+
+  // JSON-RPC 2.0 over POST, single requests or batches
+  async handleA2A(req, env, ctx) {
+    const auth = await authenticate(req, env, null);
+    if (!auth.ok) {
+      const headers = auth.challenge ? { "WWW-Authenticate": auth.challenge } : {};
+      return this.jsonResponse({ error: auth.error, message: auth.message }, auth.status, headers);
+    }
+
+    let body;
+    try {
+      body = await req.json();
+    } catch {
+      return this.jsonResponse(parseError());
+    }
+
+    const context = {
+      keyName: auth.key.name,
+      canUse: scope => hasScope(auth.key, scope),
+      runSkill: (skillId, characterId) => this.runSkill(skillId, characterId, env, ctx)
+    };
+
+    // Each request in a batch can fetch characters, so batches are capped and run with the
+    // party fetch concurrency rather than all at once
+    const maxBatch = Number(env.A2A_MAX_BATCH) || 10;
+    if (Array.isArray(body) && (!body.length || body.length > maxBatch)) {
+      return this.jsonResponse(batchError(maxBatch));
+    }
+    const requests = Array.isArray(body) ? body : [body];
+    const concurrency = Number(env.PARTY_CONCURRENCY) || 2;
+    const responses = (await this.mapWithConcurrency(requests, concurrency, rpc => handleRpc(rpc, env, context))).filter(Boolean);
+
+    // Notifications get no reply, so a request made only of them has no body
+    if (!responses.length) {
+      return new Response(null, { status: 204, headers: { "Access-Control-Allow-Origin": "*" } });
+    }
+    return this.jsonResponse(Array.isArray(body) ? responses : responses[0]);
+  },
+
+  // Skill handlers shared by the A2A endpoint: structured data plus a one-line text summary
+  async runSkill(skillId, characterId, env, ctx) {
+    if (skillId === "party-overview") {
+      const overview = await this.fetchParty(characterId, env, ctx);
+      if (!overview) throw new Error("Character is not in a campaign");
+      const { cache, ...data } = overview;
+      const rows = data.party.map(member => member.status === "ok"
+        ? `${member.name} AC ${member.armorClass} HP ${member.hitPoints.current}/${member.hitPoints.max} PP ${member.passives.perception}`
+        : `${member.name} (${member.reason})`);
+      return { data, summary: `${data.campaign.name}: ${rows.join("; ")}` };
+    }
+
+    const character = await this.fetchCharacter(characterId, env, ctx);
+
+    if (skillId === "spell-query") {
+      const { spellcasting } = character;
+      const classes = spellcasting.classes.map(cls => `${cls.class} DC ${cls.saveDC}, +${cls.attackBonus} to hit`);
+      const slots = spellcasting.slots.map(slot => `L${slot.level} ${slot.remaining}/${slot.max}`);
+      const summary = classes.length
+        ? `${character.name}: ${classes.join("; ")}. Slots ${slots.join(", ") || "none"}`
+        : `${character.name} has no spellcasting classes`;
+      return { data: { id: character.id, name: character.name, spellcasting }, summary };
+    }
+
+    const classes = character.classes.map(cls => `${cls.name} ${cls.level}`).join(" / ");
+    return {
+      data: character,
+      summary: `${character.name}: level ${character.level} ${character.race} ${classes}. ` +
+        `AC ${character.armorClass}, HP ${character.hitPoints.current}/${character.hitPoints.max}, speed ${character.speed} ft.`
+    };
+  },
+
+  // MCP streamable HTTP: JSON-RPC over POST answered with JSON. There is no server-initiated
+  // stream, so GET and DELETE are not supported.
+  async handleMCP(req, env, ctx) {
+    if (req.method !== "POST") {
+      return this.jsonResponse({ error: "Method not allowed", message: "Send MCP messages with POST" }, 405, { "Allow": "POST, OPTIONS" });
+    }
+
+    const auth = await authenticate(req, env, null);
+    if (!auth.ok) {
+      const headers = auth.challenge ? { "WWW-Authenticate": auth.challenge } : {};
+      return this.jsonResponse({ error: auth.error, message: auth.message }, auth.status, headers);
+    }
+
+    let body;
+    try {
+      body = await req.json();
+    } catch {
+      return this.jsonResponse(mcpParseError(), 400);
+    }
+
+    const context = {
+      canUse: scope => hasScope(auth.key, scope),
+      callTool: (name, args) => this.callMcpTool(name, args, env, ctx),
+      // Only entries cached from the current upstream source
+      listResources: async () => (await listCached(env, "character/")).flatMap(entry => {
+        const id = entry.key.split("/")[1];
+        if (entry.key !== characterCacheKey(id, env)) return [];
+        return {
+          uri: characterUri(id),
+          name: `character-${id}`,
+          title: `Character ${id}`,
+          mimeType: "application/json",
+          ...(entry.storedAt ? { annotations: { lastModified: new Date(entry.storedAt).toISOString() } } : {})
+        };
+      }),
+      readResource: id => this.fetchCharacter(id, env, ctx)
+    };
+
+    // Batches are capped and run with the party fetch concurrency, as on /a2a
+    const maxBatch = Number(env.MCP_MAX_BATCH) || 10;
+    if (Array.isArray(body) && (!body.length || body.length > maxBatch)) {
+      return this.jsonResponse(mcpBatchError(maxBatch), 400);
+    }
+    const messages = Array.isArray(body) ? body : [body];
+    const concurrency = Number(env.PARTY_CONCURRENCY) || 2;
+    const responses = (await this.mapWithConcurrency(messages, concurrency, message => handleMcpMessage(message, context))).filter(Boolean);
+
+    // Notifications and responses only: acknowledge without a body
+    if (!responses.length) {
+      return new Response(null, { status: 202, headers: { "Access-Control-Allow-Origin": "*" } });
+    }
+
+    const headers = { "Access-Control-Expose-Headers": "Mcp-Session-Id" };
+    if (messages.some(message => message?.method === "initialize")) {
+      headers["Mcp-Session-Id"] = crypto.randomUUID();
+    }
+    return this.jsonResponse(Array.isArray(body) ? responses : responses[0], 200, headers);
+  },
+
+  async callMcpTool(name, args, env, ctx) {
+    if (name === "get_party") {
+      const overview = await this.fetchParty(String(args.characterId), env, ctx);
+      if (!overview) throw new Error("Character is not in a campaign");
+      const { cache, ...party } = overview;
+      return party;
+    }
+
+    if (name === "compare_characters") {
+      return this.compareCharacters(args.characterIds.map(String), env, ctx);
+    }
+
+    const character = await this.fetchCharacter(String(args.characterId), env, ctx);
+    if (name === "get_spells") {
+      return { id: character.id, name: character.name, spellcasting: character.spellcasting };
+    }
+    if (Array.isArray(args.sections) && args.sections.length) {
+      return Object.fromEntries(["id", "name", ...args.sections]
+        .filter(field => field in character)
+        .map(field => [field, character[field]]));
+    }
+    return character;
+  },
+
+  // Side-by-side combat numbers for several characters, with the leader for each
+  async compareCharacters(characterIds, env, ctx) {
+    const fields = {
+      armorClass: character => character.armorClass,
+      maxHitPoints: character => character.hitPoints.max,
+      currentHitPoints: character => character.hitPoints.current,
+      passivePerception: character => character.passives.perception,
+      passiveInvestigation: character => character.passives.investigation,
+      passiveInsight: character => character.passives.insight,
+      spellSaveDC: character => character.spellSaveDC,
+      speed: character => character.speed
+    };
+
+    const { characters, errors } = await this.fetchCharacters(characterIds, env, ctx);
+    const rows = characters.map(character => {
+      const row = { id: character.id, name: character.name, level: character.level };
+      for (const [field, read] of Object.entries(fields)) row[field] = read(character);
+      return row;
+    });
+    const highest = {};
+    for (const field of Object.keys(fields)) {
+      const values = rows.filter(row => row[field] !== null);
+      if (!values.length) continue;
+      const best = Math.max(...values.map(row => row[field]));
+      highest[field] = { value: best, characters: values.filter(row => row[field] === best).map(row => row.name) };
+    }
+
+    return { characters: rows, highest, errors };
+  },
+
+  // Normalized characters for a list of IDs, fetched with the party concurrency and spacing.
+  // Duplicates are fetched once; failures are reported per ID instead of failing the batch.
+  // `results` keeps every ID in request order with its cache metadata or the thrown error.
+  async fetchCharacters(characterIds, env, ctx, options = {}) {
+    // A misconfigured source fails the whole request rather than every ID
+    upstreamSource(env);
+    const ids = [...new Set(characterIds.map(String))];
+    const spacer = this.createSpacer(Number(env.PARTY_REQUEST_DELAY_MS ?? 500));
+
+    const results = await this.mapWithConcurrency(ids, Number(env.PARTY_CONCURRENCY) || 2, async id => {
+      try {
+        const { data, cache } = await this.loadCharacterData(id, env, ctx, { ...options, beforeUpstream: spacer });
+        return { id, character: this.normalizeCharacter(data), cache };
+      } catch (error) {
+        return { id, error };
+      }
+    });
+
+    return {
+      results,
+      characters: results.filter(result => result.character).map(result => result.character),
+      errors: results.filter(result => result.error).map(({ id, error }) => ({
+        id: Number(id),
+        error: error.message,
+        code: error.code || "upstream_error"
+      }))
+    };
+  },
+
+  // GET /characters?ids=1,2,3 or POST /characters {ids}: one entry per ID, keyed by ID, holding
+  // the character (optionally trimmed to ?fields=) or a typed error
+  async handleCharacters(req, url, env, ctx, fresh) {
+    let ids = url.searchParams.get("ids")?.split(",") || [];
+    let fields = url.searchParams.get("fields")?.split(",") || [];
+
+    if (req.method === "POST") {
+      let body;
+      try {
+        body = await req.json();
+      } catch {
+        return this.jsonResponse({ error: "Invalid JSON body" }, 400);
+      }
+      ids = Array.isArray(body?.ids) ? body.ids : [];
+      if (body?.fields) fields = Array.isArray(body.fields) ? body.fields : String(body.fields).split(",");
+    }
+
+    ids = ids.map(id => String(id).trim()).filter(Boolean);
+    fields = fields.map(field => String(field).trim()).filter(Boolean);
+    const maxCharacters = Number(env.BATCH_MAX_CHARACTERS) || 25;
+
+    if (!ids.length) {
+      return this.jsonResponse({ error: "Missing character IDs", message: "Pass ?ids=1,2,3 or a JSON body of {\"ids\": [...]}" }, 400);
+    }
+    const invalid = ids.filter(id => !/^\d+$/.test(id));
+    if (invalid.length) {
+      return this.jsonResponse({ error: "Invalid character ID", message: `Not numeric: ${invalid.join(", ")}` }, 400);
+    }
+    const unique = [...new Set(ids)];
+    if (unique.length > maxCharacters) {
+      return this.jsonResponse({ error: "Too many characters", message: `Request at most ${maxCharacters} characters at once` }, 400);
+    }
+
+    const { results } = await this.fetchCharacters(unique, env, ctx, { fresh });
+    const characters = {};
+    for (const { id, character, error } of results) {
+      if (error) {
+        characters[id] = { status: "error", error: this.batchError(error) };
+        continue;
+      }
+      const selected = fields.length
+        ? Object.fromEntries(["id", "name", ...fields].filter(field => field in character).map(field => [field, character[field]]))
+        : character;
+      characters[id] = { status: "ok", character: selected };
+    }
+
+    const metas = results.filter(result => result.cache).map(result => result.cache);
+    return this.cachedJsonResponse(req, {
+      success: true,
+      requested: unique.length,
+      found: metas.length,
+      ...(fields.length ? { fields } : {}),
+      characters
+    }, combineCacheMeta(metas));
+  },
+
+  // GET /character/{id}/export?format=foundry|roll20|json-schema
+  async handleExport(req, characterId, url, env, ctx, fresh) {
+    const format = url.searchParams.get("format") || "json-schema";
+    if (!EXPORT_FORMATS.includes(format)) {
+      return this.jsonResponse({ error: "Unsupported export format", message: `format must be one of: ${EXPORT_FORMATS.join(", ")}` }, 400);
+    }
+
+    try {
+      const { data, cache } = await this.loadCharacterData(characterId, env, ctx, { fresh });
+      const character = this.normalizeCharacter(data);
+      const { document, warnings } = exportCharacter(character, format, { schemaUrl: url.origin + SCHEMA_PATH });
+      return this.cachedJsonResponse(req, {
+        success: true,
+        format,
+        character: { id: character.id, name: character.name, level: character.level },
+        export_warnings: warnings,
+        data: document
+      }, cache);
+    } catch (error) {
+      return this.errorResponse(error, "Failed to export character");
+    }
+  },
+
+  // GET /character/{id}/sheet?format=html|pdf: one-page printable character sheet
+  async handleCharacterSheet(req, characterId, url, env, ctx, fresh) {
+    const format = url.searchParams.get("format") || "html";
+    if (!SHEET_FORMATS.includes(format)) {
+      return this.jsonResponse({ error: "Unsupported sheet format", message: `format must be one of: ${SHEET_FORMATS.join(", ")}` }, 400);
+    }
+
+    try {
+      const { data, cache } = await this.loadCharacterData(characterId, env, ctx, { fresh });
+      const sheet = characterSheet(this.normalizeCharacter(data), { storedAt: cache.storedAt });
+      return this.sheetResponse(req, sheet, format, cache, characterSheetHtml, characterSheetPdf);
+    } catch (error) {
+      return this.errorResponse(error, "Failed to render character sheet");
+    }
+  },
+
+  // GET /party/{characterId}/sheet?format=html|pdf: landscape party summary for the DM screen
+  async handlePartySheet(req, characterId, url, env, ctx, fresh) {
+    const format = url.searchParams.get("format") || "html";
+    if (!SHEET_FORMATS.includes(format)) {
+      return this.jsonResponse({ error: "Unsupported sheet format", message: `format must be one of: ${SHEET_FORMATS.join(", ")}` }, 400);
+    }
+
+    try {
+      const overview = await this.fetchParty(characterId, env, ctx, { fresh });
+      if (!overview) {
+        return this.jsonResponse({
+          error: "Character is not in a campaign",
+          message: "Join the character to a D&D Beyond campaign to see the party"
+        }, 404);
       }
+      const sheet = partySheet(overview, { storedAt: overview.cache.storedAt });
+      return this.sheetResponse(req, sheet, format, overview.cache, partySheetHtml, partySheetPdf);
+    } catch (error) {
+      return this.errorResponse(error, "Failed to render party sheet");
+    }
+  },
+
+  // Server-Sent Events feed of live party fields. With PARTY_STREAM bound, every client watching
+  // a campaign joins the same hub; otherwise each connection polls on its own.
+  async handlePartyStream(req, characterId, env, ctx) {
+    let data;
+    try {
+      ({ data } = await this.loadCharacterData(characterId, env, ctx));
+    } catch (error) {
+      return this.errorResponse(error, "Failed to open party stream");
+    }
+    if (!data.campaign) {
+      return this.jsonResponse({
+        error: "Character is not in a campaign",
+        message: "Join the character to a D&D Beyond campaign to see the party"
+      }, 404);
+    }
+
+    if (env.PARTY_STREAM) {
+      const stub = env.PARTY_STREAM.get(env.PARTY_STREAM.idFromName(`campaign:${data.campaign.id}`));
+      return stub.fetch(`https://party-stream/connect?characterId=${characterId}`, { signal: req.signal });
+    }
+    const hub = new PartyHub(this.partyLiveLoader(characterId, env, ctx), env);
+    return hub.connect(req.signal);
+  },
+
+  sheetResponse(req, sheet, format, cache, renderHtml, renderPdf) {
+    if (format === "pdf") {
+      const filename = `${sheet.title.replace(/[^\w.-]+/g, "_") || "sheet"}.pdf`;
+      return this.cachedResponse(req, renderPdf(sheet), cache, {
+        "Content-Type": "application/pdf",
+        "Content-Disposition": `inline; filename="${filename}"`
+      });
+    }
+    return this.cachedResponse(req, renderHtml(sheet), cache, {
+      "Content-Type": "text/html; charset=utf-8",
+      "Content-Security-Policy": "default-src 'none'; style-src 'unsafe-inline'"
     });
+  },
+
+  // Batch entries only use four error types; throttling and timeouts fold into the nearest one
+  batchError(error) {
+    const codes = { not_found: "not_found", private: "private", rate_limited: "rate_limited", circuit_open: "rate_limited" };
+    return {
+      code: codes[error.code] || "upstream_error",
+      message: error.message,
+      ...(error.retryAfter ? { retryAfter: error.retryAfter } : {})
+    };
+  },
+
+  // POST /ask {characterIds, question}: rule-based answer from the normalized characters
+  async handleAsk(req, env, ctx) {
+    let body;
+    try {
+      body = await req.json();
+    } catch {
+      return this.jsonResponse({ error: "Invalid JSON body" }, 400);
+    }
+
+    const { characterIds, question } = body || {};
+    const maxCharacters = Number(env.ASK_MAX_CHARACTERS) || 10;
+    if (!Array.isArray(characterIds) || !characterIds.length || !characterIds.every(id => /^\d+$/.test(String(id)))) {
+      return this.jsonResponse({ error: "Invalid character IDs", message: "characterIds must be a non-empty array of numeric IDs" }, 400);
+    }
+    if (characterIds.length > maxCharacters) {
+      return this.jsonResponse({ error: "Too many characters", message: `Ask about at most ${maxCharacters} characters at once` }, 400);
+    }
+    if (typeof question !== "string" || !question.trim() || question.length > 500) {
+      return this.jsonResponse({ error: "Invalid question", message: "question must be a non-empty string of at most 500 characters" }, 400);
+    }
+
+    const { characters, errors } = await this.fetchCharacters(characterIds, env, ctx);
+    if (!characters.length) {
+      return this.jsonResponse({ error: "No characters could be loaded", question, errors }, 502);
+    }
+
+    const result = answerQuestion(question, characters);
+    if (!result) {
+      return this.jsonResponse({
+        error: "Question not understood",
+        message: "Try asking about AC, hit points, passives, skills, saves, spell slots, proficiencies, languages, spells or items",
+        question,
+        examples: EXAMPLE_QUESTIONS,
+        errors
+      }, 422);
+    }
+
+    return this.jsonResponse({ success: true, question, ...result, errors });
+  },
+
+  // POST /character/{id}/roll {expression, seed?}: named checks (stealth, save:wis, attack:longsword)
+  // or raw notation, with the result of every die. The seed is echoed back so a roll can be replayed.
+  async handleRoll(req, characterId, env, ctx, fresh) {
+    let body;
+    try {
+      body = await req.json();
+    } catch {
+      return this.jsonResponse({ error: "Invalid JSON body" }, 400);
+    }
+
+    const { expression, seed } = body || {};
+    if (seed !== undefined && !Number.isInteger(seed) && (typeof seed !== "string" || !seed || seed.length > 100)) {
+      return this.jsonResponse({ error: "Invalid seed", message: "seed must be an integer or a string of at most 100 characters" }, 400);
+    }
+
+    try {
+      const { data } = await this.loadCharacterData(characterId, env, ctx, { fresh });
+      const character = this.normalizeCharacter(data);
+      const result = rollExpression(expression, character, { seed });
+      return this.jsonResponse({
+        success: true,
+        character: { id: character.id, name: character.name },
+        ...result
+      });
+    } catch (error) {
+      if (!(error instanceof RollError)) return this.errorResponse(error, "Failed to roll");
+      if (error.code === "invalid_expression") {
+        return this.jsonResponse({ error: "Invalid expression", message: error.message, examples: ROLL_EXAMPLES }, 400);
+      }
+      return this.jsonResponse({
+        error: error.code === "ambiguous" ? "Ambiguous check" : "Unknown check",
+        message: error.message,
+        options: error.options
+      }, 422);
+    }
+  },
+
+  // POST /encounter {characterIds | characterId, monsters, target?}: 2014 and 2024 DMG difficulty
+  // with adjustment suggestions. characterId stands for that character's whole campaign party.
+  async handleEncounter(req, env, ctx) {
+    let body;
+    try {
+      body = await req.json();
+    } catch {
+      return this.jsonResponse({ error: "Invalid JSON body" }, 400);
+    }
+
+    const { characterIds, characterId, monsters, target = {} } = body || {};
+    const maxCharacters = Number(env.ENCOUNTER_MAX_CHARACTERS) || 10;
+    const maxMonsters = 20;
+    if (characterIds !== undefined) {
+      if (!Array.isArray(characterIds) || !characterIds.length || !characterIds.every(id => /^\d+$/.test(String(id)))) {
+        return this.jsonResponse({ error: "Invalid character IDs", message: "characterIds must be a non-empty array of numeric IDs" }, 400);
+      }
+      if (characterIds.length > maxCharacters) {
+        return this.jsonResponse({ error: "Too many characters", message: `An encounter takes at most ${maxCharacters} characters` }, 400);
+      }
+    } else if (!/^\d+$/.test(String(characterId ?? ""))) {
+      return this.jsonResponse({ error: "Missing party", message: "Send characterIds, or characterId to use that character's campaign party" }, 400);
+    }
+
+    if (!Array.isArray(monsters) || !monsters.length || monsters.length > maxMonsters) {
+      return this.jsonResponse({ error: "Invalid monsters", message: `monsters must be an array of 1 to ${maxMonsters} entries like {"cr": "1/4", "count": 4}` }, 400);
+    }
+    const groups = [];
+    for (const [index, monster] of monsters.entries()) {
+      const cr = parseChallengeRating(monster?.cr);
+      const count = monster?.count ?? 1;
+      if (cr === null || !Number.isInteger(count) || count < 1 || count > 100) {
+        return this.jsonResponse({
+          error: "Invalid monster",
+          message: `monsters[${index}] needs a cr from 0 to 30 (fractions as "1/8", "1/4", "1/2") and a count from 1 to 100`
+        }, 400);
+      }
+      groups.push({ name: typeof monster.name === "string" && monster.name.trim() ? monster.name.trim() : genericName(cr), cr, count });
+    }
+
+    const targets = { ...DEFAULT_TARGETS, ...target };
+    if (!DIFFICULTIES_2014.slice(1).includes(targets.dmg2014) || !DIFFICULTIES_2024.slice(0, 3).includes(targets.dmg2024)) {
+      return this.jsonResponse({
+        error: "Invalid target",
+        message: `target.dmg2014 must be one of ${DIFFICULTIES_2014.slice(1).join(", ")}; target.dmg2024 one of ${DIFFICULTIES_2024.slice(0, 3).join(", ")}`
+      }, 400);
+    }
+
+    let party;
+    try {
+      party = await this.encounterParty(characterIds, characterId, env, ctx);
+    } catch (error) {
+      return this.errorResponse(error, "Failed to fetch party");
+    }
+    if (!party) {
+      return this.jsonResponse({
+        error: "Character is not in a campaign",
+        message: "Join the character to a D&D Beyond campaign, or send characterIds"
+      }, 404);
+    }
+    if (!party.members.length) {
+      return this.jsonResponse({ error: "No party members could be loaded", errors: party.errors }, 502);
+    }
+
+    const levels = party.members.map(member => member.level);
+    return this.jsonResponse({
+      success: true,
+      party: { ...(party.campaign ? { campaign: party.campaign } : {}), size: levels.length, members: party.members },
+      monsters: groups.map(group => ({ ...group, xp: CR_XP[group.cr], totalXp: CR_XP[group.cr] * group.count })),
+      ...evaluateEncounter(levels, groups, targets),
+      errors: party.errors
+    });
+  },
+
+  // Party levels for /encounter: the listed characters, or every loadable member of a campaign
+  async encounterParty(characterIds, characterId, env, ctx) {
+    const member = character => ({ id: character.id, name: character.name, level: character.level });
+
+    if (characterIds) {
+      const { characters, errors } = await this.fetchCharacters(characterIds, env, ctx);
+      return { members: characters.map(member), errors };
+    }
+
+    const overview = await this.fetchParty(characterId, env, ctx, { row: character => ({ ...member(character), status: 'ok' }) });
+    if (!overview) return null;
+    return {
+      campaign: { id: overview.campaign.id, name: overview.campaign.name },
+      members: overview.party.filter(row => row.status === 'ok').map(({ status, ...row }) => row),
+      errors: overview.party
+        .filter(row => row.status !== 'ok')
+        .map(row => ({ id: Number(row.id), error: row.reason, code: row.code }))
+    };
+  },
+
+  // Cron trigger: snapshot the characters listed in SNAPSHOT_CHARACTER_IDS, then check watches
+  async scheduled(event, env, ctx) {
+    const spacer = this.createSpacer(Number(env.PARTY_REQUEST_DELAY_MS ?? 500));
+    await this.snapshotCharacters(env, ctx, spacer);
+    await this.checkWatches(env, ctx, spacer);
+  },
+
+  async snapshotCharacters(env, ctx, spacer) {
+    if (!snapshotModes(env).has('cron') || !env.CHARACTER_HISTORY) return;
+
+    const ids = String(env.SNAPSHOT_CHARACTER_IDS || '').split(',').map(id => id.trim()).filter(id => /^\d+$/.test(id));
+
+    await this.mapWithConcurrency(ids, 1, async characterId => {
+      try {
+        const character = await this.fetchCharacter(characterId, env, ctx, { fresh: true, beforeUpstream: spacer });
+        await recordSnapshot(env, character);
+      } catch (error) {
+        console.error(`Snapshot of character ${characterId} failed: ${error.message}`);
+      }
+    });
+  },
+
+  // Re-fetch every watched character once and notify the watches whose events occurred
+  async checkWatches(env, ctx, spacer) {
+    if (!env.WATCHES) return;
+
+    const byCharacter = new Map();
+    for (const watch of await listWatches(env)) {
+      byCharacter.set(watch.characterId, [...(byCharacter.get(watch.characterId) || []), watch]);
+    }
+
+    await this.mapWithConcurrency([...byCharacter], 1, async ([characterId, watches]) => {
+      let character;
+      try {
+        character = await this.fetchCharacter(characterId, env, ctx, { fresh: true, beforeUpstream: spacer });
+      } catch (error) {
+        console.error(`Watch check of character ${characterId} failed: ${error.message}`);
+        return;
+      }
+      for (const watch of watches) {
+        await this.notifyWatch(env, watch, character);
+      }
+    });
+  },
+
+  // Deliver the watch's events since its stored state; failed deliveries go to the dead-letter list
+  async notifyWatch(env, watch, character) {
+    const state = watchState(character);
+    const events = detectEvents(watch.state, state, watch.events);
+    const now = Date.now();
+
+    const updated = { ...watch, name: character.name, state, lastCheckedAt: new Date(now).toISOString() };
+    if (events.length) {
+      const payload = buildPayload(watch, character, events, now);
+      const result = await deliver(watch, payload, env);
+      updated.lastDelivery = { at: new Date(now).toISOString(), events: events.map(event => event.type), ...result };
+      if (!result.ok) await addDeadLetter(env, watch, payload, result, now);
+    }
+    await saveWatch(env, updated);
+    return events;
+  },
+
+  // /watches routes: register, list, inspect, delete and test watches, and manage dead letters
+  async handleWatches(req, pathname, env, ctx) {
+    if (!env.WATCHES) {
+      return this.jsonResponse({ error: "Watches not configured", message: "Bind a WATCHES KV namespace" }, 501);
+    }
+
+    const route = pathname.match(/^\/watches(?:\/(dead-letters))?(?:\/([\w-]+))?(?:\/(test|retry))?\/?$/);
+    const [, deadLetters, id, action] = route || [];
+    const method = req.method;
+
+    if (route && !deadLetters && !id && !action) {
+      if (method === "GET") {
+        const watches = await listWatches(env);
+        return this.jsonResponse({ success: true, watches: watches.map(publicWatch) });
+      }
+      if (method === "POST") return this.createWatchRoute(req, env, ctx);
+    }
+
+    if (route && deadLetters) {
+      if (!id && !action && method === "GET") {
+        return this.jsonResponse({ success: true, deadLetters: await listDeadLetters(env) });
+      }
+      if (id && (action === "retry" ? method === "POST" : !action && method === "DELETE")) {
+        const entry = await getDeadLetter(env, id);
+        if (!entry) return this.jsonResponse({ error: "Dead letter not found" }, 404);
+        if (method === "DELETE") {
+          await deleteDeadLetter(env, entry.id);
+          return this.jsonResponse({ success: true });
+        }
+        return this.retryDeadLetter(env, entry);
+      }
+    }
+
+    if (route && !deadLetters && id) {
+      const allowed = action === "test" ? method === "POST" : !action && (method === "GET" || method === "DELETE");
+      const watch = allowed ? await getWatch(env, id) : null;
+      if (allowed && !watch) return this.jsonResponse({ error: "Watch not found" }, 404);
+      if (allowed && action === "test") return this.testWatch(env, ctx, watch);
+      if (allowed && method === "GET") return this.jsonResponse({ success: true, watch: publicWatch(watch) });
+      if (allowed && method === "DELETE") {
+        await deleteWatch(env, id);
+        return this.jsonResponse({ success: true });
+      }
+    }
+
+    return this.jsonResponse({ error: "Not found", message: `No ${method} ${pathname} route` }, 404);
+  },
+
+  // POST /watches {characterId, url, events?, format?, secret?}: the character is loaded now so
+  // the first cron run only reports what changed after registration
+  async createWatchRoute(req, env, ctx) {
+    let body;
+    try {
+      body = await req.json();
+    } catch {
+      return this.jsonResponse({ error: "Invalid JSON body" }, 400);
+    }
+
+    let request;
+    try {
+      request = parseWatchRequest(body);
+    } catch (error) {
+      if (!(error instanceof WatchError)) throw error;
+      return this.jsonResponse({ error: "Invalid watch", message: error.message, events: WATCH_EVENTS, formats: WATCH_FORMATS }, 400);
+    }
+
+    const maxWatches = Number(env.WATCH_MAX) || 100;
+    if ((await listWatches(env)).length >= maxWatches) {
+      return this.jsonResponse({ error: "Too many watches", message: `At most ${maxWatches} watches can be registered` }, 400);
+    }
+
+    try {
+      const character = await this.fetchCharacter(request.characterId, env, ctx);
+      const watch = createWatch(request, character);
+      await saveWatch(env, watch);
+      // The signing secret is only ever returned here
+      return this.jsonResponse({ success: true, watch: publicWatch(watch), secret: watch.secret }, 201);
+    } catch (error) {
+      return this.errorResponse(error, "Failed to fetch character");
+    }
+  },
+
+  // POST /watches/{id}/test: deliver a test event now, with retries but no dead letter
+  async testWatch(env, ctx, watch) {
+    try {
+      const character = await this.fetchCharacter(watch.characterId, env, ctx);
+      const event = { type: "test", summary: "Test notification" };
+      const delivery = await deliver(watch, buildPayload(watch, character, [event]), env);
+      return this.jsonResponse({ success: delivery.ok, delivery }, delivery.ok ? 200 : 502);
+    } catch (error) {
+      return this.errorResponse(error, "Failed to fetch character");
+    }
+  },
+
+  // POST /watches/dead-letters/{id}/retry: redeliver the stored payload; it leaves the list once delivered
+  async retryDeadLetter(env, entry) {
+    const watch = await getWatch(env, entry.watchId);
+    if (!watch) {
+      return this.jsonResponse({ error: "Watch not found", message: "The watch was deleted; delete the dead letter instead" }, 404);
+    }
+
+    const delivery = await deliver(watch, entry.payload, env);
+    if (delivery.ok) {
+      await deleteDeadLetter(env, entry.id);
+    } else {
+      await updateDeadLetter(env, entry, delivery);
+    }
+    return this.jsonResponse({ success: delivery.ok, delivery }, delivery.ok ? 200 : 502);
+  },
+
+  // List stored snapshots for a character, newest first
+  async handleHistory(characterId, url, env) {
+    if (!env.CHARACTER_HISTORY) {
+      return this.jsonResponse({ error: "Snapshots not configured", message: "Bind a CHARACTER_HISTORY KV namespace" }, 501);
+    }
+
+    const limit = Math.max(1, Math.min(Number(url.searchParams.get("limit")) || 50, 500));
+    const snapshots = await listSnapshots(env, characterId, limit);
+    return this.jsonResponse({
+      success: true,
+      characterId: Number(characterId),
+      snapshots: snapshots.map(({ id, takenAt, name, level, hash }) => ({
+        id, takenAt: new Date(takenAt).toISOString(), name, level, hash
+      }))
+    });
+  },
+
+  // Diff two snapshots. `from`/`to` take snapshot ids, "latest" or "current" (a live fetch);
+  // the defaults compare the latest snapshot with the one before it.
+  async handleDiff(characterId, url, env, ctx) {
+    if (!env.CHARACTER_HISTORY) {
+      return this.jsonResponse({ error: "Snapshots not configured", message: "Bind a CHARACTER_HISTORY KV namespace" }, 501);
+    }
+
+    const [latest, previous] = await listSnapshots(env, characterId, 2);
+    const resolve = async (ref, fallback) => {
+      if (ref === "current") {
+        const character = await this.fetchCharacter(characterId, env, ctx);
+        return { id: "current", takenAt: Date.now(), character };
+      }
+      const id = ref === "latest" ? latest?.id : (ref || fallback?.id);
+      return id ? getSnapshot(env, characterId, id) : null;
+    };
+
+    try {
+      const from = await resolve(url.searchParams.get("from"), previous);
+      const to = await resolve(url.searchParams.get("to"), latest);
+      if (!from || !to) {
+        return this.jsonResponse({
+          error: "Snapshot not found",
+          message: "Pass from/to snapshot ids from /history, \"latest\" or \"current\"; at least two snapshots are needed for the default diff"
+        }, 404);
+      }
+
+      return this.jsonResponse({
+        success: true,
+        characterId: Number(characterId),
+        from: { id: from.id, takenAt: new Date(from.takenAt).toISOString() },
+        to: { id: to.id, takenAt: new Date(to.takenAt).toISOString() },
+        summary: summarizeDiff(from.character, to.character),
+        changes: diffValues(from.character, to.character)
+      });
+    } catch (error) {
+      return this.errorResponse(error, "Failed to diff character");
+    }
+  },
+
+  jsonResponse(body, status = 200, headers = {}) {
+    return new Response(JSON.stringify(body), {
+      status,
+      headers: { "Content-Type": "application/json", "Access-Control-Allow-Origin": "*", ...headers }
+    });
+  },
+
+  // Upstream failures keep their status (404/403/429/502/503/504) and Retry-After, and a misconfigured
+  // source is a 500 or 501 with its code; anything else is a 500
+  errorResponse(error, summary) {
+    if (error instanceof SourceConfigError) {
+      return this.jsonResponse({ error: summary, code: error.code, message: error.message }, error.status);
+    }
+    if (error instanceof UpstreamError) {
+      const retryAfter = error.retryAfter ?? ([429, 503].includes(error.status) ? 60 : null);
+      const headers = retryAfter !== null ? { "Retry-After": String(retryAfter) } : {};
+      const body = { error: summary, code: error.code, message: error.message, retryAfter };
+      if (error.paths) body.paths = error.paths;
+      return this.jsonResponse(body, error.status, headers);
+    }
+    return this.jsonResponse({ error: summary, message: error.message }, 500);
+  },
+
+  // Returns a 401/403/500 JSON response when the request may not use `scope`, otherwise null
+  async requireAuth(req, env, scope) {
+    const auth = await authenticate(req, env, scope);
+    if (auth.ok) return null;
+
+    const headers = auth.challenge ? { "WWW-Authenticate": auth.challenge } : {};
+    return this.jsonResponse({ error: auth.error, message: auth.message }, auth.status, headers);
+  },
+
+  // JSON response with ETag, Last-Modified and X-Cache; answers If-None-Match with a 304
+  async cachedJsonResponse(req, body, cache) {
+    return this.cachedResponse(req, JSON.stringify(body), cache, { "Content-Type": "application/json" });
+  },
+
+  // Conditional response for any body (string or bytes) derived from cached upstream data
+  async cachedResponse(req, body, cache, extraHeaders = {}) {
+    const etag = await computeETag(body);
+    const headers = {
+      ...extraHeaders,
+      "Access-Control-Allow-Origin": "*",
+      "Access-Control-Expose-Headers": "ETag, Last-Modified, X-Cache",
+      "Cache-Control": "private, no-cache",
+      "ETag": etag,
+      "Last-Modified": new Date(cache.storedAt).toUTCString(),
+      "X-Cache": cache.status
+    };
+
+    if (etagMatches(req.headers.get("If-None-Match"), etag)) {
+      return new Response(null, { status: 304, headers });
+    }
+    return new Response(body, { headers });
+  },
+
+  // Raw character payload through the edge cache: { data, cache: { status, storedAt } }
+  async loadCharacterData(characterId, env = {}, ctx, options = {}) {
+    const { data, ...cache } = await cachedLoad(
+      characterCacheKey(characterId, env),
+      async () => {
+        await options.beforeUpstream?.();
+        const data = await this.fetchCharacterData(characterId, env);
+        if (snapshotModes(env).has('fetch')) {
+          const snapshot = recordSnapshot(env, this.normalizeCharacter(data)).catch(() => null);
+          ctx?.waitUntil?.(snapshot);
+        }
+        return data;
+      },
+      { env, ctx, fresh: options.fresh }
+    );
+    return { data, cache };
+  },
+
+  // Raw character payload from the configured UPSTREAM_SOURCE, bypassing the cache
+  async fetchCharacterData(characterId, env = {}) {
+    const source = upstreamSource(env);
+    const data = source === 'fixtures'
+      ? await loadFixture(characterId, env)
+      : await this.fetchLiveCharacterData(characterId, env);
+
+    // Recordings are kept even when they fail the check, so a format change can be inspected
+    if (source === 'record') await recordFixture(characterId, data, env);
+    if (env.UPSTREAM_VALIDATE !== 'off') checkPayload(data, characterId);
+    return data;
+  },
+
+  // GET the character from the v5 character service (or UPSTREAM_BASE_URL)
+  async fetchLiveCharacterData(characterId, env) {
+    const { url, headers } = liveRequest(characterId, env);
+    const response = await fetchUpstream(url, { headers }, env);
 
     if (!response.ok) {
-      if (response.status === 404) throw new Error('Character not found or not public');
-      if (response.status === 429) throw new Error('Rate limited by D&D Beyond');
-      throw new Error(`D&D Beyond API error: ${response.status}`);
+      if (response.status === 404) {
+        throw new UpstreamError('Character not found or not public', { code: 'not_found', upstreamStatus: 404 });
+      }
+      if (response.status === 403) {
+        throw new UpstreamError('Character is private', { code: 'private', upstreamStatus: 403 });
+      }
+      throw new UpstreamError(`D&D Beyond API error: ${response.status}`, { upstreamStatus: response.status });
     }
 
-    const data = await response.json();
-    
+    // v5 wraps the character in { success, message, data }
+    const payload = await response.json();
+    return payload.data || payload;
+  },
+
+  async fetchCharacter(characterId, env, ctx, options) {
+    const { data } = await this.loadCharacterData(characterId, env, ctx, options);
+    return this.normalizeCharacter(data);
+  },
+
+  normalizeCharacter(data) {
+    const level = characterLevel(data);
+    const modifiers = activeModifiers(data);
+    const stats = deriveAbilityScores(data, modifiers);
+    const abilityModifiers = deriveAbilityModifiers(stats);
+    const profBonus = proficiencyBonus(level);
+    const skills = deriveSkills(abilityModifiers, modifiers, profBonus);
+    const spellcasting = deriveSpellcasting(data, abilityModifiers, profBonus, modifiers);
+    const hitPoints = deriveHitPoints(data, stats, modifiers, level);
+
     return {
       id: data.id,
       name: data.name,
-      level: data.classes?.reduce((total, cls) => total + cls.level, 0) || 1,
+      level,
       race: data.race?.fullName || data.race?.baseName,
       classes: data.classes?.map(cls => ({ name: cls.definition?.name, level: cls.level })) || [],
-      stats: {
-        strength: data.stats?.[0]?.value || 10,
-        dexterity: data.stats?.[1]?.value || 10,
-        constitution: data.stats?.[2]?.value || 10,
-        intelligence: data.stats?.[3]?.value || 10,
-        wisdom: data.stats?.[4]?.value || 10,
-        charisma: data.stats?.[5]?.value || 10
-      },
-      hitPoints: {
-        current: data.baseHitPoints + (data.bonusHitPoints || 0),
-        max: data.baseHitPoints + (data.bonusHitPoints || 0)
-      },
-      armorClass: data.armorClass || 10,
-      speed: data.speed?.walk || 30,
+      stats,
+      abilityModifiers,
+      proficiencyBonus: profBonus,
+      hitPoints,
+      armorClass: deriveArmorClass(data, stats, modifiers),
+      speed: deriveSpeed(data, modifiers),
+      savingThrows: deriveSavingThrows(abilityModifiers, modifiers, profBonus),
+      skills,
+      passives: derivePassives(skills, modifiers),
+      senses: deriveSenses(modifiers),
+      languages: deriveLanguages(modifiers),
+      proficiencies: deriveProficiencies(modifiers),
+      defenses: deriveDefenses(modifiers),
+      spellSaveDC: bestSpellSaveDC(spellcasting),
+      spellcasting,
+      inventory: deriveInventory(data, stats, modifiers),
+      attacks: deriveAttacks(data, abilityModifiers, profBonus, modifiers),
+      actions: deriveActions(data, abilityModifiers, profBonus),
+      conditions: (data.conditions || []).map(condition => this.conditionName(condition)),
+      combatState: deriveCombatState(data, hitPoints),
       avatarUrl: data.avatarUrl
     };
   },
 
-  // Handle complete UI requests for main agent integration
-  async handleCompleteUI(req) {
-    const step = new URL(req.url).searchParams.get('step') || '1';
-    
-    // Return complete HTML interface for D&D Beyond character lookup
-    const completeUI = `
-      <div class="dnd-agent-ui">
-        <style>
-          .dnd-agent-ui {
-            max-width: 800px;
-            margin: 0 auto;
-            padding: 20px;
-            font-family: system-ui, -apple-system, sans-serif;
-          }
-          
-          .dnd-section {
-            background: white;
-            border-radius: 12px;
-            padding: 24px;
-            margin-bottom: 24px;
-            box-shadow: 0 2px 8px rgba(0,0,0,0.1);
-            border: 1px solid #e1e5e9;
-          }
-          
-          .dnd-section h3 {
-            margin: 0 0 16px 0;
-            color: #8B0000;
-            font-size: 1.25rem;
-            font-weight: 600;
-          }
-          
-          .dnd-input-group {
-            margin-bottom: 16px;
-          }
-          
-          .dnd-input-group label {
-            display: block;
-            margin-bottom: 6px;
-            font-weight: 500;
-            color: #374151;
-          }
-          
-          .dnd-input-group input {
-            width: 100%;
-            padding: 10px 12px;
-            border: 1px solid #d1d5db;
-            border-radius: 6px;
-            font-size: 14px;
-            transition: border-color 0.2s;
-          }
-          
-          .dnd-input-group input:focus {
-            outline: none;
-            border-color: #DC143C;
-            box-shadow: 0 0 0 3px rgba(220, 20, 60, 0.1);
-          }
-          
-          .dnd-input-group small {
-            display: block;
-            margin-top: 4px;
-            color: #6b7280;
-            font-size: 12px;
-          }
-          
-          .dnd-btn {
-            background: linear-gradient(135deg, #DC143C, #8B0000);
-            color: white;
-            border: none;
-            padding: 10px 20px;
-            border-radius: 6px;
-            font-size: 14px;
-            font-weight: 500;
-            cursor: pointer;
-            transition: background-color 0.2s;
-            margin-right: 8px;
-            margin-bottom: 8px;
-          }
-          
-          .dnd-btn:hover {
-            background: linear-gradient(135deg, #B91C3C, #7F1D1D);
-          }
-          
-          .dnd-btn:disabled {
-            background: #9ca3af;
-            cursor: not-allowed;
-          }
-          
-          .dnd-status {
-            padding: 12px 16px;
-            border-radius: 6px;
-            margin: 16px 0;
-            font-size: 14px;
-            display: none;
-          }
-          
-          .dnd-status.success {
-            background: #d1fae5;
-            color: #065f46;
-            border: 1px solid #a7f3d0;
-          }
-          
-          .dnd-status.error {
-            background: #fee2e2;
-            color: #991b1b;
-            border: 1px solid #fecaca;
-          }
-          
-          .dnd-status.info {
-            background: #dbeafe;
-            color: #1e40af;
-            border: 1px solid #93c5fd;
-          }
-          
-          .character-result {
-            margin-top: 20px;
-            display: none;
-          }
-          
-          .character-display {
-            background: #f8f9fa;
-            border: 1px solid #e5e7eb;
-            border-radius: 8px;
-            padding: 20px;
-          }
-          
-          .character-display h4 {
-            margin: 0 0 12px 0;
-            color: #8B0000;
-            font-size: 1.5rem;
-          }
-          
-          .character-display p {
-            margin: 8px 0;
-            color: #374151;
-          }
-          
-          .stats-grid {
-            display: grid;
-            grid-template-columns: repeat(3, 1fr);
-            gap: 10px;
-            margin-top: 15px;
-          }
-          
-          .stats-grid > div {
-            background: white;
-            padding: 12px;
-            border-radius: 6px;
-            text-align: center;
-            border: 1px solid #e5e7eb;
-          }
-          
-          .stats-grid strong {
-            color: #8B0000;
-          }
-        </style>
-        
-        <div class="dnd-section">
-          <h3>🐉 D&D Beyond Character Lookup</h3>
-          <p>Access public character sheets and campaign information from D&D Beyond.</p>
-          
-          <div class="dnd-input-group">
-            <label for="dndCharacterId">Character ID</label>
-            <input type="number" id="dndCharacterId" placeholder="Enter D&D Beyond character ID">
-            <small>Note: Only public characters can be accessed</small>
-          </div>
-          
-          <button class="dnd-btn" onclick="lookupDndCharacter()">Get Character</button>
-          
-          <div id="dndCharacterResult" class="character-result"></div>
-        </div>
-        
-        <div id="dndStatus" class="dnd-status"></div>
-      </div>
-      
-      <script>
-        ${this.getDndAgentScripts()}
-      </script>
-    `;
-
-    return new Response(completeUI, {
-      headers: {
-        'Content-Type': 'text/html',
-        'Access-Control-Allow-Origin': '*'
+  // D&D Beyond condition ids, exhaustion carries its level
+  conditionName(condition) {
+    const name = CONDITIONS[condition.id]?.name || `Condition ${condition.id}`;
+    return condition.level ? `${name} ${condition.level}` : name;
+  },
+
+  // Fetch every public campaign member and reduce them to DM-screen rows
+  // options.row(character) builds each loaded member's row (default: partyRow)
+  async fetchParty(characterId, env, ctx, options = {}) {
+    const { data, cache } = await this.loadCharacterData(characterId, env, ctx, options);
+    if (!data.campaign) return null;
+
+    const row = options.row || (character => this.partyRow(character));
+
+    const campaign = this.normalizeCampaign(data.campaign);
+    const concurrency = Number(env.PARTY_CONCURRENCY) || 2;
+    const delayMs = Number(env.PARTY_REQUEST_DELAY_MS ?? 500);
+    const cacheMetas = [cache];
+    const memberOptions = { ...options, beforeUpstream: this.createSpacer(delayMs) };
+
+    const party = await this.mapWithConcurrency(campaign.characters, concurrency, async member => {
+      if (String(member.id) === String(data.id)) {
+        return row(this.normalizeCharacter(data));
+      }
+      if (!member.isPublic) {
+        return { id: member.id, name: member.name, status: 'partial', code: 'private', reason: 'Character is not public' };
+      }
+      try {
+        const loaded = await this.loadCharacterData(member.id, env, ctx, memberOptions);
+        cacheMetas.push(loaded.cache);
+        return row(this.normalizeCharacter(loaded.data));
+      } catch (error) {
+        return { id: member.id, name: member.name, status: 'partial', code: error.code || 'upstream_error', reason: error.message };
       }
     });
+
+    return {
+      campaign: { id: campaign.id, name: campaign.name, dm: campaign.dm },
+      party,
+      cache: combineCacheMeta(cacheMetas)
+    };
   },
 
-  // Handle UI chunk requests for main agent integration
-  async handleUIChunk(req) {
-    const url = new URL(req.url);
-    const step = url.searchParams.get('step') || '1';
-    
-    // Return a simple D&D Beyond character lookup interface
-    const uiChunk = {
-      success: true,
-      title: '🐉 D&D Beyond Character Lookup',
-      html: `
-        <div class="agent-ui-chunk">
-          <div class="prompt">
-            <h3>🐉 D&D Beyond Character Lookup</h3>
-            <p>Access public character sheets and campaign information from D&D Beyond.</p>
-          </div>
-          
-          <div class="section">
-            <h4>Character Lookup</h4>
-            <div class="input-group">
-              <label for="dndCharacterId">Character ID</label>
-              <input type="number" id="dndCharacterId" placeholder="Enter D&D Beyond character ID">
-              <small>Note: Only public characters can be accessed</small>
-            </div>
-            
-            <div class="actions">
-              <button class="btn btn-primary" onclick="lookupDndCharacter()">Get Character</button>
-            </div>
-            
-            <div id="dndCharacterResult" class="character-result" style="display: none;"></div>
-          </div>
-        </div>
-      `,
-      scripts: this.getDndAgentScripts()
+  // The hub's loadParty for a character: fresh loads each poll, rows carrying only the live fields
+  partyLiveLoader(characterId, env, ctx) {
+    const row = character => ({ id: character.id, name: character.name, status: 'ok', ...liveState(character) });
+    return () => this.fetchParty(characterId, env, ctx, { fresh: true, row });
+  },
+
+  partyRow(character) {
+    return {
+      id: character.id,
+      name: character.name,
+      status: 'ok',
+      level: character.level,
+      classes: character.classes.map(cls => `${cls.name} ${cls.level}`).join(' / '),
+      armorClass: character.armorClass,
+      hitPoints: character.hitPoints,
+      passives: character.passives,
+      spellSaveDC: character.spellSaveDC,
+      speed: character.speed,
+      conditions: character.conditions
     };
+  },
+
+  // Run fn over items with at most `limit` in flight
+  async mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
 
-    return new Response(JSON.stringify(uiChunk), {
+    const worker = async () => {
+      while (next < items.length) {
+        const index = next++;
+        results[index] = await fn(items[index]);
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+  },
+
+  // Returns an async gate that spaces successive callers at least delayMs apart
+  createSpacer(delayMs) {
+    let nextStart = 0;
+    return async () => {
+      const wait = nextStart - Date.now();
+      nextStart = Math.max(Date.now(), nextStart) + delayMs;
+      if (wait > 0) await new Promise(resolve => setTimeout(resolve, wait));
+    };
+  },
+
+  // Campaign block from the character payload, with linked characters
+  normalizeCampaign(campaign) {
+    // D&D Beyond privacy types: 1 = private, 2 = campaign only, 3 = public
+    const privacyNames = { 1: 'private', 2: 'campaign', 3: 'public' };
+
+    return {
+      id: campaign.id,
+      name: campaign.name,
+      description: campaign.description || null,
+      link: campaign.link || null,
+      dm: {
+        userId: campaign.dmUserId,
+        username: campaign.dmUsername
+      },
+      characters: (campaign.characters || []).map(member => ({
+        id: member.characterId,
+        name: member.characterName,
+        userId: member.userId,
+        username: member.username,
+        url: member.characterUrl || null,
+        avatarUrl: member.avatarUrl || null,
+        privacy: privacyNames[member.privacyType] || 'unknown',
+        isPublic: member.privacyType === 3
+      }))
+    };
+  },
+
+  // Handle complete UI requests for main agent integration: the chunk for ?step= with its script
+  // inline, for hosts that embed HTML rather than speak the chunk contract
+  async handleCompleteUI(req) {
+    const url = new URL(req.url);
+    let chunk;
+    try {
+      const { step, state } = parseChunkRequest(url);
+      chunk = uiChunk(step, state, url.origin);
+    } catch (error) {
+      if (!(error instanceof ChunkError)) throw error;
+      return this.jsonResponse({ error: error.error, message: error.message }, 400);
+    }
+
+    return new Response(`${chunk.html}\n<script>${chunk.scripts}</script>\n`, {
       headers: {
-        'Content-Type': 'application/json',
+        'Content-Type': 'text/html',
         'Access-Control-Allow-Origin': '*'
       }
     });
   },
 
-  // Get D&D Beyond agent JavaScript functions for UI chunks
-  getDndAgentScripts() {
-    return `
-      async function lookupDndCharacter() {
-        const characterIdInput = document.getElementById('dndCharacterId');
-        const characterId = characterIdInput.value.trim();
-        
-        if (!characterId) {
-          showAgentStatus('Please enter a character ID', 'error');
-          return;
-        }
-        
-        try {
-          showAgentStatus('Looking up character...', 'info');
-          const response = await fetch('./character/' + characterId);
-          
-          if (!response.ok) {
-            throw new Error('Character not found or not public');
-          }
-          
-          const result = await response.json();
-          if (result.success) {
-            displayDndCharacter(result.character);
-            hideAgentStatus();
-          } else {
-            throw new Error(result.error || 'Failed to fetch character');
-          }
-          
-        } catch (error) {
-          showAgentStatus('Error looking up character: ' + error.message, 'error');
-        }
-      }
-      
-      function displayDndCharacter(character) {
-        const resultDiv = document.getElementById('dndCharacterResult');
-        if (!resultDiv) return;
-        
-        let html = '<div class="character-display">';
-        html += '<h4>' + character.name + '</h4>';
-        
-        if (character.classes && character.classes.length > 0) {
-          const classInfo = character.classes.map(c => c.name + ' ' + c.level).join(', ');
-          html += '<p><strong>Classes:</strong> ' + classInfo + '</p>';
-        }
-        
-        html += '<p><strong>Level:</strong> ' + character.level + '</p>';
-        
-        if (character.race) {
-          html += '<p><strong>Race:</strong> ' + character.race + '</p>';
-        }
-        
-        if (character.hitPoints) {
-          html += '<p><strong>Hit Points:</strong> ' + character.hitPoints.current + '/' + character.hitPoints.max + '</p>';
-        }
-        
-        if (character.armorClass) {
-          html += '<p><strong>Armor Class:</strong> ' + character.armorClass + '</p>';
-        }
-        
-        if (character.stats) {
-          html += '<div class="stats-grid" style="display: grid; grid-template-columns: repeat(3, 1fr); gap: 10px; margin-top: 15px;">';
-          html += '<div><strong>STR:</strong> ' + character.stats.strength + '</div>';
-          html += '<div><strong>DEX:</strong> ' + character.stats.dexterity + '</div>';
-          html += '<div><strong>CON:</strong> ' + character.stats.constitution + '</div>';
-          html += '<div><strong>INT:</strong> ' + character.stats.intelligence + '</div>';
-          html += '<div><strong>WIS:</strong> ' + character.stats.wisdom + '</div>';
-          html += '<div><strong>CHA:</strong> ' + character.stats.charisma + '</div>';
-          html += '</div>';
-        }
-        
-        html += '</div>';
-        
-        resultDiv.innerHTML = html;
-        resultDiv.style.display = 'block';
-      }
-    `;
+  // Handle UI chunk requests for main agent integration (contract in src/uichunk.js)
+  async handleUIChunk(req) {
+    const url = new URL(req.url);
+    try {
+      const { step, state } = parseChunkRequest(url);
+      return this.jsonResponse(uiChunk(step, state, url.origin));
+    } catch (error) {
+      if (!(error instanceof ChunkError)) throw error;
+      return this.jsonResponse({
+        error: error.error,
+        message: error.message,
+        version: UI_CHUNK_VERSION,
+        steps: UI_STEPS.map(step => step.id)
+      }, 400);
+    }
   },
 
   getDndbeyondAgentUI(env) {
@@ -475,6 +1446,16 @@ This is an API-only agent. Use the /ui endpoint for the web interface.`, {
         .stat-grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(100px, 1fr)); gap: 10px; }
         .stat-block { background: white; padding: 10px; border-radius: 5px; text-align: center; }
         .stat-value { font-size: 1.2em; font-weight: bold; color: #DC143C; }
+        .party-title { font-size: 1.2em; font-weight: bold; color: #8B0000; margin-top: 20px; }
+        .character-card.changed { animation: changed 2s ease-out; }
+        .character-card.unavailable { opacity: 0.6; }
+        .member-note { color: #666; font-size: 0.9em; margin: 10px 0 0 0; }
+        .badges { margin: 10px 0; }
+        .badge { display: inline-block; padding: 3px 10px; margin: 0 6px 6px 0; border-radius: 999px; font-size: 0.85em; font-weight: 600; }
+        .badge.danger { background: #f8d7da; color: #721c24; }
+        .badge.warning { background: #fff3cd; color: #856404; }
+        .badge.good { background: #d5f4e6; color: #1e7e4a; }
+        @keyframes changed { from { background: #ffe08a; } to { background: #f8f9fa; } }
     </style>
 </head>
 <body>
@@ -484,6 +1465,11 @@ This is an API-only agent. Use the /ui endpoint for the web interface.`, {
             <p>Access public character sheets and campaign information</p>
         </div>
         <div class="content">
+            <div class="input-group">
+                <label for="apiKey">API Key</label>
+                <input type="password" id="apiKey" placeholder="Enter your API key">
+            </div>
+            
             <div class="input-group">
                 <label for="characterId">Character ID</label>
                 <input type="number" id="characterId" placeholder="Enter D&D Beyond character ID">
@@ -491,6 +1477,8 @@ This is an API-only agent. Use the /ui endpoint for the web interface.`, {
             </div>
             
             <button class="btn" onclick="lookupCharacter()">Get Character</button>
+            <button class="btn" onclick="watchParty()">Watch Party</button>
+            <button class="btn" onclick="stopWatching()">Stop</button>
             
             <div class="status" id="status"></div>
             <div id="results"></div>
@@ -506,17 +1494,26 @@ This is an API-only agent. Use the /ui endpoint for the web interface.`, {
         }
         
         async function lookupCharacter() {
+            const apiKey = document.getElementById('apiKey').value.trim();
             const characterId = document.getElementById('characterId').value.trim();
             
+            if (!apiKey) {
+                showStatus('error', 'Please enter your API key');
+                return;
+            }
+            
             if (!characterId) {
                 showStatus('error', 'Please enter a character ID');
                 return;
             }
             
+            stopWatching();
             showStatus('info', 'Looking up character...');
             
             try {
-                const response = await fetch(\`./character/\${characterId}\`);
+                const response = await fetch(\`./character/\${characterId}\`, {
+                    headers: { 'Authorization': \`Bearer \${apiKey}\` }
+                });
                 
                 const result = await response.json();
                 
@@ -531,56 +1528,226 @@ This is an API-only agent. Use the /ui endpoint for the web interface.`, {
             }
         }
         
+        // Upstream strings (names, conditions) are only ever set as textContent
         function displayCharacter(character) {
-            const results = document.getElementById('results');
-            results.innerHTML = \`
-                <div class="character-card">
-                    <div class="character-name">\${character.name}</div>
-                    <p>Level \${character.level} \${character.race} \${character.classes.map(c => c.name).join('/')}</p>
-                    
-                    <div class="stat-grid">
-                        <div class="stat-block">
-                            <div>Hit Points</div>
-                            <div class="stat-value">\${character.hitPoints.current}/\${character.hitPoints.max}</div>
-                        </div>
-                        <div class="stat-block">
-                            <div>AC</div>
-                            <div class="stat-value">\${character.armorClass}</div>
-                        </div>
-                        <div class="stat-block">
-                            <div>Speed</div>
-                            <div class="stat-value">\${character.speed}</div>
-                        </div>
-                        <div class="stat-block">
-                            <div>STR</div>
-                            <div class="stat-value">\${character.stats.strength}</div>
-                        </div>
-                        <div class="stat-block">
-                            <div>DEX</div>
-                            <div class="stat-value">\${character.stats.dexterity}</div>
-                        </div>
-                        <div class="stat-block">
-                            <div>CON</div>
-                            <div class="stat-value">\${character.stats.constitution}</div>
-                        </div>
-                        <div class="stat-block">
-                            <div>INT</div>
-                            <div class="stat-value">\${character.stats.intelligence}</div>
-                        </div>
-                        <div class="stat-block">
-                            <div>WIS</div>
-                            <div class="stat-value">\${character.stats.wisdom}</div>
-                        </div>
-                        <div class="stat-block">
-                            <div>CHA</div>
-                            <div class="stat-value">\${character.stats.charisma}</div>
-                        </div>
-                    </div>
-                </div>
-            \`;
+            const card = element('div', 'character-card');
+            card.append(
+                element('div', 'character-name', character.name),
+                element('p', null, \`Level \${character.level} \${character.race || ''} \${character.classes.map(c => c.name).join('/')}\`)
+            );
+            const badges = combatBadges(character.combatState);
+            if (badges) card.append(badges);
+
+            const grid = element('div', 'stat-grid');
+            grid.append(
+                statBlock('Hit Points', \`\${character.hitPoints.current}/\${character.hitPoints.max}\`),
+                statBlock('Hit Dice', hitDiceSummary(character.combatState)),
+                statBlock('AC', character.armorClass),
+                statBlock('Speed', character.speed),
+                ...['strength', 'dexterity', 'constitution', 'intelligence', 'wisdom', 'charisma']
+                    .map(key => statBlock(key.slice(0, 3).toUpperCase(), character.stats[key]))
+            );
+            card.append(grid);
+            document.getElementById('results').replaceChildren(card);
+        }
+
+        // Conditions and exhaustion show their effects on hover
+        function combatBadges(state) {
+            if (!state) return null;
+            const badges = element('div', 'badges');
+            const badge = (kind, text, title) => {
+                const span = element('span', \`badge \${kind}\`, text);
+                if (title) span.title = title;
+                badges.append(span);
+            };
+            const saves = state.deathSaves;
+            const tally = \`\${saves.successes} successes, \${saves.failures} failures\`;
+            if (saves.state === 'dead') badge('danger', 'Dead', tally);
+            if (saves.state === 'dying') badge('danger', \`Dying (\${saves.successes}✓ \${saves.failures}✗)\`, tally);
+            if (saves.state === 'stable') badge('warning', 'Stable at 0 HP', tally);
+            state.conditions.forEach(condition => badge('warning', condition.name, condition.effects.join('; ')));
+            if (state.exhaustion.level) badge('warning', \`Exhaustion \${state.exhaustion.level}\`, state.exhaustion.effects.join('; '));
+            if (state.inspiration) badge('good', 'Inspiration');
+            return badges.childElementCount ? badges : null;
+        }
+
+        function hitDiceSummary(state) {
+            if (!state || !state.hitDice.length) return '-';
+            return state.hitDice.map(dice => \`\${dice.remaining}/\${dice.total}\${dice.die ? ' ' + dice.die : ''}\`).join(' + ');
+        }
+
+        // Live party dashboard. The stream needs the Authorization header, which EventSource
+        // cannot send, so it is read with fetch and parsed here.
+        let partyStream = null;
+        let reconnectMs = 5000;
+        const party = new Map();
+        let partyCampaign = null;
+
+        function stopWatching() {
+            if (partyStream) partyStream.abort();
+            partyStream = null;
+        }
+
+        async function watchParty() {
+            const apiKey = document.getElementById('apiKey').value.trim();
+            const characterId = document.getElementById('characterId').value.trim();
+
+            if (!apiKey) {
+                showStatus('error', 'Please enter your API key');
+                return;
+            }
+
+            if (!characterId) {
+                showStatus('error', 'Please enter a character ID');
+                return;
+            }
+
+            stopWatching();
+            const controller = new AbortController();
+            partyStream = controller;
+            showStatus('info', 'Connecting to party stream...');
+
+            try {
+                const response = await fetch(\`./party/\${characterId}/stream\`, {
+                    headers: { 'Authorization': \`Bearer \${apiKey}\`, 'Accept': 'text/event-stream' },
+                    signal: controller.signal
+                });
+
+                if (!response.ok) {
+                    const result = await response.json().catch(() => ({}));
+                    partyStream = null;
+                    showStatus('error', 'Error: ' + (result.message || result.error || 'HTTP ' + response.status));
+                    return;
+                }
+
+                showStatus('success', 'Watching party - changes appear as they happen');
+                await readEvents(response.body, handlePartyEvent);
+            } catch (error) {
+                if (controller.signal.aborted) return;
+                showStatus('error', 'Stream interrupted: ' + error.message);
+            }
+
+            // The server closed the stream or the network dropped; reconnect unless stopped
+            if (partyStream === controller) {
+                setTimeout(() => {
+                    if (partyStream === controller) watchParty();
+                }, reconnectMs);
+            }
+        }
+
+        // Minimal Server-Sent Events parser: blocks separated by blank lines, comments ignored
+        async function readEvents(body, onEvent) {
+            const reader = body.pipeThrough(new TextDecoderStream()).getReader();
+            let buffer = '';
+            for (;;) {
+                const { value, done } = await reader.read();
+                if (done) return;
+                buffer += value.replace(/\\r\\n?/g, '\\n');
+
+                let boundary;
+                while ((boundary = buffer.indexOf('\\n\\n')) !== -1) {
+                    const block = buffer.slice(0, boundary);
+                    buffer = buffer.slice(boundary + 2);
+
+                    let event = 'message';
+                    const data = [];
+                    for (const line of block.split('\\n')) {
+                        if (!line || line.startsWith(':')) continue;
+                        const colon = line.indexOf(':');
+                        const field = colon === -1 ? line : line.slice(0, colon);
+                        const fieldValue = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+                        if (field === 'event') event = fieldValue;
+                        else if (field === 'data') data.push(fieldValue);
+                        else if (field === 'retry') reconnectMs = Number(fieldValue) || reconnectMs;
+                    }
+                    if (data.length) onEvent(event, JSON.parse(data.join('\\n')));
+                }
+            }
+        }
+
+        function handlePartyEvent(event, data) {
+            if (event === 'snapshot') {
+                party.clear();
+                data.members.forEach(member => party.set(String(member.id), member));
+                renderParty(data.campaign, new Set());
+            } else if (event === 'update') {
+                const changed = new Set();
+                data.members.forEach(({ id, changes }) => {
+                    const member = party.get(String(id));
+                    if (!member) return;
+                    Object.assign(member, changes);
+                    if (changes.status === 'ok') {
+                        delete member.code;
+                        delete member.reason;
+                    }
+                    changed.add(String(id));
+                });
+                renderParty(null, changed);
+            } else if (event === 'error') {
+                showStatus('error', 'Party stream: ' + data.message);
+            }
+        }
+
+        function element(tag, className, text) {
+            const node = document.createElement(tag);
+            if (className) node.className = className;
+            if (text !== undefined) node.textContent = text;
+            return node;
+        }
+
+        function statBlock(label, value) {
+            const block = element('div', 'stat-block');
+            block.append(element('div', null, label), element('div', 'stat-value', String(value)));
+            return block;
+        }
+
+        function slotSummary(used) {
+            const entries = Object.entries(used || {}).filter(([, count]) => count > 0);
+            if (!entries.length) return 'None';
+            return entries.map(([level, count]) => (level === 'pact' ? 'Pact' : 'L' + level) + ': ' + count).join(', ');
+        }
+
+        function renderParty(campaign, changed) {
+            if (campaign) partyCampaign = campaign;
+            const title = element('div', 'party-title', partyCampaign ? partyCampaign.name : 'Party');
+            const cards = [...party.values()].map(member => {
+                const card = element('div', 'character-card');
+                if (member.status !== 'ok') card.classList.add('unavailable');
+                if (changed.has(String(member.id))) card.classList.add('changed');
+                card.append(element('div', 'character-name', member.name));
+
+                if (member.hitPoints) {
+                    const saves = member.deathSaves || {};
+                    const grid = element('div', 'stat-grid');
+                    grid.append(
+                        statBlock('Hit Points', member.hitPoints.current + '/' + member.hitPoints.max),
+                        statBlock('Temp HP', member.tempHitPoints || 0),
+                        statBlock('Death Saves', saves.stabilized ? 'Stable' : saves.successes + ' ✓ / ' + saves.failures + ' ✗'),
+                        statBlock('Inspiration', member.inspiration ? 'Yes' : 'No'),
+                        statBlock('Slots Used', slotSummary(member.spellSlotsUsed))
+                    );
+                    card.append(grid);
+                    card.append(element('p', 'member-note', 'Conditions: ' + (member.conditions.length ? member.conditions.join(', ') : 'None')));
+                }
+                if (member.status !== 'ok') {
+                    card.append(element('p', 'member-note', member.reason || 'Unavailable'));
+                }
+                return card;
+            });
+            document.getElementById('results').replaceChildren(title, ...cards);
         }
     </script>
 </body>
 </html>`;
   }
-}; 
\ No newline at end of file
+};
+
+export default agent;
+
+// One live-update hub per campaign for /party/{characterId}/stream, polling through the agent so
+// it shares the character cache and the upstream throttle
+export class PartyStream extends PartyStreamObject {
+  loader(characterId, env, state) {
+    return agent.partyLiveLoader(characterId, env, { waitUntil: promise => state.waitUntil(promise) });
+  }
+}
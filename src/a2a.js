@@ -0,0 +1,274 @@
+// A2A protocol surface: the AgentCard and a JSON-RPC 2.0 endpoint (message/send, tasks/get)
+// Tasks complete synchronously; they are kept in the A2A_TASKS KV namespace when bound so
+// tasks/get works across isolates, otherwise in memory for the life of the isolate.
+
+export const PROTOCOL_VERSION = '0.3.0';
+
+// Skills advertised on the card; `scope` is the API key scope a caller needs to run it
+export const SKILLS = [
+  {
+    id: 'character-lookup',
+    name: 'Character lookup',
+    description: 'Fetch a D&D Beyond character sheet with derived stats, skills, spells and inventory.',
+    tags: ['dnd', 'character-sheet'],
+    examples: ['Look up character 12345678', '{"skill": "character-lookup", "characterId": 12345678}'],
+    scope: 'character'
+  },
+  {
+    id: 'party-overview',
+    name: 'Party overview',
+    description: "Compact DM-screen rows for every public member of a character's campaign.",
+    tags: ['dnd', 'party', 'dm'],
+    examples: ['Show the party for character 12345678'],
+    scope: 'party'
+  },
+  {
+    id: 'spell-query',
+    name: 'Spell query',
+    description: "A character's spellcasting: save DC, attack bonus, slots and prepared spells.",
+    tags: ['dnd', 'spells'],
+    examples: ['Which spells does character 12345678 have prepared?'],
+    scope: 'character'
+  }
+];
+
+const JSON_RPC_ERRORS = {
+  parse: { code: -32700, message: 'Parse error' },
+  invalidRequest: { code: -32600, message: 'Invalid Request' },
+  methodNotFound: { code: -32601, message: 'Method not found' },
+  invalidParams: { code: -32602, message: 'Invalid params' },
+  taskNotFound: { code: -32001, message: 'Task not found' },
+  taskNotCancelable: { code: -32002, message: 'Task cannot be canceled' },
+  unsupportedOperation: { code: -32004, message: 'This operation is not supported' }
+};
+
+const TASK_TTL_SECONDS = 86400;
+// Without A2A_TASKS, tasks live in this isolate: id -> { task, expiresAt }, oldest first.
+// Expired entries are dropped as they are read or as new tasks come in, and the oldest go
+// once the map is full, so memory stays bounded however many messages are sent.
+const MEMORY_TASK_LIMIT = 200;
+const memoryTasks = new Map();
+
+function pruneMemoryTasks(now) {
+  for (const [id, { expiresAt }] of memoryTasks) {
+    if (expiresAt > now && memoryTasks.size <= MEMORY_TASK_LIMIT) break;
+    memoryTasks.delete(id);
+  }
+}
+
+export function buildAgentCard(origin, restEndpoints) {
+  return {
+    protocolVersion: PROTOCOL_VERSION,
+    name: 'D&D Beyond Character & Campaign Agent',
+    description: 'Fetches character sheets, campaign information, and party details from D&D Beyond.',
+    url: `${origin}/a2a`,
+    preferredTransport: 'JSONRPC',
+    version: '1.0.0',
+    capabilities: { streaming: false, pushNotifications: false, stateTransitionHistory: false },
+    securitySchemes: {
+      bearer: { type: 'http', scheme: 'bearer', description: 'API key from the API_KEY or API_KEYS secret' }
+    },
+    security: [{ bearer: [] }],
+    defaultInputModes: ['text/plain', 'application/json'],
+    defaultOutputModes: ['application/json', 'text/plain'],
+    skills: SKILLS.map(({ scope, ...skill }) => ({
+      ...skill,
+      inputModes: ['text/plain', 'application/json'],
+      outputModes: ['application/json', 'text/plain']
+    })),
+    // REST routes for clients that do not speak A2A
+    api: {
+      url: origin,
+      authentication: {
+        type: 'bearer',
+        header: 'Authorization',
+        scheme: 'Bearer',
+        scopes: {
+          character: 'Character lookups',
+          campaign: 'Campaign details',
+          party: 'Party overview for the DM screen',
+          watch: 'Character change notifications'
+        }
+      },
+      endpoints: restEndpoints
+    }
+  };
+}
+
+const taskStore = env => ({
+  async get(id) {
+    if (env.A2A_TASKS) return env.A2A_TASKS.get(`task:${id}`, 'json');
+    const entry = memoryTasks.get(id);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      memoryTasks.delete(id);
+      return null;
+    }
+    return entry.task;
+  },
+  async put(task) {
+    if (env.A2A_TASKS) {
+      await env.A2A_TASKS.put(`task:${task.id}`, JSON.stringify(task), { expirationTtl: TASK_TTL_SECONDS });
+    } else {
+      const now = Date.now();
+      // Re-inserting moves a continued task to the newest end and renews its TTL
+      memoryTasks.delete(task.id);
+      memoryTasks.set(task.id, { task, expiresAt: now + TASK_TTL_SECONDS * 1000 });
+      pruneMemoryTasks(now);
+    }
+  }
+});
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Pull the skill and character id from data parts, metadata or free text; parts that are
+// not objects are skipped
+export function parseMessage(message) {
+  const parts = (message?.parts || []).filter(isObject);
+  const data = Object.assign({}, ...parts.filter(part => part.kind === 'data' && isObject(part.data)).map(part => part.data));
+  const text = parts.filter(part => part.kind === 'text').map(part => part.text).join('\n');
+
+  let skillId = data.skill || data.skillId || message?.metadata?.skillId || null;
+  if (!skillId) {
+    if (/\b(party|campaign|group|table)\b/i.test(text)) skillId = 'party-overview';
+    else if (/\b(spells?|slots?|cantrips?|prepared)\b/i.test(text)) skillId = 'spell-query';
+    else skillId = 'character-lookup';
+  }
+
+  // A dndbeyond.com/characters/<id> URL, "character 123", or any long number
+  const idFromText = text.match(/characters\/(\d+)/)?.[1] ||
+    text.match(/\bcharacter\s+(?:id\s+)?#?(\d+)/i)?.[1] ||
+    text.match(/\b(\d{4,})\b/)?.[1];
+  const characterId = String(data.characterId ?? idFromText ?? '') || null;
+
+  return { skillId, characterId, text };
+}
+
+const agentMessage = (text, taskId, contextId) => ({
+  kind: 'message',
+  role: 'agent',
+  messageId: crypto.randomUUID(),
+  taskId,
+  contextId,
+  parts: [{ kind: 'text', text }]
+});
+
+function rpcError(id, error, data) {
+  return { jsonrpc: '2.0', id: id ?? null, error: data ? { ...error, data } : error };
+}
+
+// Handle one JSON-RPC request object. Returns null for notifications: every A2A method
+// answers with a task or an error, so one sent without an id has nothing to do. `context` supplies:
+//   keyName   - the authenticated API key, so tasks are only visible to their creator
+//   canUse    - (scope) => boolean
+//   runSkill  - (skillId, characterId) => { data, summary }
+export async function handleRpc(rpc, env, context) {
+  if (!rpc || rpc.jsonrpc !== '2.0' || typeof rpc.method !== 'string') {
+    return rpcError(rpc?.id, JSON_RPC_ERRORS.invalidRequest);
+  }
+
+  const store = taskStore(env);
+  const { id, method, params = {} } = rpc;
+  if (id === undefined) return null;
+  // A default only covers a missing params; null, arrays and scalars are rejected here
+  if (!isObject(params)) return rpcError(id, JSON_RPC_ERRORS.invalidParams, 'params must be an object');
+
+  if (method === 'message/send') {
+    const message = params.message;
+    if (!isObject(message) || !Array.isArray(message.parts)) {
+      return rpcError(id, JSON_RPC_ERRORS.invalidParams, 'params.message with parts is required');
+    }
+    if (!message.parts.every(isObject)) {
+      return rpcError(id, JSON_RPC_ERRORS.invalidParams, 'Every message part must be an object');
+    }
+
+    // A message naming a task answers that task's input-required question
+    let previous = null;
+    if (message.taskId) {
+      previous = await store.get(message.taskId);
+      if (!previous || previous.metadata?.owner !== context.keyName) return rpcError(id, JSON_RPC_ERRORS.taskNotFound);
+      if (previous.status.state !== 'input-required') {
+        return rpcError(id, JSON_RPC_ERRORS.unsupportedOperation, `Task ${previous.id} is ${previous.status.state} and takes no further input`);
+      }
+    }
+
+    const taskId = previous?.id || crypto.randomUUID();
+    const contextId = previous?.contextId || message.contextId || crypto.randomUUID();
+    // A follow-up keeps the skill already chosen for the task unless it names another
+    const { skillId, characterId } = parseMessage(
+      previous ? { ...message, metadata: { skillId: previous.metadata.skillId, ...message.metadata } } : message
+    );
+    const skill = SKILLS.find(candidate => candidate.id === skillId);
+
+    const task = {
+      kind: 'task',
+      id: taskId,
+      contextId,
+      status: { state: 'completed', timestamp: new Date().toISOString() },
+      artifacts: [],
+      history: [...(previous?.history || []), { ...message, taskId, contextId }],
+      metadata: { skillId, owner: context.keyName }
+    };
+
+    if (!skill) {
+      task.status = { state: 'rejected', timestamp: task.status.timestamp, message: agentMessage(`Unknown skill "${skillId}"`, taskId, contextId) };
+    } else if (!context.canUse(skill.scope)) {
+      task.status = { state: 'rejected', timestamp: task.status.timestamp, message: agentMessage(`This API key does not have the "${skill.scope}" scope`, taskId, contextId) };
+    } else if (!characterId || !/^\d+$/.test(characterId)) {
+      task.status = { state: 'input-required', timestamp: task.status.timestamp, message: agentMessage('Which D&D Beyond character ID should I use?', taskId, contextId) };
+    } else {
+      try {
+        const { data, summary } = await context.runSkill(skill.id, characterId);
+        task.artifacts.push({
+          artifactId: crypto.randomUUID(),
+          name: skill.id,
+          parts: [{ kind: 'data', data }, { kind: 'text', text: summary }]
+        });
+        task.status.message = agentMessage(summary, taskId, contextId);
+      } catch (error) {
+        task.status = {
+          state: 'failed',
+          timestamp: task.status.timestamp,
+          message: agentMessage(`${error.message}${error.code ? ` (${error.code})` : ''}`, taskId, contextId)
+        };
+      }
+    }
+
+    if (task.status.message) task.history.push(task.status.message);
+    await store.put(task);
+    return { jsonrpc: '2.0', id, result: publicTask(task) };
+  }
+
+  if (method === 'tasks/get') {
+    if (!params.id) return rpcError(id, JSON_RPC_ERRORS.invalidParams, 'params.id is required');
+    const task = await store.get(params.id);
+    if (!task || task.metadata?.owner !== context.keyName) return rpcError(id, JSON_RPC_ERRORS.taskNotFound);
+    return { jsonrpc: '2.0', id, result: publicTask(task, params.historyLength) };
+  }
+
+  if (method === 'tasks/cancel') {
+    if (!params.id) return rpcError(id, JSON_RPC_ERRORS.invalidParams, 'params.id is required');
+    const task = await store.get(params.id);
+    if (!task || task.metadata?.owner !== context.keyName) return rpcError(id, JSON_RPC_ERRORS.taskNotFound);
+    // Tasks finish within the request that created them, so there is never anything to cancel
+    return rpcError(id, JSON_RPC_ERRORS.taskNotCancelable);
+  }
+
+  return rpcError(id, JSON_RPC_ERRORS.methodNotFound);
+}
+
+export function parseError() {
+  return rpcError(null, JSON_RPC_ERRORS.parse);
+}
+
+// An empty or oversized batch is answered with a single error, as JSON-RPC 2.0 does for []
+export function batchError(maxBatch) {
+  return rpcError(null, JSON_RPC_ERRORS.invalidRequest, `A batch must hold 1 to ${maxBatch} requests`);
+}
+
+function publicTask(task, historyLength) {
+  const { owner, ...metadata } = task.metadata || {};
+  let history = task.history;
+  if (Number.isInteger(historyLength)) history = historyLength > 0 ? history.slice(-historyLength) : [];
+  return { ...task, history, metadata };
+}
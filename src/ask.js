@@ -0,0 +1,315 @@
+// Rule-based answers to common table questions about a set of normalized characters.
+// Intents are matched with keyword patterns so the route runs offline; every answer lists
+// the character fields it read in `citations`.
+
+import { ABILITIES, SKILLS } from './derive.js';
+
+// Numeric fields that can be looked up or compared; the first matching pattern wins, so
+// more specific phrases ("passive perception", "wisdom save") come before general ones
+const ATTRIBUTES = [
+  { pattern: /\bpassive (wisdom \()?perception\b/, field: 'passives.perception', label: 'passive Perception' },
+  { pattern: /\bpassive (intelligence \()?investigation\b/, field: 'passives.investigation', label: 'passive Investigation' },
+  { pattern: /\bpassive (wisdom \()?insight\b/, field: 'passives.insight', label: 'passive Insight' },
+  { pattern: /\bmax(imum)? (hp|hit points|health)\b/, field: 'hitPoints.max', label: 'maximum hit points' },
+  { pattern: /\btemp(orary)? (hp|hit points)\b/, field: 'hitPoints.temp', label: 'temporary hit points' },
+  { pattern: /\b(hp|hit points|health)\b/, field: 'hitPoints.current', label: 'current hit points' },
+  { pattern: /\b(ac|armou?r class)\b/, field: 'armorClass', label: 'AC' },
+  { pattern: /\b(spell )?(save )?dc\b/, field: 'spellSaveDC', label: 'spell save DC' },
+  { pattern: /\bproficiency bonus\b/, field: 'proficiencyBonus', label: 'proficiency bonus' },
+  { pattern: /\b(speed|fastest|slowest)\b/, field: 'speed', label: 'speed' },
+  ...ABILITIES.map(({ key, short }) => ({
+    pattern: new RegExp(`\\b(${key}|${short}) sav(e|es|ing throws?)\\b`),
+    field: `savingThrows.${key}.bonus`,
+    label: `${capitalize(key)} save`
+  })),
+  ...ABILITIES.map(({ key, short }) => ({
+    pattern: new RegExp(`\\b(${key}|${short}) mod(ifier)?\\b`),
+    field: `abilityModifiers.${key}`,
+    label: `${capitalize(key)} modifier`
+  })),
+  ...SKILLS.map(({ key, name }) => ({
+    pattern: new RegExp(`\\b${name.toLowerCase()}\\b`),
+    field: `skills.${key}.bonus`,
+    label: name
+  })),
+  ...ABILITIES.map(({ key, short }) => ({
+    pattern: new RegExp(`\\b(${key}|${short})\\b`),
+    field: `stats.${key}`,
+    label: capitalize(key)
+  })),
+  { pattern: /\blevel\b/, field: 'level', label: 'level' }
+];
+
+const HIGHEST = /\b(highest|best|most|greatest|largest|biggest|fastest|strongest|top)\b/;
+const LOWEST = /\b(lowest|worst|least|smallest|fewest|slowest|weakest)\b/;
+
+const ORDINALS = { 1: '1st', 2: '2nd', 3: '3rd' };
+const ordinal = level => ORDINALS[level] || `${level}th`;
+
+export const EXAMPLE_QUESTIONS = [
+  'Who has the highest passive perception?',
+  "What's Thorin's AC?",
+  'Which spell slots does Mira have left?',
+  'Who is proficient in Arcana?',
+  'Who can cast Fireball?',
+  'Who speaks Elvish?',
+  'Who is carrying a Potion of Healing?'
+];
+
+function capitalize(word) {
+  return word.charAt(0).toUpperCase() + word.slice(1);
+}
+
+function readField(character, field) {
+  return field.split('.').reduce((value, key) => value?.[key], character) ?? null;
+}
+
+function joinNames(names) {
+  return names.length > 1 ? `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}` : names[0] || '';
+}
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const mentions = (text, phrase) => new RegExp(`\\b${escapeRegExp(phrase.toLowerCase())}\\b`).test(text);
+
+const NAME_FILLERS = new Set(['the', 'of', 'von', 'van', 'der', 'del', 'and']);
+
+// Characters named in the question by full name or any part of it; all of them when none are
+function namedCharacters(text, characters) {
+  const named = characters.filter(character => {
+    const name = String(character.name || '');
+    return mentions(text, name) || name.split(/\s+/)
+      .some(part => part.length > 2 && !NAME_FILLERS.has(part.toLowerCase()) && mentions(text, part));
+  });
+  return named.length ? named : characters;
+}
+
+// The longest known phrase (spell, item, language, proficiency) that appears in the question
+function mentionedPhrase(text, phrases) {
+  return [...new Set(phrases.filter(Boolean))]
+    .sort((a, b) => b.length - a.length)
+    .find(phrase => mentions(text, phrase) || (phrase.endsWith('s') && mentions(text, phrase.slice(0, -1)))) || null;
+}
+
+const cite = (character, field, value) => ({ characterId: character.id, name: character.name, field, value });
+
+function allSpells(character) {
+  const spellcasting = character.spellcasting || {};
+  return [
+    ...(spellcasting.classes || []).flatMap(entry =>
+      [...entry.cantrips, ...entry.spells].map(spell => ({ ...spell, source: entry.class, field: 'spellcasting.classes' }))),
+    ...(spellcasting.additionalSpells || []).map(spell => ({ ...spell, field: 'spellcasting.additionalSpells' }))
+  ];
+}
+
+function compareAttribute(text, characters, attribute) {
+  const lowest = LOWEST.test(text);
+  const rows = characters.map(character => ({ character, value: readField(character, attribute.field) }));
+  const ranked = rows.filter(row => typeof row.value === 'number');
+  if (!ranked.length) {
+    return { answer: `None of these characters have a ${attribute.label}.`, results: [], citations: [] };
+  }
+
+  const best = lowest ? Math.min(...ranked.map(row => row.value)) : Math.max(...ranked.map(row => row.value));
+  const leaders = ranked.filter(row => row.value === best).map(row => row.character.name);
+  const extreme = lowest ? 'lowest' : 'highest';
+  const answer = leaders.length > 1
+    ? `${joinNames(leaders)} are tied for the ${extreme} ${attribute.label} (${best}).`
+    : `${leaders[0]} has the ${extreme} ${attribute.label} (${best}).`;
+
+  return {
+    answer,
+    results: ranked
+      .sort((a, b) => (lowest ? a.value - b.value : b.value - a.value))
+      .map(({ character, value }) => ({ characterId: character.id, name: character.name, value })),
+    citations: rows.map(({ character, value }) => cite(character, attribute.field, value))
+  };
+}
+
+function lookupAttribute(characters, attribute) {
+  const rows = characters.map(character => ({ character, value: readField(character, attribute.field) }));
+  return {
+    answer: rows
+      .map(({ character, value }) => value === null
+        ? `${character.name} has no ${attribute.label}.`
+        : `${character.name}'s ${attribute.label} is ${value}.`)
+      .join(' '),
+    results: rows.map(({ character, value }) => ({ characterId: character.id, name: character.name, value })),
+    citations: rows.map(({ character, value }) => cite(character, attribute.field, value))
+  };
+}
+
+function spellSlots(text, characters) {
+  const levelMatch = text.match(/\b(?:level[ -]?([1-9])|([1-9])(?:st|nd|rd|th)?[ -]level)\b/);
+  const level = levelMatch ? Number(levelMatch[1] || levelMatch[2]) : null;
+
+  const results = characters.map(character => {
+    const slots = (character.spellcasting?.slots || [])
+      .filter(slot => slot.max > 0 && (level === null || slot.level === level));
+    const pactMagic = character.spellcasting?.pactMagic;
+    const pact = pactMagic && (level === null || pactMagic.level === level) ? pactMagic : null;
+    return { characterId: character.id, name: character.name, slots, pactMagic: pact };
+  });
+
+  const answer = results.map(({ name, slots, pactMagic }) => {
+    const parts = slots.map(slot => `${slot.remaining} of ${slot.max} ${ordinal(slot.level)}-level`);
+    if (pactMagic) parts.push(`${pactMagic.remaining} of ${pactMagic.max} pact (${ordinal(pactMagic.level)}-level)`);
+    if (!parts.length) return `${name} has no ${level ? `${ordinal(level)}-level ` : ''}spell slots.`;
+    return `${name} has ${joinNames(parts)} slots left.`;
+  }).join(' ');
+
+  return {
+    answer,
+    results,
+    citations: characters.flatMap(character => [
+      cite(character, 'spellcasting.slots', character.spellcasting?.slots || []),
+      cite(character, 'spellcasting.pactMagic', character.spellcasting?.pactMagic || null)
+    ])
+  };
+}
+
+// Skill and saving throw proficiency, then armor, weapon and tool proficiencies
+function proficiency(text, characters) {
+  const save = ABILITIES.find(({ key, short }) => new RegExp(`\\b(${key}|${short}) sav(e|es|ing throws?)\\b`).test(text));
+  const skill = SKILLS.find(({ name }) => mentions(text, name));
+
+  let subject;
+  let field;
+  let check;
+  if (save) {
+    subject = `${capitalize(save.key)} saving throws`;
+    field = `savingThrows.${save.key}.proficient`;
+    check = character => readField(character, field) === true;
+  } else if (skill) {
+    subject = skill.name;
+    field = `skills.${skill.key}`;
+    check = character => Boolean(readField(character, field)?.proficient || readField(character, field)?.expertise);
+  } else {
+    const categories = ['armor', 'weapons', 'tools'];
+    const phrase = mentionedPhrase(text, characters.flatMap(character =>
+      categories.flatMap(category => character.proficiencies?.[category] || [])));
+    if (!phrase) return null;
+    const category = categories.find(name =>
+      characters.some(character => (character.proficiencies?.[name] || []).includes(phrase)));
+    subject = phrase;
+    field = `proficiencies.${category}`;
+    check = character => (character.proficiencies?.[category] || []).includes(phrase);
+  }
+
+  const proficient = characters.filter(check);
+  const expert = skill && !save ? proficient.filter(character => readField(character, field).expertise) : [];
+  let answer = proficient.length
+    ? `${joinNames(proficient.map(character => character.name))} ${proficient.length > 1 ? 'are' : 'is'} proficient in ${subject}.`
+    : `Nobody here is proficient in ${subject}.`;
+  if (expert.length) answer += ` ${joinNames(expert.map(character => character.name))} ${expert.length > 1 ? 'have' : 'has'} expertise.`;
+
+  return {
+    answer,
+    results: proficient.map(character => ({
+      characterId: character.id,
+      name: character.name,
+      ...(skill && !save ? { expertise: Boolean(readField(character, field).expertise), bonus: readField(character, field).bonus } : {})
+    })),
+    citations: characters.map(character => cite(character, field, readField(character, field)))
+  };
+}
+
+function language(text, characters) {
+  const phrase = mentionedPhrase(text, characters.flatMap(character => character.languages || []));
+  if (!phrase) return null;
+  const speakers = characters.filter(character => (character.languages || []).includes(phrase));
+  return {
+    answer: `${joinNames(speakers.map(character => character.name))} ${speakers.length > 1 ? 'speak' : 'speaks'} ${phrase}.`,
+    results: speakers.map(character => ({ characterId: character.id, name: character.name })),
+    citations: characters.map(character => cite(character, 'languages', character.languages || []))
+  };
+}
+
+function spell(text, characters) {
+  const phrase = mentionedPhrase(text, characters.flatMap(character => allSpells(character).map(entry => entry.name)));
+  if (!phrase) return null;
+
+  const results = characters.flatMap(character => allSpells(character)
+    .filter(entry => entry.name === phrase)
+    .slice(0, 1)
+    .map(entry => ({
+      characterId: character.id,
+      name: character.name,
+      source: entry.source,
+      prepared: entry.level === 0 || entry.prepared || entry.alwaysPrepared || entry.field === 'spellcasting.additionalSpells',
+      field: entry.field
+    })));
+  const ready = results.filter(result => result.prepared).map(result => result.name);
+  const unprepared = results.filter(result => !result.prepared).map(result => result.name);
+
+  let answer = ready.length ? `${joinNames(ready)} can cast ${phrase}.` : `Nobody has ${phrase} prepared.`;
+  if (unprepared.length) answer += ` ${joinNames(unprepared)} ${unprepared.length > 1 ? 'know' : 'knows'} it but ${unprepared.length > 1 ? 'have' : 'has'} not prepared it.`;
+
+  return {
+    answer,
+    results: results.map(({ field, ...result }) => result),
+    citations: results.map(result => cite(characters.find(character => character.id === result.characterId), result.field, phrase))
+  };
+}
+
+function item(text, characters) {
+  const phrase = mentionedPhrase(text, characters.flatMap(character => (character.inventory?.items || []).map(entry => entry.name)));
+  if (!phrase) return null;
+
+  const results = characters.flatMap(character => {
+    const matches = (character.inventory?.items || []).filter(entry => entry.name === phrase);
+    if (!matches.length) return [];
+    return [{
+      characterId: character.id,
+      name: character.name,
+      quantity: matches.reduce((total, entry) => total + (entry.quantity || 1), 0),
+      equipped: matches.some(entry => entry.equipped)
+    }];
+  });
+
+  return {
+    answer: `${joinNames(results.map(result => `${result.name}${result.quantity > 1 ? ` (${result.quantity})` : ''}`))} ${results.length > 1 ? 'have' : 'has'} ${phrase}.`,
+    results,
+    citations: results.map(result => cite(characters.find(character => character.id === result.characterId), 'inventory.items', phrase))
+  };
+}
+
+// Returns { intent, answer, results, citations }, or null when no rule matches the question
+export function answerQuestion(question, characters) {
+  const text = String(question).toLowerCase().replace(/[’‘]/g, "'").replace(/\s+/g, ' ').trim();
+  const targets = namedCharacters(text, characters);
+  const attribute = ATTRIBUTES.find(candidate => candidate.pattern.test(text));
+
+  if (/\bspell ?slots?\b|\bslots?\b.*\bleft\b/.test(text)) {
+    return { intent: 'spell-slots', ...spellSlots(text, targets) };
+  }
+
+  if (attribute && (HIGHEST.test(text) || LOWEST.test(text))) {
+    return { intent: 'compare', ...compareAttribute(text, characters, attribute) };
+  }
+
+  if (/\bproficien(t|cy)\b|\bexpertise\b|\btrained\b/.test(text) && !/\bproficiency bonus\b/.test(text)) {
+    const result = proficiency(text, targets);
+    if (result) return { intent: 'proficiency', ...result };
+  }
+
+  if (/\b(speaks?|language|languages|understands?)\b/.test(text)) {
+    const result = language(text, targets);
+    if (result) return { intent: 'language', ...result };
+  }
+
+  if (/\b(cast|casts|spell|spells|knows?|prepared)\b/.test(text)) {
+    const result = spell(text, targets);
+    if (result) return { intent: 'spell', ...result };
+  }
+
+  if (/\b(has|have|carry|carries|carrying|owns?|holding|items?)\b/.test(text)) {
+    const result = item(text, targets);
+    if (result) return { intent: 'item', ...result };
+  }
+
+  if (attribute) {
+    return { intent: 'lookup', ...lookupAttribute(targets, attribute) };
+  }
+
+  return null;
+}
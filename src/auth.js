@@ -0,0 +1,104 @@
+// API key authentication for the data routes
+// Keys come from the API_KEY secret (full access) and/or the API_KEYS secret, a JSON
+// object of named keys with route scopes:
+//   { "dm": { "key": "...", "scopes": ["*"] }, "players": { "key": "...", "scopes": ["character"] } }
+
+export function loadApiKeys(env) {
+  const keys = [];
+
+  if (env.API_KEY) {
+    keys.push({ name: 'default', key: env.API_KEY, scopes: ['*'] });
+  }
+
+  if (env.API_KEYS) {
+    const parsed = typeof env.API_KEYS === 'string' ? JSON.parse(env.API_KEYS) : env.API_KEYS;
+    for (const [name, entry] of Object.entries(parsed)) {
+      const config = typeof entry === 'string' ? { key: entry } : entry;
+      if (!config?.key) continue;
+      keys.push({ name, key: config.key, scopes: config.scopes || ['*'] });
+    }
+  }
+
+  return keys;
+}
+
+// Compare SHA-256 digests so the comparison time does not depend on the secret
+export async function timingSafeEqual(a, b) {
+  const encoder = new TextEncoder();
+  const [digestA, digestB] = await Promise.all([
+    crypto.subtle.digest('SHA-256', encoder.encode(a)),
+    crypto.subtle.digest('SHA-256', encoder.encode(b))
+  ]);
+  const bytesA = new Uint8Array(digestA);
+  const bytesB = new Uint8Array(digestB);
+
+  let diff = 0;
+  for (let i = 0; i < bytesA.length; i++) {
+    diff |= bytesA[i] ^ bytesB[i];
+  }
+  return diff === 0;
+}
+
+export function hasScope(key, scope) {
+  return key.scopes.includes('*') || key.scopes.includes(scope);
+}
+
+function bearerToken(req) {
+  const header = req.headers.get('Authorization') || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+}
+
+// Resolve the request's key and check it grants `scope` (any valid key when scope is null).
+// Returns { ok: true, key } or { ok: false, status, error, message, challenge }.
+export async function authenticate(req, env, scope) {
+  let keys;
+  try {
+    keys = loadApiKeys(env);
+  } catch {
+    return { ok: false, status: 500, error: 'Authentication misconfigured', message: 'API_KEYS is not valid JSON' };
+  }
+
+  if (keys.length === 0) {
+    return { ok: false, status: 500, error: 'Authentication not configured', message: 'Set the API_KEY or API_KEYS secret' };
+  }
+
+  const token = bearerToken(req);
+  if (!token) {
+    return {
+      ok: false,
+      status: 401,
+      error: 'Unauthorized',
+      message: 'Missing bearer token in Authorization header',
+      challenge: 'Bearer realm="dndbeyond-agent"'
+    };
+  }
+
+  // Check every key so the response time does not reveal which one matched
+  let matched = null;
+  for (const key of keys) {
+    if (await timingSafeEqual(token, key.key) && !matched) matched = key;
+  }
+
+  if (!matched) {
+    return {
+      ok: false,
+      status: 401,
+      error: 'Unauthorized',
+      message: 'Invalid API key',
+      challenge: 'Bearer realm="dndbeyond-agent", error="invalid_token"'
+    };
+  }
+
+  if (scope && !hasScope(matched, scope)) {
+    return {
+      ok: false,
+      status: 403,
+      error: 'Forbidden',
+      message: `API key "${matched.name}" does not have the "${scope}" scope`,
+      challenge: `Bearer realm="dndbeyond-agent", error="insufficient_scope", scope="${scope}"`
+    };
+  }
+
+  return { ok: true, key: { name: matched.name, scopes: matched.scopes } };
+}
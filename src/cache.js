@@ -0,0 +1,127 @@
+// Edge cache for upstream D&D Beyond payloads with stale-while-revalidate
+// Entries live in the CHARACTER_CACHE KV namespace when it is bound, otherwise in the
+// Workers Cache API. Without either (e.g. plain Node), every load goes upstream.
+
+const CACHE_ORIGIN = 'https://dndbeyond-agent.cache';
+
+// Revalidations already in flight in this isolate, keyed by cache key
+const revalidating = new Map();
+
+export function cacheSettings(env) {
+  return {
+    ttl: Number(env.CACHE_TTL_SECONDS ?? 60),
+    stale: Number(env.CACHE_STALE_SECONDS ?? 300)
+  };
+}
+
+function cacheStore() {
+  return typeof caches !== 'undefined' && caches.default ? caches.default : null;
+}
+
+async function readEntry(env, key) {
+  if (env.CHARACTER_CACHE) {
+    return env.CHARACTER_CACHE.get(key, 'json');
+  }
+
+  const cache = cacheStore();
+  if (!cache) return null;
+
+  const cached = await cache.match(new Request(`${CACHE_ORIGIN}/${key}`));
+  return cached ? cached.json() : null;
+}
+
+async function writeEntry(env, key, entry, settings) {
+  const lifetime = settings.ttl + settings.stale;
+
+  if (env.CHARACTER_CACHE) {
+    // KV rejects expirations shorter than 60 seconds
+    await env.CHARACTER_CACHE.put(key, JSON.stringify(entry), {
+      expirationTtl: Math.max(60, lifetime),
+      metadata: { storedAt: entry.storedAt }
+    });
+    return;
+  }
+
+  const cache = cacheStore();
+  if (!cache) return;
+
+  await cache.put(new Request(`${CACHE_ORIGIN}/${key}`), new Response(JSON.stringify(entry), {
+    headers: { 'Content-Type': 'application/json', 'Cache-Control': `max-age=${lifetime}` }
+  }));
+}
+
+async function refresh(env, key, loader, settings) {
+  const entry = { storedAt: Date.now(), data: await loader() };
+  await writeEntry(env, key, entry, settings);
+  return entry;
+}
+
+// Load `key` through the cache, calling `loader` on a miss.
+// Returns { data, status, storedAt } where status is HIT, STALE, MISS or BYPASS.
+export async function cachedLoad(key, loader, { env, ctx, fresh = false }) {
+  const settings = cacheSettings(env);
+
+  if (fresh || settings.ttl <= 0) {
+    const entry = await refresh(env, key, loader, settings);
+    return { data: entry.data, status: 'BYPASS', storedAt: entry.storedAt };
+  }
+
+  const cached = await readEntry(env, key).catch(() => null);
+  const age = cached ? (Date.now() - cached.storedAt) / 1000 : Infinity;
+
+  if (age < settings.ttl) {
+    return { data: cached.data, status: 'HIT', storedAt: cached.storedAt };
+  }
+
+  if (age < settings.ttl + settings.stale) {
+    if (!revalidating.has(key)) {
+      const pending = refresh(env, key, loader, settings)
+        .catch(() => null)
+        .finally(() => revalidating.delete(key));
+      revalidating.set(key, pending);
+      ctx?.waitUntil?.(pending);
+    }
+    return { data: cached.data, status: 'STALE', storedAt: cached.storedAt };
+  }
+
+  const entry = await refresh(env, key, loader, settings);
+  return { data: entry.data, status: 'MISS', storedAt: entry.storedAt };
+}
+
+// Keys currently cached under `prefix` with when they were stored. Only the KV backend can
+// be listed; the Cache API has no enumeration, so this returns [] without CHARACTER_CACHE.
+export async function listCached(env, prefix) {
+  if (!env.CHARACTER_CACHE) return [];
+
+  const entries = [];
+  let cursor;
+  do {
+    const page = await env.CHARACTER_CACHE.list({ prefix, cursor });
+    entries.push(...page.keys.map(key => ({ key: key.name, storedAt: key.metadata?.storedAt ?? null })));
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+  return entries;
+}
+
+// Summarise several loads (e.g. a party) into one X-Cache status and the oldest timestamp
+export function combineCacheMeta(metas) {
+  const statuses = new Set(metas.map(meta => meta.status));
+  const status = ['MISS', 'BYPASS', 'STALE'].find(candidate => statuses.has(candidate)) || 'HIT';
+  const storedAt = Math.min(...metas.map(meta => meta.storedAt));
+  return { status, storedAt: Number.isFinite(storedAt) ? storedAt : Date.now() };
+}
+
+export async function computeETag(body) {
+  const bytes = typeof body === 'string' ? new TextEncoder().encode(body) : body;
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  const hex = [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+  return `"${hex.slice(0, 32)}"`;
+}
+
+// Weak comparison as required for If-None-Match
+export function etagMatches(ifNoneMatch, etag) {
+  if (!ifNoneMatch) return false;
+  if (ifNoneMatch.trim() === '*') return true;
+  const strip = tag => tag.trim().replace(/^W\//, '');
+  return ifNoneMatch.split(',').some(tag => strip(tag) === strip(etag));
+}
@@ -0,0 +1,134 @@
+// Combat state: conditions with their rules effects, death saves, exhaustion, inspiration and
+// hit dice, normalized from the character-service payload. Concentration is not included: the
+// character service does not record which spell, if any, a character is concentrating on.
+
+// D&D Beyond condition ids with the SRD 5.1 effects of each condition
+export const CONDITIONS = {
+  1: { name: 'Blinded', effects: [
+    "Can't see and automatically fails ability checks that require sight",
+    'Attack rolls against it have advantage; its attack rolls have disadvantage'
+  ] },
+  2: { name: 'Charmed', effects: [
+    "Can't attack the charmer or target it with harmful abilities or magical effects",
+    'The charmer has advantage on ability checks to interact socially with it'
+  ] },
+  3: { name: 'Deafened', effects: [
+    "Can't hear and automatically fails ability checks that require hearing"
+  ] },
+  4: { name: 'Exhaustion', effects: [] },
+  5: { name: 'Frightened', effects: [
+    'Disadvantage on ability checks and attack rolls while the source of its fear is in sight',
+    "Can't willingly move closer to the source of its fear"
+  ] },
+  6: { name: 'Grappled', effects: [
+    "Speed becomes 0 and can't benefit from any bonus to speed",
+    'Ends if the grappler is incapacitated or it is moved out of reach'
+  ] },
+  7: { name: 'Incapacitated', effects: [
+    "Can't take actions or reactions"
+  ] },
+  8: { name: 'Invisible', effects: [
+    'Impossible to see without magic or a special sense; heavily obscured for hiding',
+    'Attack rolls against it have disadvantage; its attack rolls have advantage'
+  ] },
+  9: { name: 'Paralyzed', effects: [
+    "Incapacitated and can't move or speak",
+    'Automatically fails Strength and Dexterity saving throws',
+    'Attack rolls against it have advantage; hits from within 5 feet are critical hits'
+  ] },
+  10: { name: 'Petrified', effects: [
+    "Transformed into stone: incapacitated, can't move or speak and is unaware of its surroundings",
+    'Attack rolls against it have advantage; automatically fails Strength and Dexterity saving throws',
+    'Resistance to all damage; immune to poison and disease'
+  ] },
+  11: { name: 'Poisoned', effects: [
+    'Disadvantage on attack rolls and ability checks'
+  ] },
+  12: { name: 'Prone', effects: [
+    'Can only crawl unless it stands up, which costs half its speed',
+    'Disadvantage on attack rolls',
+    'Attack rolls against it have advantage within 5 feet and disadvantage from farther away'
+  ] },
+  13: { name: 'Restrained', effects: [
+    'Speed becomes 0',
+    'Attack rolls against it have advantage; its attack rolls have disadvantage',
+    'Disadvantage on Dexterity saving throws'
+  ] },
+  14: { name: 'Stunned', effects: [
+    "Incapacitated, can't move and can speak only falteringly",
+    'Automatically fails Strength and Dexterity saving throws',
+    'Attack rolls against it have advantage'
+  ] },
+  15: { name: 'Unconscious', effects: [
+    "Incapacitated, can't move or speak and is unaware of its surroundings; drops what it holds and falls prone",
+    'Automatically fails Strength and Dexterity saving throws',
+    'Attack rolls against it have advantage; hits from within 5 feet are critical hits'
+  ] }
+};
+
+// Exhaustion effects are cumulative: level N suffers every effect up to N
+const EXHAUSTION_EFFECTS = [
+  'Disadvantage on ability checks',
+  'Speed halved',
+  'Disadvantage on attack rolls and saving throws',
+  'Hit point maximum halved',
+  'Speed reduced to 0',
+  'Death'
+];
+
+const EXHAUSTION_ID = 4;
+
+function deriveConditions(data) {
+  return (data.conditions || [])
+    .filter(condition => condition.id !== EXHAUSTION_ID)
+    .map(condition => {
+      const known = CONDITIONS[condition.id];
+      return {
+        id: condition.id,
+        name: known?.name || `Condition ${condition.id}`,
+        effects: known?.effects || []
+      };
+    });
+}
+
+function deriveExhaustion(data) {
+  const condition = (data.conditions || []).find(entry => entry.id === EXHAUSTION_ID);
+  const level = Math.min(EXHAUSTION_EFFECTS.length, Math.max(0, Number(condition?.level) || (condition ? 1 : 0)));
+  return { level, effects: EXHAUSTION_EFFECTS.slice(0, level) };
+}
+
+// Three failures kill, three successes (or Spare the Dying) stabilize; saves only matter at 0 HP
+function deriveDeathSaves(data, hitPoints) {
+  const successes = Math.min(3, data.deathSaves?.successCount || 0);
+  const failures = Math.min(3, data.deathSaves?.failCount || 0);
+  const stabilized = Boolean(data.deathSaves?.isStabilized) || successes === 3;
+
+  let state = null;
+  if (failures === 3) state = 'dead';
+  else if (hitPoints.current === 0) state = stabilized ? 'stable' : 'dying';
+
+  return { successes, failures, stabilized, state };
+}
+
+function deriveHitDice(data) {
+  return (data.classes || []).map(cls => {
+    const used = Math.min(cls.level, cls.hitDiceUsed || 0);
+    return {
+      class: cls.definition?.name,
+      die: cls.definition?.hitDice ? `d${cls.definition.hitDice}` : null,
+      total: cls.level,
+      used,
+      remaining: cls.level - used
+    };
+  });
+}
+
+export function deriveCombatState(data, hitPoints) {
+  return {
+    conditions: deriveConditions(data),
+    exhaustion: deriveExhaustion(data),
+    deathSaves: deriveDeathSaves(data, hitPoints),
+    inspiration: Boolean(data.inspiration),
+    hitDice: deriveHitDice(data)
+  };
+}
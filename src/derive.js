@@ -0,0 +1,275 @@
+// Derived character statistics from the raw character-service payload
+// D&D Beyond stores base values plus `modifiers` collections (race, class, background,
+// item, feat, condition); the final numbers on a sheet have to be computed from both.
+
+export const ABILITIES = [
+  { id: 1, key: 'strength', short: 'str' },
+  { id: 2, key: 'dexterity', short: 'dex' },
+  { id: 3, key: 'constitution', short: 'con' },
+  { id: 4, key: 'intelligence', short: 'int' },
+  { id: 5, key: 'wisdom', short: 'wis' },
+  { id: 6, key: 'charisma', short: 'cha' }
+];
+
+// D&D Beyond armor types
+const ARMOR_TYPES = { 1: 'light', 2: 'medium', 3: 'heavy', 4: 'shield' };
+
+export function abilityModifier(score) {
+  return Math.floor((score - 10) / 2);
+}
+
+export function characterLevel(data) {
+  return data.classes?.reduce((total, cls) => total + cls.level, 0) || 1;
+}
+
+export function proficiencyBonus(level) {
+  return Math.ceil(level / 4) + 1;
+}
+
+// Items only contribute modifiers while equipped, and attunement items only while attuned
+export function isItemActive(item) {
+  const definition = item.definition || {};
+  if (definition.canEquip && !item.equipped) return false;
+  if (definition.canAttune && !item.isAttuned) return false;
+  return true;
+}
+
+// Every modifier currently in effect, flattened across sources
+export function activeModifiers(data) {
+  const sources = data.modifiers || {};
+  const items = new Map((data.inventory || []).map(item => [item.definition?.id, item]));
+
+  return Object.entries(sources).flatMap(([source, modifiers]) => {
+    if (source !== 'item') return modifiers || [];
+    return (modifiers || []).filter(modifier => {
+      const item = items.get(modifier.componentId);
+      return !item || isItemActive(item);
+    });
+  });
+}
+
+function modifierValue(modifier) {
+  return modifier.value ?? modifier.fixedValue ?? 0;
+}
+
+export function sumModifiers(modifiers, type, subType) {
+  return modifiers
+    .filter(modifier => modifier.type === type && modifier.subType === subType)
+    .reduce((total, modifier) => total + modifierValue(modifier), 0);
+}
+
+// Final scores: base + racial/ASI/feat bonuses (capped at 20), then the sheet's
+// "other modifier", then "set" effects such as a Belt of Giant Strength, then overrides.
+export function deriveAbilityScores(data, modifiers) {
+  const scores = {};
+
+  for (const ability of ABILITIES) {
+    const byId = list => list?.find(stat => stat.id === ability.id)?.value ?? null;
+    const base = byId(data.stats) ?? 10;
+    const override = byId(data.overrideStats);
+
+    if (override !== null) {
+      scores[ability.key] = override;
+      continue;
+    }
+
+    let score = Math.min(20, base + sumModifiers(modifiers, 'bonus', `${ability.key}-score`));
+    score += byId(data.bonusStats) ?? 0;
+
+    const setValues = modifiers
+      .filter(modifier => modifier.type === 'set' && modifier.subType === `${ability.key}-score`)
+      .map(modifierValue);
+    scores[ability.key] = Math.max(score, ...setValues);
+  }
+
+  return scores;
+}
+
+export function deriveAbilityModifiers(scores) {
+  return Object.fromEntries(Object.entries(scores).map(([key, score]) => [key, abilityModifier(score)]));
+}
+
+export function deriveHitPoints(data, scores, modifiers, level) {
+  const perLevel = abilityModifier(scores.constitution) + sumModifiers(modifiers, 'bonus', 'hit-points-per-level');
+  const max = data.overrideHitPoints ?? Math.max(
+    level,
+    (data.baseHitPoints || 0) + perLevel * level + (data.bonusHitPoints || 0) + sumModifiers(modifiers, 'bonus', 'hit-points')
+  );
+
+  return {
+    current: Math.max(0, max - (data.removedHitPoints || 0)),
+    max,
+    temp: data.temporaryHitPoints || 0
+  };
+}
+
+// AC from the best of worn armor or an unarmored formula, plus shield and bonuses.
+// Unarmored Defense arrives as `set unarmored-armor-class` modifiers: statId adds that
+// ability's modifier (Barbarian CON, Monk WIS), value adds a flat amount (Draconic Resilience).
+export function deriveArmorClass(data, scores, modifiers) {
+  const mods = deriveAbilityModifiers(scores);
+  const equipped = (data.inventory || []).filter(item => item.equipped && item.definition?.armorTypeId);
+
+  const armor = equipped.find(item => ARMOR_TYPES[item.definition.armorTypeId] !== 'shield');
+  const shield = equipped.find(item => ARMOR_TYPES[item.definition.armorTypeId] === 'shield');
+
+  let base;
+  if (armor) {
+    const armorClass = armor.definition.armorClass || 10;
+    const type = ARMOR_TYPES[armor.definition.armorTypeId];
+    if (type === 'light') base = armorClass + mods.dexterity;
+    else if (type === 'medium') base = armorClass + Math.min(mods.dexterity, 2);
+    else base = armorClass;
+    base += sumModifiers(modifiers, 'bonus', 'armored-armor-class');
+  } else {
+    const candidates = [10 + mods.dexterity];
+    for (const modifier of modifiers) {
+      if (modifier.type !== 'set' || modifier.subType !== 'unarmored-armor-class') continue;
+      const ability = ABILITIES.find(candidate => candidate.id === modifier.statId);
+      // Monk Unarmored Defense (WIS) does not work with a shield
+      if (shield && ability?.key === 'wisdom') continue;
+      const flat = modifierValue(modifier);
+      candidates.push((flat >= 10 ? flat : 10 + flat) + mods.dexterity + (ability ? mods[ability.key] : 0));
+    }
+    base = Math.max(...candidates) + sumModifiers(modifiers, 'bonus', 'unarmored-armor-class');
+  }
+
+  const shieldBonus = shield ? (shield.definition.armorClass || 2) : 0;
+  return base + shieldBonus + sumModifiers(modifiers, 'bonus', 'armor-class');
+}
+
+export function deriveSpeed(data, modifiers) {
+  const walk = data.race?.weightSpeeds?.normal?.walk || 30;
+  return walk + sumModifiers(modifiers, 'bonus', 'speed') + sumModifiers(modifiers, 'bonus', 'speed-walking');
+}
+
+export const SKILLS = [
+  { key: 'acrobatics', name: 'Acrobatics', ability: 'dexterity' },
+  { key: 'animal-handling', name: 'Animal Handling', ability: 'wisdom' },
+  { key: 'arcana', name: 'Arcana', ability: 'intelligence' },
+  { key: 'athletics', name: 'Athletics', ability: 'strength' },
+  { key: 'deception', name: 'Deception', ability: 'charisma' },
+  { key: 'history', name: 'History', ability: 'intelligence' },
+  { key: 'insight', name: 'Insight', ability: 'wisdom' },
+  { key: 'intimidation', name: 'Intimidation', ability: 'charisma' },
+  { key: 'investigation', name: 'Investigation', ability: 'intelligence' },
+  { key: 'medicine', name: 'Medicine', ability: 'wisdom' },
+  { key: 'nature', name: 'Nature', ability: 'intelligence' },
+  { key: 'perception', name: 'Perception', ability: 'wisdom' },
+  { key: 'performance', name: 'Performance', ability: 'charisma' },
+  { key: 'persuasion', name: 'Persuasion', ability: 'charisma' },
+  { key: 'religion', name: 'Religion', ability: 'intelligence' },
+  { key: 'sleight-of-hand', name: 'Sleight of Hand', ability: 'dexterity' },
+  { key: 'stealth', name: 'Stealth', ability: 'dexterity' },
+  { key: 'survival', name: 'Survival', ability: 'wisdom' }
+];
+
+const SENSES = ['darkvision', 'blindsight', 'tremorsense', 'truesight'];
+
+// Weapons D&D Beyond grants proficiency in individually (usually pluralised, e.g. "longswords")
+const WEAPON_NAMES = new Set([
+  'club', 'dagger', 'greatclub', 'handaxe', 'javelin', 'light-hammer', 'mace', 'quarterstaff', 'sickle', 'spear',
+  'crossbow-light', 'light-crossbow', 'dart', 'shortbow', 'sling', 'battleaxe', 'flail', 'glaive', 'greataxe',
+  'greatsword', 'halberd', 'lance', 'longsword', 'maul', 'morningstar', 'pike', 'rapier', 'scimitar', 'shortsword',
+  'trident', 'war-pick', 'warhammer', 'whip', 'blowgun', 'crossbow-hand', 'hand-crossbow', 'crossbow-heavy',
+  'heavy-crossbow', 'longbow', 'net', 'firearms'
+]);
+
+const has = (modifiers, type, subType) =>
+  modifiers.some(modifier => modifier.type === type && modifier.subType === subType);
+
+// Proficiency flags and final bonus for one check, honouring expertise and Jack of All Trades
+function checkBonus({ ability, subType, isSkill }, abilityModifiers, modifiers, profBonus) {
+  const expertise = has(modifiers, 'expertise', subType);
+  const proficient = expertise || has(modifiers, 'proficiency', subType);
+
+  // Half proficiency applies to ability checks only; Remarkable Athlete rounds up for STR/DEX/CON
+  const roundUp = ['strength', 'dexterity', 'constitution'].includes(ability) &&
+    has(modifiers, 'half-proficiency-round-up', 'ability-checks');
+  const halfProficiency = isSkill && !proficient &&
+    (roundUp || has(modifiers, 'half-proficiency', 'ability-checks') || has(modifiers, 'half-proficiency', subType));
+
+  let proficiencyPart = 0;
+  if (expertise) proficiencyPart = profBonus * 2;
+  else if (proficient) proficiencyPart = profBonus;
+  else if (halfProficiency) proficiencyPart = roundUp ? Math.ceil(profBonus / 2) : Math.floor(profBonus / 2);
+
+  const generic = isSkill ? sumModifiers(modifiers, 'bonus', 'ability-checks') : sumModifiers(modifiers, 'bonus', 'saving-throws');
+  const bonus = abilityModifiers[ability] + proficiencyPart + sumModifiers(modifiers, 'bonus', subType) + generic;
+
+  return { proficient, expertise, halfProficiency, bonus };
+}
+
+export function deriveSkills(abilityModifiers, modifiers, profBonus) {
+  return Object.fromEntries(SKILLS.map(skill => [skill.key, {
+    name: skill.name,
+    ability: skill.ability,
+    ...checkBonus({ ability: skill.ability, subType: skill.key, isSkill: true }, abilityModifiers, modifiers, profBonus)
+  }]));
+}
+
+export function deriveSavingThrows(abilityModifiers, modifiers, profBonus) {
+  return Object.fromEntries(ABILITIES.map(({ key }) => {
+    const subType = `${key}-saving-throws`;
+    const { proficient, bonus } = checkBonus({ ability: key, subType, isSkill: false }, abilityModifiers, modifiers, profBonus);
+    return [key, { proficient, bonus }];
+  }));
+}
+
+export function derivePassives(skills, modifiers) {
+  const passive = skill => 10 + skills[skill].bonus + sumModifiers(modifiers, 'bonus', `passive-${skill}`);
+  return {
+    perception: passive('perception'),
+    investigation: passive('investigation'),
+    insight: passive('insight')
+  };
+}
+
+// Longest range per sense; "set-base" and "sense" set a range, "bonus" extends it
+export function deriveSenses(modifiers) {
+  const senses = {};
+  for (const sense of SENSES) {
+    const ranges = modifiers
+      .filter(modifier => ['set-base', 'sense'].includes(modifier.type) && modifier.subType === sense)
+      .map(modifierValue);
+    if (!ranges.length) continue;
+    senses[sense] = Math.max(...ranges) + sumModifiers(modifiers, 'bonus', sense);
+  }
+  return senses;
+}
+
+const friendlyNames = (modifiers, filter) => [...new Set(
+  modifiers.filter(filter).map(modifier => modifier.friendlySubtypeName || modifier.subType)
+)].sort();
+
+export function deriveLanguages(modifiers) {
+  return friendlyNames(modifiers, modifier => modifier.type === 'language');
+}
+
+// Armor, weapon and tool proficiencies; skills and saving throws are reported separately
+export function deriveProficiencies(modifiers) {
+  const skillKeys = new Set(SKILLS.map(skill => skill.key));
+  const other = modifiers.filter(modifier =>
+    modifier.type === 'proficiency' &&
+    !skillKeys.has(modifier.subType) &&
+    !modifier.subType?.endsWith('-saving-throws')
+  );
+
+  const isArmor = modifier => /armor$/.test(modifier.subType) || modifier.subType === 'shields';
+  const isWeapon = modifier => /weapons$/.test(modifier.subType) ||
+    WEAPON_NAMES.has(modifier.subType) || WEAPON_NAMES.has(modifier.subType?.replace(/s$/, ''));
+
+  return {
+    armor: friendlyNames(other, isArmor),
+    weapons: friendlyNames(other, modifier => !isArmor(modifier) && isWeapon(modifier)),
+    tools: friendlyNames(other, modifier => !isArmor(modifier) && !isWeapon(modifier))
+  };
+}
+
+export function deriveDefenses(modifiers) {
+  return {
+    resistances: friendlyNames(modifiers, modifier => modifier.type === 'resistance'),
+    immunities: friendlyNames(modifiers, modifier => modifier.type === 'immunity'),
+    vulnerabilities: friendlyNames(modifiers, modifier => modifier.type === 'vulnerability')
+  };
+}
@@ -0,0 +1,378 @@
+// Dice roller for POST /character/{id}/roll. Resolves named checks (skills, saves, ability checks,
+// attacks) against the normalized character and rolls standard notation with advantage,
+// disadvantage, criticals, rerolls and keep/drop. A seeded RNG makes every roll reproducible.
+//
+//   stealth, sleight of hand+2      skill check (+ extra modifiers)
+//   save:wis, check:str, str+2      saving throw or ability check
+//   attack:longsword, damage:dagger to-hit and damage, or damage alone
+//   2d6+3, 4d6dl1, 2d20kh1, 1d6r1   raw notation: k/kh/kl keep, d/dl/dh drop, r reroll, ro reroll once
+//   ... adv | dis | crit            flags may follow any expression
+
+import { ABILITIES, SKILLS } from './derive.js';
+
+export class RollError extends Error {
+  constructor(message, { code = 'invalid_expression', options = null } = {}) {
+    super(message);
+    this.name = 'RollError';
+    this.code = code;
+    this.options = options;
+  }
+}
+
+export const ROLL_EXAMPLES = ['stealth', 'save:wis', 'attack:longsword', 'str+2', '2d6+3 adv', '4d6dl1', 'perception+1d4 dis'];
+
+const MAX_EXPRESSION_LENGTH = 200;
+const MAX_TERMS = 20;
+const MAX_DICE = 200;
+const MAX_SIDES = 1000;
+const MAX_REROLLS = 50;
+
+const FLAGS = {
+  adv: 'advantage', advantage: 'advantage',
+  dis: 'disadvantage', disadv: 'disadvantage', disadvantage: 'disadvantage',
+  crit: 'crit', critical: 'crit',
+  versatile: 'versatile', '2h': 'versatile'
+};
+
+// mulberry32: small, fast and good enough for dice; the seed is any 32-bit integer or a string
+export function createRng(seed) {
+  let state;
+  if (seed === undefined || seed === null || seed === '') {
+    state = crypto.getRandomValues(new Uint32Array(1))[0];
+  } else if (Number.isInteger(seed)) {
+    state = seed >>> 0;
+  } else {
+    // FNV-1a hash of the string form
+    state = 0x811c9dc5;
+    for (const char of String(seed)) {
+      state ^= char.codePointAt(0);
+      state = Math.imul(state, 0x01000193) >>> 0;
+    }
+  }
+
+  const initial = state;
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  return { seed: initial, die: sides => 1 + Math.floor(next() * sides) };
+}
+
+// Parse notation such as "2d6+1d4-1" into [{ sign, kind: 'dice', count, sides, keep, reroll } | { sign, kind: 'constant', value }]
+export function parseDice(text) {
+  const source = String(text).replace(/\s+/g, '');
+  const terms = [];
+  let position = 0;
+  let start = 0;
+
+  const fail = message => {
+    throw new RollError(`${message} at position ${start + 1} of "${source}"`);
+  };
+
+  while (position < source.length) {
+    start = position;
+    let sign = 1;
+    const operator = source[position];
+    if (operator === '+' || operator === '-') {
+      sign = operator === '-' ? -1 : 1;
+      position += 1;
+    } else if (terms.length) {
+      fail(`Expected + or - before "${source.slice(position)}"`);
+    }
+
+    const rest = source.slice(position);
+    const dice = rest.match(/^(\d*)d(\d+|%)/);
+    const constant = rest.match(/^\d+/);
+
+    if (dice) {
+      position += dice[0].length;
+      const term = {
+        sign,
+        kind: 'dice',
+        count: dice[1] === '' ? 1 : Number(dice[1]),
+        sides: dice[2] === '%' ? 100 : Number(dice[2]),
+        keep: null,
+        reroll: null
+      };
+      if (term.count < 1 || term.count > MAX_DICE) fail(`Dice count must be 1 to ${MAX_DICE}`);
+      if (term.sides < 1 || term.sides > MAX_SIDES) fail(`Dice must have 1 to ${MAX_SIDES} sides`);
+
+      for (;;) {
+        const tail = source.slice(position);
+        const keep = tail.match(/^(kh|kl|k|dh|dl|d)(\d+)/);
+        const reroll = tail.match(/^(ro|r)(<=|>=|<|>|=)?(\d+)/);
+        if (keep) {
+          const mode = keep[1] === 'k' ? 'kh' : keep[1] === 'd' ? 'dl' : keep[1];
+          term.keep = { mode, count: Number(keep[2]) };
+          if (term.keep.count > term.count) fail(`Cannot keep or drop ${term.keep.count} of ${term.count} dice`);
+          position += keep[0].length;
+        } else if (reroll) {
+          term.reroll = { once: reroll[1] === 'ro', compare: reroll[2] || '=', value: Number(reroll[3]) };
+          const faces = Array.from({ length: term.sides }, (_, index) => index + 1);
+          if (faces.every(face => rerollMatches(term.reroll, face))) fail('Reroll condition matches every face');
+          position += reroll[0].length;
+        } else {
+          break;
+        }
+      }
+      terms.push(term);
+    } else if (constant) {
+      position += constant[0].length;
+      terms.push({ sign, kind: 'constant', value: Number(constant[0]) });
+    } else {
+      fail(rest ? `Unexpected "${rest[0]}"` : 'Expression ends with an operator');
+    }
+
+    if (terms.length > MAX_TERMS) fail(`At most ${MAX_TERMS} terms are allowed`);
+  }
+
+  if (!terms.length) throw new RollError('Empty dice expression');
+  return checkDiceCount(terms);
+}
+
+// The MAX_DICE limit applies to everything rolled at once, after criticals double the dice
+function checkDiceCount(terms) {
+  const diceCount = terms.reduce((total, term) => total + (term.kind === 'dice' ? term.count : 0), 0);
+  if (diceCount > MAX_DICE) throw new RollError(`At most ${MAX_DICE} dice per roll`);
+  return terms;
+}
+
+function rerollMatches(reroll, value) {
+  switch (reroll.compare) {
+    case '<': return value < reroll.value;
+    case '<=': return value <= reroll.value;
+    case '>': return value > reroll.value;
+    case '>=': return value >= reroll.value;
+    default: return value === reroll.value;
+  }
+}
+
+export function notation(terms) {
+  return terms.map((term, index) => {
+    const sign = term.sign < 0 ? '-' : index ? '+' : '';
+    if (term.kind === 'constant') return `${sign}${term.value}`;
+    const keep = term.keep ? `${term.keep.mode}${term.keep.count}` : '';
+    const reroll = term.reroll
+      ? `${term.reroll.once ? 'ro' : 'r'}${term.reroll.compare === '=' ? '' : term.reroll.compare}${term.reroll.value}`
+      : '';
+    return `${sign}${term.count}d${term.sides}${reroll}${keep}`;
+  }).join('');
+}
+
+function rollTerm(term, rng) {
+  if (term.kind === 'constant') {
+    return { type: 'modifier', label: term.label || 'modifier', value: term.sign * term.value };
+  }
+
+  const dice = Array.from({ length: term.count }, () => {
+    let value = rng.die(term.sides);
+    const rerolls = [];
+    while (term.reroll && rerollMatches(term.reroll, value) && rerolls.length < MAX_REROLLS) {
+      rerolls.push(value);
+      value = rng.die(term.sides);
+      if (term.reroll.once) break;
+    }
+    return { value, kept: true, ...(rerolls.length ? { rerolls } : {}) };
+  });
+
+  if (term.keep) {
+    const { mode, count } = term.keep;
+    const order = dice.map((die, index) => index).sort((a, b) => dice[a].value - dice[b].value);
+    const dropped = mode === 'kh' ? order.slice(0, dice.length - count)
+      : mode === 'kl' ? order.slice(count)
+        : mode === 'dh' ? order.slice(dice.length - count)
+          : order.slice(0, count);
+    for (const index of dropped) dice[index].kept = false;
+  }
+
+  const subtotal = dice.filter(die => die.kept).reduce((total, die) => total + die.value, 0);
+  return {
+    type: 'dice',
+    label: term.label || null,
+    notation: notation([{ ...term, sign: 1 }]),
+    dice,
+    total: term.sign * subtotal
+  };
+}
+
+// Roll parsed terms once; d20 details come from the first d20 term
+function rollTerms(terms, rng) {
+  const rolled = terms.map(term => rollTerm(term, rng));
+  const result = { total: rolled.reduce((total, term) => total + (term.type === 'dice' ? term.total : term.value), 0), terms: rolled };
+
+  const d20 = rolled.find((term, index) => term.type === 'dice' && terms[index].sides === 20);
+  if (d20) {
+    const kept = d20.dice.filter(die => die.kept);
+    if (kept.length === 1) {
+      result.natural = kept[0].value;
+      result.critical = kept[0].value === 20 ? 'success' : kept[0].value === 1 ? 'failure' : null;
+    }
+  }
+  return result;
+}
+
+// Advantage on a single d20 becomes 2d20kh1 (kl1 for disadvantage). Any other expression is
+// rolled twice and the better (or worse) total kept.
+function rollWithMode(terms, mode, rng) {
+  if (!mode) return rollTerms(terms, rng);
+
+  const d20 = terms.findIndex(term => term.kind === 'dice' && term.sides === 20 && term.count === 1 && !term.keep);
+  if (d20 !== -1) {
+    const adjusted = terms.map((term, index) => (
+      index === d20 ? { ...term, count: 2, keep: { mode: mode === 'advantage' ? 'kh' : 'kl', count: 1 } } : term
+    ));
+    return { ...rollTerms(adjusted, rng), mode };
+  }
+
+  const first = rollTerms(terms, rng);
+  const second = rollTerms(terms, rng);
+  const firstWins = mode === 'advantage' ? first.total >= second.total : first.total <= second.total;
+  const [kept, discarded] = firstWins ? [first, second] : [second, first];
+  return { ...kept, mode, discarded: { total: discarded.total, terms: discarded.terms } };
+}
+
+// Critical hits roll every damage die twice
+const critTerms = terms => checkDiceCount(terms.map(term => (term.kind === 'dice' ? { ...term, count: term.count * 2 } : term)));
+
+const constant = (value, label) => ({ sign: value < 0 ? -1 : 1, kind: 'constant', value: Math.abs(value), label });
+const d20 = label => ({ sign: 1, kind: 'dice', count: 1, sides: 20, keep: null, reroll: null, label });
+// "Sleight of Hand +2" -> "sleight-of-hand +2": only spaces between words become hyphens
+const normalizeName = text => text.toLowerCase().replace(/([a-z])[\s_]+(?=[a-z])/g, '$1-');
+
+const ABILITY_NAMES = ABILITIES
+  .flatMap(ability => [[ability.key, ability], [ability.short, ability]])
+  .sort((a, b) => b[0].length - a[0].length);
+
+function matchAbility(text) {
+  const match = ABILITY_NAMES.find(([name]) => text.startsWith(name) && !/^[a-z]/.test(text.slice(name.length)));
+  return match ? { ability: match[1], rest: text.slice(match[0].length) } : null;
+}
+
+function matchSkill(text) {
+  const normalized = normalizeName(text);
+  const skill = [...SKILLS]
+    .sort((a, b) => b.key.length - a.key.length)
+    .find(entry => normalized.startsWith(entry.key) && !/^[a-z]/.test(normalized.slice(entry.key.length)));
+  return skill ? { skill, rest: normalized.slice(skill.key.length) } : null;
+}
+
+// An attack by exact name prefix ("+1 longsword+2"), else the one attack whose name contains the words
+function matchAttack(text, attacks) {
+  const byLength = [...attacks].sort((a, b) => b.name.length - a.name.length);
+  const exact = byLength.find(attack => text.startsWith(attack.name.toLowerCase()));
+  if (exact) return { attack: exact, rest: text.slice(exact.name.length) };
+
+  const query = text.match(/^[a-z][a-z' ,]*/)?.[0].trim();
+  const matches = query ? attacks.filter(attack => attack.name.toLowerCase().includes(query)) : [];
+  if (matches.length === 1) return { attack: matches[0], rest: text.slice(text.indexOf(query) + query.length) };
+  if (matches.length > 1) {
+    throw new RollError(`"${query}" matches several attacks`, { code: 'ambiguous', options: matches.map(attack => attack.name) });
+  }
+  throw new RollError(`No attack named "${query || text}"`, { code: 'unknown_check', options: attacks.map(attack => attack.name) });
+}
+
+// Extra modifiers after a named check, e.g. "+2" or "+1d4" (Guidance)
+function extraTerms(rest) {
+  const text = rest.replace(/\s+/g, '');
+  if (!text) return [];
+  if (!/^[+-]/.test(text)) throw new RollError(`Expected + or - before "${text}"`);
+  return parseDice(text).map(term => ({ ...term, label: term.kind === 'dice' ? 'bonus dice' : 'bonus' }));
+}
+
+function splitFlags(expression) {
+  const flags = new Set();
+  const words = expression.toLowerCase().trim().split(/\s+/);
+  while (words.length > 1 && FLAGS[words[words.length - 1]]) flags.add(FLAGS[words.pop()]);
+  if (flags.has('advantage') && flags.has('disadvantage')) {
+    // Advantage and disadvantage cancel out
+    flags.delete('advantage');
+    flags.delete('disadvantage');
+  }
+  return { text: words.join(' '), flags, mode: flags.has('advantage') ? 'advantage' : flags.has('disadvantage') ? 'disadvantage' : null };
+}
+
+function checkOptions(character) {
+  return [
+    ...SKILLS.map(skill => skill.key),
+    ...ABILITIES.map(ability => `save:${ability.short}`),
+    ...ABILITIES.map(ability => ability.short),
+    ...(character.attacks || []).map(attack => `attack:${attack.name.toLowerCase()}`)
+  ];
+}
+
+// Roll `expression` for `character`. Returns { seed, expression, rolls } where rolls holds one
+// entry per roll made (an attack makes two: to hit, then damage).
+export function rollExpression(expression, character, { seed } = {}) {
+  if (typeof expression !== 'string' || !expression.trim()) throw new RollError('expression must be a non-empty string');
+  if (expression.length > MAX_EXPRESSION_LENGTH) throw new RollError(`expression must be at most ${MAX_EXPRESSION_LENGTH} characters`);
+
+  const rng = createRng(seed);
+  const { text, flags, mode } = splitFlags(expression);
+  const rolls = [];
+  const roll = (label, terms, rollMode) => {
+    const entry = { label, notation: notation(terms), ...rollWithMode(terms, rollMode, rng) };
+    rolls.push(entry);
+    return entry;
+  };
+
+  const prefixed = text.match(/^(save|check|skill|attack|damage|hit)\s*:\s*(.*)$/);
+  const [kind, body] = prefixed ? [prefixed[1], prefixed[2]] : [null, text];
+
+  if (kind === 'attack' || kind === 'hit' || kind === 'damage') {
+    const { attack, rest } = matchAttack(body, character.attacks || []);
+    const damage = flags.has('versatile') && attack.versatileDamage ? attack.versatileDamage : attack.damage;
+    const damageTerms = parseDice(damage).map(term => ({ ...term, label: term.kind === 'dice' ? 'damage dice' : 'damage bonus' }));
+
+    let critical = flags.has('crit');
+    if (kind !== 'damage') {
+      const hit = roll(`${attack.name} attack`, [d20('d20'), constant(attack.toHit, 'to hit'), ...extraTerms(rest)], mode);
+      critical = critical || hit.critical === 'success';
+      // A natural 1 always misses, so there is no damage to roll
+      if (hit.critical === 'failure') return { seed: rng.seed, expression, rolls };
+    } else {
+      damageTerms.push(...extraTerms(rest));
+      checkDiceCount(damageTerms);
+    }
+    const damageRoll = roll(`${attack.name} damage${critical ? ' (critical)' : ''}`, critical ? critTerms(damageTerms) : damageTerms, null);
+    if (attack.damageType) damageRoll.damageType = attack.damageType;
+    return { seed: rng.seed, expression, rolls };
+  }
+
+  if (kind === 'save') {
+    const match = matchAbility(body);
+    if (!match) throw new RollError(`Unknown saving throw "${body}"`, { code: 'unknown_check', options: ABILITIES.map(ability => `save:${ability.short}`) });
+    const { bonus } = character.savingThrows[match.ability.key];
+    const name = match.ability.key[0].toUpperCase() + match.ability.key.slice(1);
+    roll(`${name} saving throw`, [d20('d20'), constant(bonus, `${name} save`), ...extraTerms(match.rest)], mode);
+    return { seed: rng.seed, expression, rolls };
+  }
+
+  if (kind !== 'skill') {
+    const match = matchAbility(body);
+    if (match) {
+      const modifier = character.abilityModifiers[match.ability.key];
+      const name = match.ability.key[0].toUpperCase() + match.ability.key.slice(1);
+      roll(`${name} check`, [d20('d20'), constant(modifier, `${name} modifier`), ...extraTerms(match.rest)], mode);
+      return { seed: rng.seed, expression, rolls };
+    }
+    if (kind === 'check') throw new RollError(`Unknown ability "${body}"`, { code: 'unknown_check', options: ABILITIES.map(ability => ability.short) });
+  }
+
+  const skill = matchSkill(body);
+  if (skill) {
+    const { bonus } = character.skills[skill.skill.key];
+    roll(`${skill.skill.name} check`, [d20('d20'), constant(bonus, skill.skill.name), ...extraTerms(skill.rest)], mode);
+    return { seed: rng.seed, expression, rolls };
+  }
+  if (kind === 'skill' || /^[a-z]/.test(body.replace(/^\d*d/, ''))) {
+    throw new RollError(`Unknown check "${body}"`, { code: 'unknown_check', options: checkOptions(character) });
+  }
+
+  const terms = parseDice(body);
+  roll(notation(terms), flags.has('crit') ? critTerms(terms) : terms, mode);
+  return { seed: rng.seed, expression, rolls };
+}
@@ -0,0 +1,189 @@
+// Encounter difficulty from the party's levels and a monster list, under the 2014 DMG rules
+// (XP thresholds with an encounter multiplier) and the 2024 DMG rules (per-character XP budgets).
+// The tables are bundled, so evaluation needs nothing but the levels.
+
+// XP awarded per monster by challenge rating
+export const CR_XP = {
+  '0': 10, '1/8': 25, '1/4': 50, '1/2': 100,
+  '1': 200, '2': 450, '3': 700, '4': 1100, '5': 1800,
+  '6': 2300, '7': 2900, '8': 3900, '9': 5000, '10': 5900,
+  '11': 7200, '12': 8400, '13': 10000, '14': 11500, '15': 13000,
+  '16': 15000, '17': 18000, '18': 20000, '19': 22000, '20': 25000,
+  '21': 33000, '22': 41000, '23': 50000, '24': 62000, '25': 75000,
+  '26': 90000, '27': 105000, '28': 120000, '29': 135000, '30': 155000
+};
+
+// 2014 DMG XP thresholds per character level: easy, medium, hard, deadly
+const THRESHOLDS_2014 = [
+  null,
+  [25, 50, 75, 100], [50, 100, 150, 200], [75, 150, 225, 400], [125, 250, 375, 500],
+  [250, 500, 750, 1100], [300, 600, 900, 1400], [350, 750, 1100, 1700], [450, 900, 1400, 2100],
+  [550, 1100, 1600, 2400], [600, 1200, 1900, 2800], [800, 1600, 2400, 3600], [1000, 2000, 3000, 4500],
+  [1100, 2200, 3400, 5100], [1250, 2500, 3800, 5700], [1400, 2800, 4300, 6400], [1600, 3200, 4800, 7200],
+  [2000, 3900, 5900, 8800], [2100, 4200, 6300, 9500], [2400, 4900, 7300, 10900], [2800, 5700, 8500, 12700]
+];
+
+// 2024 DMG XP budget per character level: low, moderate, high
+const BUDGETS_2024 = [
+  null,
+  [50, 75, 100], [100, 150, 200], [150, 225, 400], [250, 375, 500],
+  [500, 750, 1100], [600, 1000, 1400], [750, 1300, 1700], [1000, 1700, 2100],
+  [1300, 2000, 2600], [1600, 2300, 3100], [1900, 2900, 4100], [2200, 3700, 4700],
+  [2600, 4200, 5400], [2900, 4900, 6200], [3300, 5400, 7800], [3800, 6100, 9800],
+  [4500, 7200, 11700], [5000, 8700, 14200], [5500, 10700, 17200], [6400, 13200, 22000]
+];
+
+// 2014 encounter multipliers in order; the monster count picks one and party size shifts it
+const MULTIPLIERS = [0.5, 1, 1.5, 2, 2.5, 3, 4, 5];
+
+export const DIFFICULTIES_2014 = ['trivial', 'easy', 'medium', 'hard', 'deadly'];
+export const DIFFICULTIES_2024 = ['low', 'moderate', 'high', 'beyond-high'];
+
+export const DEFAULT_TARGETS = { dmg2014: 'medium', dmg2024: 'moderate' };
+
+const MAX_SUGGESTIONS = 4;
+
+// "1/4", "0.25" and 0.25 all name CR 1/4; returns the CR_XP key or null
+export function parseChallengeRating(value) {
+  const text = String(value ?? '').trim();
+  if (text in CR_XP) return text;
+  const fractions = { 0.125: '1/8', 0.25: '1/4', 0.5: '1/2' };
+  const number = Number(text);
+  if (!text || !Number.isFinite(number)) return null;
+  if (fractions[number]) return fractions[number];
+  return String(number) in CR_XP ? String(number) : null;
+}
+
+const clampLevel = level => Math.min(20, Math.max(1, Math.round(Number(level) || 1)));
+const totalXp = groups => groups.reduce((total, group) => total + CR_XP[group.cr] * group.count, 0);
+const sumColumns = (table, levels) =>
+  table[1].map((_, column) => levels.reduce((total, level) => total + table[clampLevel(level)][column], 0));
+
+function multiplierIndex(monsterCount, partySize) {
+  let index = monsterCount <= 1 ? 1 : monsterCount === 2 ? 2 : monsterCount <= 6 ? 3 : monsterCount <= 10 ? 4 : monsterCount <= 14 ? 5 : 6;
+  if (partySize < 3) index += 1;
+  if (partySize >= 6) index -= 1;
+  return index;
+}
+
+// Rules for one edition: evaluate(groups) gives { xp, difficulty }, the xp being what is compared
+function rules2014(levels) {
+  const [easy, medium, hard, deadly] = sumColumns(THRESHOLDS_2014, levels);
+  const thresholds = { easy, medium, hard, deadly };
+
+  const evaluate = groups => {
+    const baseXp = totalXp(groups);
+    const monsterCount = groups.reduce((total, group) => total + group.count, 0);
+    const multiplier = MULTIPLIERS[multiplierIndex(monsterCount, levels.length)];
+    const xp = Math.floor(baseXp * multiplier);
+    const reached = DIFFICULTIES_2014.slice(1).filter(name => xp >= thresholds[name]);
+    return { baseXp, monsterCount, multiplier, xp, difficulty: reached.length ? reached[reached.length - 1] : 'trivial' };
+  };
+
+  return { difficulties: DIFFICULTIES_2014, thresholds, evaluate };
+}
+
+function rules2024(levels) {
+  const [low, moderate, high] = sumColumns(BUDGETS_2024, levels);
+  const budgets = { low, moderate, high };
+
+  const evaluate = groups => {
+    const xp = totalXp(groups);
+    const difficulty = xp <= low ? 'low' : xp <= moderate ? 'moderate' : xp <= high ? 'high' : 'beyond-high';
+    return { xp, difficulty };
+  };
+
+  return { difficulties: DIFFICULTIES_2024, budgets, evaluate };
+}
+
+// Name for a monster sent without one
+export const genericName = cr => `CR ${cr} creature`;
+const label = group => (group.name === genericName(group.cr) ? group.name : `${group.name} (CR ${group.cr})`);
+
+// Changes that bring the encounter to the target difficulty: fewer or more of the monsters already
+// in it, or (when it is too easy) one extra monster of the highest CR that still fits
+function suggestAdjustments(rules, groups, target) {
+  const { difficulties, evaluate } = rules;
+  const targetRank = difficulties.indexOf(target);
+  const current = evaluate(groups);
+  const rank = difficulties.indexOf(current.difficulty);
+  if (rank === targetRank) return [];
+
+  const suggestions = [];
+  const suggest = (action, count, group, candidate) => {
+    const result = evaluate(candidate);
+    suggestions.push({
+      action,
+      count,
+      monster: { name: group.name, cr: group.cr },
+      result: { xp: result.xp, difficulty: result.difficulty },
+      summary: `${action === 'add' ? 'Add' : 'Remove'} ${count} × ${label(group)} for a ${result.difficulty} encounter (${result.xp} XP)`
+    });
+  };
+  const withCount = (index, count) => groups
+    .map((group, position) => (position === index ? { ...group, count } : group))
+    .filter(group => group.count > 0);
+  const byXp = groups.map((group, index) => ({ group, index })).sort((a, b) => CR_XP[b.group.cr] - CR_XP[a.group.cr]);
+
+  if (rank > targetRank) {
+    for (const { group, index } of byXp) {
+      for (let removed = 1; removed <= group.count; removed++) {
+        const candidate = withCount(index, group.count - removed);
+        if (!candidate.length) break;
+        const candidateRank = difficulties.indexOf(evaluate(candidate).difficulty);
+        if (candidateRank === targetRank) suggest('remove', removed, group, candidate);
+        if (candidateRank <= targetRank) break;
+      }
+    }
+  } else {
+    for (const { group, index } of byXp) {
+      for (let added = 1; added <= 20; added++) {
+        const candidate = withCount(index, group.count + added);
+        const candidateRank = difficulties.indexOf(evaluate(candidate).difficulty);
+        if (candidateRank === targetRank) suggest('add', added, group, candidate);
+        if (candidateRank >= targetRank) break;
+      }
+    }
+
+    // Integer-like keys enumerate before the fractions, so order by XP explicitly
+    const ratings = Object.keys(CR_XP).sort((a, b) => CR_XP[b] - CR_XP[a]);
+    for (const cr of ratings) {
+      const extra = { name: genericName(cr), cr, count: 1 };
+      const candidate = [...groups, extra];
+      if (difficulties.indexOf(evaluate(candidate).difficulty) === targetRank) {
+        suggest('add', 1, extra, candidate);
+        break;
+      }
+    }
+  }
+
+  return suggestions.slice(0, MAX_SUGGESTIONS);
+}
+
+// levels: one character level per party member; groups: [{ name, cr, count }] with cr a CR_XP key
+export function evaluateEncounter(levels, groups, targets = DEFAULT_TARGETS) {
+  const dmg2014 = rules2014(levels);
+  const dmg2024 = rules2024(levels);
+  const result2014 = dmg2014.evaluate(groups);
+  const result2024 = dmg2024.evaluate(groups);
+
+  return {
+    dmg2014: {
+      thresholds: dmg2014.thresholds,
+      baseXp: result2014.baseXp,
+      monsterCount: result2014.monsterCount,
+      multiplier: result2014.multiplier,
+      adjustedXp: result2014.xp,
+      difficulty: result2014.difficulty,
+      target: targets.dmg2014,
+      suggestions: suggestAdjustments(dmg2014, groups, targets.dmg2014)
+    },
+    dmg2024: {
+      budgets: dmg2024.budgets,
+      xp: result2024.xp,
+      difficulty: result2024.difficulty,
+      target: targets.dmg2024,
+      suggestions: suggestAdjustments(dmg2024, groups, targets.dmg2024)
+    }
+  };
+}
@@ -0,0 +1,578 @@
+// Character exports for virtual tabletops: a Foundry VTT dnd5e Actor, a Roll20 (D&D 5E by Roll20
+// sheet) attribute set, and our own normalized character tagged with its versioned JSON Schema.
+// Anything that has no home in the target format is reported in `warnings` rather than dropped silently.
+
+import { ABILITIES, SKILLS } from './derive.js';
+
+export const EXPORT_FORMATS = ['foundry', 'roll20', 'json-schema'];
+
+// Bump the minor version when fields are added, the major version when fields change or go away.
+// The schema is published per major version at /schemas/character/v{major}.json
+export const SCHEMA_VERSION = '1.1.0';
+export const SCHEMA_PATH = `/schemas/character/v${SCHEMA_VERSION.split('.')[0]}.json`;
+
+const FOUNDRY_SKILLS = {
+  acrobatics: 'acr', 'animal-handling': 'ani', arcana: 'arc', athletics: 'ath', deception: 'dec',
+  history: 'his', insight: 'ins', intimidation: 'itm', investigation: 'inv', medicine: 'med',
+  nature: 'nat', perception: 'prc', performance: 'prf', persuasion: 'per', religion: 'rel',
+  'sleight-of-hand': 'slt', stealth: 'ste', survival: 'sur'
+};
+
+const FOUNDRY_SCHOOLS = {
+  abjuration: 'abj', conjuration: 'con', divination: 'div', enchantment: 'enc',
+  evocation: 'evo', illusion: 'ill', necromancy: 'nec', transmutation: 'trs'
+};
+
+const FOUNDRY_ARMOR = { 'light armor': 'lgt', 'medium armor': 'med', 'heavy armor': 'hvy', shields: 'shl' };
+const FOUNDRY_WEAPONS = { 'simple weapons': 'sim', 'martial weapons': 'mar' };
+
+const FOUNDRY_PROPERTIES = {
+  ammunition: 'amm', finesse: 'fin', heavy: 'hvy', light: 'lgt', loading: 'lod', reach: 'rch',
+  special: 'spc', thrown: 'thr', 'two-handed': 'two', versatile: 'ver'
+};
+
+const DAMAGE_TYPES = new Set([
+  'acid', 'bludgeoning', 'cold', 'fire', 'force', 'lightning', 'necrotic',
+  'piercing', 'poison', 'psychic', 'radiant', 'slashing', 'thunder'
+]);
+
+const FOUNDRY_LANGUAGES = Object.fromEntries([
+  'common', 'dwarvish', 'elvish', 'giant', 'gnomish', 'goblin', 'halfling', 'orc', 'abyssal',
+  'celestial', 'draconic', 'infernal', 'primordial', 'sylvan', 'undercommon', 'druidic'
+].map(name => [name, name]).concat([['deep speech', 'deep'], ["thieves' cant", 'cant']]));
+
+const CONSUMABLE_TYPES = new Set(['potion', 'scroll', 'ammunition', 'poison', 'food']);
+const EQUIPMENT_TYPES = new Set(['ring', 'wondrous item', 'rod', 'staff', 'wand']);
+
+const warn = (warnings, field, reason) => warnings.push({ field, reason });
+const slug = text => String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+const diceOf = damage => String(damage || '').match(/^\d+d\d+/)?.[0] || null;
+
+// Damage and condition names for Foundry's trait fields: known values by key, the rest as custom text
+function foundryTrait(names, known) {
+  const value = [];
+  const custom = [];
+  for (const name of names || []) {
+    const key = known(String(name).toLowerCase());
+    if (key) value.push(key);
+    else custom.push(name);
+  }
+  return { value, custom: custom.join(';') };
+}
+
+function foundryItemType(item, weaponNames) {
+  const type = String(item.type || '').toLowerCase();
+  if (weaponNames.has(item.name)) return 'weapon';
+  if (item.isContainer) return 'container';
+  if (type.includes('armor') || type === 'shield') return 'equipment';
+  if (CONSUMABLE_TYPES.has(type)) return 'consumable';
+  if (EQUIPMENT_TYPES.has(type)) return 'equipment';
+  return 'loot';
+}
+
+function foundrySpell(spell, entry, mode) {
+  const properties = [
+    ...(spell.components || []).map(component => ({ V: 'vocal', S: 'somatic', M: 'material' })[component]),
+    ...(spell.ritual ? ['ritual'] : []),
+    ...(spell.concentration ? ['concentration'] : [])
+  ].filter(Boolean);
+
+  return {
+    name: spell.name,
+    type: 'spell',
+    system: {
+      level: spell.level,
+      school: FOUNDRY_SCHOOLS[String(spell.school).toLowerCase()] || '',
+      properties,
+      materials: { value: spell.material || '' },
+      preparation: {
+        mode: spell.alwaysPrepared ? 'always' : mode,
+        prepared: Boolean(spell.prepared || spell.alwaysPrepared)
+      },
+      sourceClass: entry ? slug(entry.class) : ''
+    }
+  };
+}
+
+// Foundry VTT dnd5e system Actor in the 3.x data model (newer system versions migrate it on import),
+// importable with "Import Data" on a character
+export function toFoundry(character) {
+  const warnings = [];
+  const spellcasting = character.spellcasting || { classes: [], slots: [], pactMagic: null, additionalSpells: [] };
+  const weaponAttacks = (character.attacks || []).filter(attack => attack.name !== 'Unarmed Strike');
+  const weaponNames = new Set(weaponAttacks.map(attack => attack.name));
+
+  const abilities = Object.fromEntries(ABILITIES.map(({ key, short }) => [short, {
+    value: character.stats[key],
+    proficient: character.savingThrows[key]?.proficient ? 1 : 0
+  }]));
+
+  const skills = Object.fromEntries(SKILLS.map(({ key, ability }) => {
+    const skill = character.skills[key] || {};
+    const value = skill.expertise ? 2 : skill.proficient ? 1 : skill.halfProficiency ? 0.5 : 0;
+    return [FOUNDRY_SKILLS[key], { value, ability: ABILITIES.find(entry => entry.key === ability).short }];
+  }));
+
+  const spells = Object.fromEntries(
+    Array.from({ length: 9 }, (_, index) => {
+      const slot = spellcasting.slots.find(entry => entry.level === index + 1);
+      return [`spell${index + 1}`, { value: slot?.remaining || 0, override: slot ? slot.max : null }];
+    })
+  );
+  spells.pact = { value: spellcasting.pactMagic?.remaining || 0, override: spellcasting.pactMagic?.max ?? null };
+
+  const primaryCaster = spellcasting.classes[0];
+  const conditions = character.conditions || [];
+  const combat = character.combatState;
+
+  const items = [
+    { name: character.race, type: 'race', system: {} },
+    ...character.classes.map((cls, index) => ({
+      name: cls.name,
+      type: 'class',
+      system: {
+        identifier: slug(cls.name),
+        levels: cls.level,
+        hitDiceUsed: combat?.hitDice[index]?.used || 0,
+        ...(index === 0 ? { isOriginalClass: true } : {})
+      }
+    })),
+    ...character.inventory.items.map(item => {
+      const type = foundryItemType(item, weaponNames);
+      const attack = type === 'weapon' ? weaponAttacks.find(entry => entry.name === item.name) : null;
+      return {
+        name: item.name,
+        type,
+        system: {
+          quantity: item.quantity,
+          weight: item.quantity ? item.weight / item.quantity : item.weight,
+          equipped: item.equipped,
+          attunement: item.requiresAttunement ? 'required' : '',
+          attuned: item.attuned,
+          rarity: slug(item.rarity || ''),
+          ...(item.charges ? { uses: { value: Math.max(0, (item.charges.max || 0) - item.charges.used), max: String(item.charges.max ?? ''), per: 'charges' } } : {}),
+          ...(attack ? {
+            damage: { parts: [[`${diceOf(attack.damage) || '0'} + @mod`, slug(attack.damageType || '')]] },
+            magicalBonus: attack.magicBonus || null,
+            range: attack.range ? { value: attack.range.normal, long: attack.range.long, units: 'ft' } : { units: 'ft' },
+            properties: (attack.properties || []).map(property => FOUNDRY_PROPERTIES[String(property).toLowerCase()]).filter(Boolean),
+            proficient: attack.proficient ? 1 : 0
+          } : {})
+        }
+      };
+    }),
+    ...spellcasting.classes.flatMap(entry => [...entry.cantrips, ...entry.spells]
+      .map(spell => foundrySpell(spell, entry, entry.pactMagic ? 'pact' : 'prepared'))),
+    ...spellcasting.additionalSpells.map(spell => foundrySpell(spell, null, 'innate'))
+  ];
+
+  if (character.inventory.containers.some(container => container.itemIds.length)) {
+    warn(warnings, 'inventory.containers', 'Container contents are exported as loose items');
+  }
+  if (character.proficiencies.tools.length) {
+    warn(warnings, 'proficiencies.tools', `Tool proficiencies are not exported: ${character.proficiencies.tools.join(', ')}`);
+  }
+  for (const action of character.actions || []) {
+    warn(warnings, 'actions', `Feature "${action.name}" is not exported`);
+  }
+  for (const attack of weaponAttacks) {
+    if (attack.notes?.length) warn(warnings, 'attacks', `${attack.name}: ${attack.notes.join('; ')} is not carried over`);
+  }
+
+  const languages = foundryTrait(character.languages, name => FOUNDRY_LANGUAGES[name] || null);
+  const damageTrait = names => foundryTrait(names, name => (DAMAGE_TYPES.has(name) ? name : null));
+  const immunities = character.defenses.immunities || [];
+
+  return {
+    document: {
+      name: character.name,
+      type: 'character',
+      img: character.avatarUrl || 'icons/svg/mystery-man.svg',
+      system: {
+        abilities,
+        skills,
+        attributes: {
+          ac: { calc: 'flat', flat: character.armorClass },
+          hp: { value: character.hitPoints.current, max: character.hitPoints.max, temp: character.hitPoints.temp || 0, tempmax: 0 },
+          movement: { walk: character.speed, units: 'ft' },
+          senses: {
+            darkvision: character.senses.darkvision || 0,
+            blindsight: character.senses.blindsight || 0,
+            tremorsense: character.senses.tremorsense || 0,
+            truesight: character.senses.truesight || 0,
+            units: 'ft'
+          },
+          spellcasting: primaryCaster?.ability ? ABILITIES.find(entry => entry.key === primaryCaster.ability).short : '',
+          exhaustion: combat?.exhaustion.level || 0,
+          inspiration: Boolean(combat?.inspiration),
+          death: { success: combat?.deathSaves.successes || 0, failure: combat?.deathSaves.failures || 0 }
+        },
+        currency: {
+          pp: character.inventory.currency.pp,
+          gp: character.inventory.currency.gp,
+          ep: character.inventory.currency.ep,
+          sp: character.inventory.currency.sp,
+          cp: character.inventory.currency.cp
+        },
+        spells,
+        traits: {
+          languages,
+          dr: damageTrait(character.defenses.resistances),
+          di: damageTrait(immunities.filter(name => DAMAGE_TYPES.has(String(name).toLowerCase()))),
+          dv: damageTrait(character.defenses.vulnerabilities),
+          ci: { value: immunities.filter(name => !DAMAGE_TYPES.has(String(name).toLowerCase())).map(slug), custom: '' },
+          armorProf: foundryTrait(character.proficiencies.armor, name => FOUNDRY_ARMOR[name] || null),
+          weaponProf: foundryTrait(character.proficiencies.weapons, name => FOUNDRY_WEAPONS[name] || null)
+        }
+      },
+      items,
+      effects: conditions
+        .filter(name => !String(name).startsWith('Exhaustion'))
+        .map(name => ({ name, img: `systems/dnd5e/icons/svg/statuses/${slug(name)}.svg`, statuses: [slug(name)] })),
+      flags: { 'dndbeyond-agent': { characterId: character.id, schemaVersion: SCHEMA_VERSION } }
+    },
+    warnings
+  };
+}
+
+// Roll20 rows need unique IDs in the same shape as the sheet's generateRowID()
+const rowId = (section, index) => `-dndb${slug(section)}${String(index).padStart(3, '0')}`.slice(0, 20).padEnd(20, '0');
+
+// Attribute list for the D&D 5E by Roll20 sheet, in the { name, current, max } shape used by the
+// Roll20 API and character import scripts
+export function toRoll20(character) {
+  const warnings = [];
+  const attributes = [];
+  const set = (name, current, max) => attributes.push({ name, current: current ?? '', max: max ?? '' });
+  const spellcasting = character.spellcasting || { classes: [], slots: [], pactMagic: null, additionalSpells: [] };
+
+  set('character_name', character.name);
+  set('race', character.race);
+  set('class', character.classes[0]?.name);
+  set('base_level', character.classes[0]?.level);
+  set('level', character.level);
+  set('pb', character.proficiencyBonus);
+  set('hp', character.hitPoints.current, character.hitPoints.max);
+  set('hp_temp', character.hitPoints.temp || 0);
+  set('ac', character.armorClass);
+  set('speed', character.speed);
+  set('passive_wisdom', character.passives.perception);
+
+  const combat = character.combatState;
+  set('inspiration', combat?.inspiration ? 'on' : '0');
+  if (combat) {
+    for (let count = 1; count <= 3; count++) {
+      set(`deathsave_succ${count}`, combat.deathSaves.successes >= count ? 'on' : '0');
+      set(`deathsave_fail${count}`, combat.deathSaves.failures >= count ? 'on' : '0');
+    }
+    const remaining = combat.hitDice.reduce((total, dice) => total + dice.remaining, 0);
+    const total = combat.hitDice.reduce((total, dice) => total + dice.total, 0);
+    set('hit_dice', remaining, total);
+    if (new Set(combat.hitDice.map(dice => dice.die)).size > 1) {
+      warn(warnings, 'combatState.hitDice', 'The sheet keeps a single hit dice pool; dice of different sizes are counted together');
+    }
+  }
+
+  character.classes.slice(1).forEach((cls, index) => {
+    set(`multiclass${index + 1}_flag`, 1);
+    set(`multiclass${index + 1}`, cls.name.toLowerCase());
+    set(`multiclass${index + 1}_lvl`, cls.level);
+  });
+  if (character.classes.length > 4) warn(warnings, 'classes', 'The sheet holds at most three multiclasses');
+
+  for (const { key } of ABILITIES) {
+    set(key, character.stats[key]);
+    set(`${key}_base`, character.stats[key]);
+    set(`${key}_mod`, character.abilityModifiers[key]);
+    set(`${key}_save_prof`, character.savingThrows[key]?.proficient ? '(@{pb})' : 0);
+    set(`${key}_save_bonus`, character.savingThrows[key]?.bonus);
+  }
+
+  for (const { key } of SKILLS) {
+    const skill = character.skills[key] || {};
+    const name = key.replace(/-/g, '_');
+    set(`${name}_prof`, skill.proficient || skill.expertise ? `(@{pb}*@{${name}_type})` : 0);
+    set(`${name}_type`, skill.expertise ? 2 : 1);
+    set(`${name}_bonus`, skill.bonus);
+    if (skill.halfProficiency) warn(warnings, `skills.${key}`, 'Half proficiency (Jack of All Trades) must be enabled on the sheet');
+  }
+
+  for (const coin of ['cp', 'sp', 'ep', 'gp', 'pp']) set(coin, character.inventory.currency[coin]);
+
+  const caster = spellcasting.classes[0];
+  if (caster?.ability) set('spellcasting_ability', `@{${caster.ability}_mod}+`);
+  if (character.spellSaveDC !== null) set('spell_save_dc', character.spellSaveDC);
+  for (const slot of spellcasting.slots) {
+    set(`lvl${slot.level}_slots_total`, slot.max);
+    set(`lvl${slot.level}_slots_expended`, slot.remaining);
+  }
+  if (spellcasting.pactMagic) {
+    warn(warnings, 'spellcasting.pactMagic', 'The sheet derives Pact Magic slots from Warlock levels; used pact slots are not carried over');
+  }
+
+  const spells = [
+    ...spellcasting.classes.flatMap(entry => [...entry.cantrips, ...entry.spells].map(spell => ({ ...spell, source: entry.class }))),
+    ...spellcasting.additionalSpells
+  ];
+  spells.forEach((spell, index) => {
+    const prefix = `repeating_spell-${spell.level === 0 ? 'cantrip' : spell.level}_${rowId('spell', index)}`;
+    set(`${prefix}_spellname`, spell.name);
+    set(`${prefix}_spellschool`, String(spell.school || '').toLowerCase());
+    set(`${prefix}_spellritual`, spell.ritual ? '{{ritual=1}}' : 0);
+    set(`${prefix}_spellconcentration`, spell.concentration ? '{{concentration=1}}' : 0);
+    set(`${prefix}_spellcomp_v`, spell.components?.includes('V') ? '{{v=1}}' : 0);
+    set(`${prefix}_spellcomp_s`, spell.components?.includes('S') ? '{{s=1}}' : 0);
+    set(`${prefix}_spellcomp_m`, spell.components?.includes('M') ? '{{m=1}}' : 0);
+    set(`${prefix}_spellcomp_materials`, spell.material || '');
+    set(`${prefix}_spellprepared`, spell.prepared || spell.alwaysPrepared ? 1 : 0);
+    set(`${prefix}_spellsource`, spell.source || '');
+  });
+
+  character.inventory.items.forEach((item, index) => {
+    const prefix = `repeating_inventory_${rowId('item', index)}`;
+    set(`${prefix}_itemname`, item.name);
+    set(`${prefix}_itemcount`, item.quantity);
+    set(`${prefix}_itemweight`, item.quantity ? item.weight / item.quantity : item.weight);
+    set(`${prefix}_equipped`, item.equipped ? 1 : 0);
+    set(`${prefix}_itemattunement`, item.attuned ? 1 : 0);
+  });
+  if (character.inventory.containers.some(container => container.itemIds.length)) {
+    warn(warnings, 'inventory.containers', 'Container contents are exported as loose items');
+  }
+
+  character.attacks.forEach((attack, index) => {
+    const prefix = `repeating_attack_${rowId('attack', index)}`;
+    set(`${prefix}_atkname`, attack.name);
+    set(`${prefix}_atkattr_base`, `@{${attack.ability}_mod}`);
+    set(`${prefix}_atkmagic`, attack.magicBonus || 0);
+    set(`${prefix}_atkprofflag`, attack.proficient ? '(@{pb})' : 0);
+    set(`${prefix}_dmgbase`, diceOf(attack.damage) || attack.damage);
+    set(`${prefix}_dmgattr`, `@{${attack.ability}_mod}`);
+    set(`${prefix}_dmgtype`, attack.damageType || '');
+    set(`${prefix}_atkrange`, attack.range ? `${attack.range.normal}/${attack.range.long} ft` : '');
+    if (attack.notes?.length) warn(warnings, 'attacks', `${attack.name}: ${attack.notes.join('; ')} is not carried over`);
+  });
+
+  const proficiencies = [
+    ...character.languages.map(name => ['LANGUAGE', name]),
+    ...character.proficiencies.armor.map(name => ['ARMOR', name]),
+    ...character.proficiencies.weapons.map(name => ['WEAPON', name]),
+    ...character.proficiencies.tools.map(name => ['OTHER', name])
+  ];
+  proficiencies.forEach(([type, name], index) => {
+    const prefix = `repeating_proficiencies_${rowId('prof', index)}`;
+    set(`${prefix}_name`, name);
+    set(`${prefix}_prof_type`, type);
+  });
+
+  character.actions.forEach((action, index) => {
+    const prefix = `repeating_traits_${rowId('trait', index)}`;
+    const uses = action.limitedUse;
+    set(`${prefix}_name`, action.name);
+    set(`${prefix}_source`, action.source === 'race' ? 'Racial' : action.source === 'feat' ? 'Feat' : 'Class');
+    set(`${prefix}_description`, uses ? `${uses.remaining} of ${uses.max} uses left${uses.reset ? ` (${uses.reset})` : ''}` : '');
+  });
+
+  if (character.conditions.length) {
+    warn(warnings, 'conditions', `The sheet has no condition fields: ${character.conditions.join(', ')}`);
+  }
+  const defenses = ['resistances', 'immunities', 'vulnerabilities'].filter(kind => character.defenses[kind].length);
+  for (const kind of defenses) {
+    warn(warnings, `defenses.${kind}`, `The sheet has no ${kind} field: ${character.defenses[kind].join(', ')}`);
+  }
+  if (Object.keys(character.senses).length) {
+    warn(warnings, 'senses', 'Senses are not exported; add them to the sheet\'s notes');
+  }
+
+  return { document: { name: character.name, avatar: character.avatarUrl || '', attributes }, warnings };
+}
+
+// Our normalized character, tagged with the schema it conforms to
+export function toPortable(character, schemaUrl) {
+  return { document: { $schema: schemaUrl, schemaVersion: SCHEMA_VERSION, ...character }, warnings: [] };
+}
+
+export function exportCharacter(character, format, { schemaUrl } = {}) {
+  if (format === 'foundry') return toFoundry(character);
+  if (format === 'roll20') return toRoll20(character);
+  return toPortable(character, schemaUrl);
+}
+
+const integer = { type: 'integer' };
+const string = { type: 'string' };
+const nullable = schema => ({ anyOf: [schema, { type: 'null' }] });
+const stringList = { type: 'array', items: string };
+const record = (keys, schema) => ({
+  type: 'object',
+  properties: Object.fromEntries(keys.map(key => [key, schema])),
+  required: keys,
+  additionalProperties: false
+});
+const object = (properties, required = Object.keys(properties)) => ({ type: 'object', properties, required });
+
+const spellSchema = object({
+  name: string,
+  level: { type: 'integer', minimum: 0, maximum: 9 },
+  school: nullable(string),
+  concentration: { type: 'boolean' },
+  ritual: { type: 'boolean' },
+  components: { type: 'array', items: { enum: ['V', 'S', 'M'] } },
+  material: nullable(string),
+  prepared: { type: 'boolean' },
+  alwaysPrepared: { type: 'boolean' }
+});
+
+const slotSchema = object({ level: integer, max: integer, used: integer, remaining: integer });
+
+// JSON Schema (draft 2020-12) for the normalized character returned by /character/{id}
+export function characterSchema(schemaUrl) {
+  const abilityKeys = ABILITIES.map(ability => ability.key);
+  const skillKeys = SKILLS.map(skill => skill.key);
+
+  return {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    $id: schemaUrl,
+    title: 'D&D Beyond normalized character',
+    description: `Character sheet as returned by GET /character/{id}, schema version ${SCHEMA_VERSION}.`,
+    type: 'object',
+    properties: {
+      $schema: string,
+      schemaVersion: { type: 'string', pattern: `^${SCHEMA_VERSION.split('.')[0]}\\.` },
+      id: integer,
+      name: string,
+      level: { type: 'integer', minimum: 0, maximum: 20 },
+      race: nullable(string),
+      classes: { type: 'array', items: object({ name: string, level: integer }) },
+      stats: record(abilityKeys, integer),
+      abilityModifiers: record(abilityKeys, integer),
+      proficiencyBonus: integer,
+      hitPoints: object({ current: integer, max: integer, temp: integer }),
+      armorClass: integer,
+      speed: integer,
+      savingThrows: record(abilityKeys, object({ proficient: { type: 'boolean' }, bonus: integer })),
+      skills: record(skillKeys, object({
+        name: string,
+        ability: { enum: abilityKeys },
+        proficient: { type: 'boolean' },
+        expertise: { type: 'boolean' },
+        halfProficiency: { type: 'boolean' },
+        bonus: integer
+      })),
+      passives: object({ perception: integer, investigation: integer, insight: integer }),
+      senses: { type: 'object', additionalProperties: integer, description: 'Range in feet by sense, e.g. darkvision' },
+      languages: stringList,
+      proficiencies: object({ armor: stringList, weapons: stringList, tools: stringList }),
+      defenses: object({ resistances: stringList, immunities: stringList, vulnerabilities: stringList }),
+      spellSaveDC: nullable(integer),
+      spellcasting: object({
+        classes: {
+          type: 'array',
+          items: object({
+            class: string,
+            level: integer,
+            ability: nullable({ enum: abilityKeys }),
+            saveDC: integer,
+            attackBonus: integer,
+            pactMagic: { type: 'boolean' },
+            cantrips: { type: 'array', items: spellSchema },
+            spells: { type: 'array', items: spellSchema }
+          })
+        },
+        slots: { type: 'array', items: slotSchema },
+        pactMagic: nullable(slotSchema),
+        additionalSpells: {
+          type: 'array',
+          items: {
+            allOf: [spellSchema],
+            properties: {
+              source: string,
+              limitedUse: nullable(object({ maxUses: nullable(integer), used: integer }))
+            }
+          }
+        }
+      }),
+      inventory: object({
+        items: {
+          type: 'array',
+          items: object({
+            id: integer,
+            name: string,
+            type: nullable(string),
+            quantity: integer,
+            weight: { type: 'number' },
+            equipped: { type: 'boolean' },
+            attuned: { type: 'boolean' },
+            requiresAttunement: { type: 'boolean' },
+            magic: { type: 'boolean' },
+            rarity: nullable(string),
+            containerId: nullable(integer),
+            isContainer: { type: 'boolean' },
+            charges: nullable(object({ max: nullable(integer), used: integer }))
+          })
+        },
+        containers: {
+          type: 'array',
+          items: object({ id: integer, name: string, itemIds: { type: 'array', items: integer }, contentsWeight: { type: 'number' } })
+        },
+        attunement: object({ used: integer, max: integer }),
+        weight: object({
+          carried: { type: 'number' },
+          capacity: { type: 'number' },
+          size: { enum: ['tiny', 'small', 'medium', 'large', 'huge', 'gargantuan'] },
+          encumbered: { type: 'boolean' }
+        }),
+        currency: object({
+          cp: integer, sp: integer, ep: integer, gp: integer, pp: integer, totalGp: { type: 'number' }
+        })
+      }),
+      attacks: {
+        type: 'array',
+        items: object({
+          name: string,
+          type: { enum: ['melee', 'ranged'] },
+          ability: { enum: abilityKeys },
+          proficient: { type: 'boolean' },
+          toHit: integer,
+          damage: string,
+          versatileDamage: nullable(string),
+          damageType: nullable(string),
+          range: nullable(object({ normal: nullable(integer), long: nullable(integer) }, [])),
+          properties: stringList,
+          magicBonus: integer,
+          notes: stringList
+        })
+      },
+      actions: {
+        type: 'array',
+        items: object({
+          name: string,
+          source: string,
+          activation: nullable(string),
+          limitedUse: nullable(object({ max: integer, used: integer, remaining: integer, reset: nullable(string) }))
+        })
+      },
+      conditions: stringList,
+      combatState: object({
+        conditions: { type: 'array', items: object({ id: integer, name: string, effects: stringList }) },
+        exhaustion: object({ level: { type: 'integer', minimum: 0, maximum: 6 }, effects: stringList }),
+        deathSaves: object({
+          successes: { type: 'integer', minimum: 0, maximum: 3 },
+          failures: { type: 'integer', minimum: 0, maximum: 3 },
+          stabilized: { type: 'boolean' },
+          state: { enum: ['dying', 'stable', 'dead', null] }
+        }),
+        inspiration: { type: 'boolean' },
+        hitDice: {
+          type: 'array',
+          items: object({ class: nullable(string), die: nullable(string), total: integer, used: integer, remaining: integer })
+        }
+      }),
+      avatarUrl: nullable(string)
+    },
+    required: [
+      'id', 'name', 'level', 'classes', 'stats', 'abilityModifiers', 'proficiencyBonus', 'hitPoints',
+      'armorClass', 'speed', 'savingThrows', 'skills', 'passives', 'senses', 'languages', 'proficiencies',
+      'defenses', 'spellSaveDC', 'spellcasting', 'inventory', 'attacks', 'actions', 'conditions'
+    ]
+  };
+}
@@ -0,0 +1,242 @@
+// Inventory, currency, attunement, weapon attacks and limited-use actions
+
+import { ABILITIES, sumModifiers } from './derive.js';
+
+// D&D Beyond enums
+const ATTACK_TYPES = { 1: 'melee', 2: 'ranged' };
+const WEAPON_CATEGORIES = { 1: 'simple-weapons', 2: 'martial-weapons' };
+const RESET_TYPES = { 1: 'short rest', 2: 'long rest', 3: 'dawn', 4: 'other' };
+const ACTIVATION_TYPES = { 1: 'action', 2: 'no action', 3: 'bonus action', 4: 'reaction', 6: 'minute', 7: 'hour', 8: 'special' };
+
+const SIZES = { 2: 'tiny', 3: 'small', 4: 'medium', 5: 'large', 6: 'huge', 7: 'gargantuan' };
+
+// Carrying capacity doubles for each size above Medium and halves for Tiny
+const CAPACITY_MULTIPLIERS = { tiny: 0.5, small: 1, medium: 1, large: 2, huge: 4, gargantuan: 8 };
+
+const COIN_VALUES_GP = { cp: 0.01, sp: 0.1, ep: 0.5, gp: 1, pp: 10 };
+const COINS_PER_POUND = 50;
+
+const round = value => Math.round(value * 100) / 100;
+
+const hasProperty = (definition, name) =>
+  (definition.properties || []).some(property => property.name === name);
+
+function itemWeight(item) {
+  const definition = item.definition || {};
+  return ((definition.weight || 0) * (item.quantity || 1)) / (definition.bundleSize || 1);
+}
+
+// Limited uses may scale with an ability modifier or the proficiency bonus
+function limitedUse(limited, abilityModifiers, profBonus) {
+  if (!limited) return null;
+
+  let max = limited.maxUses || 0;
+  if (limited.useProficiencyBonus) max = profBonus;
+  if (limited.statModifierUsesId) {
+    const ability = ABILITIES.find(candidate => candidate.id === limited.statModifierUsesId);
+    max += ability ? abilityModifiers[ability.key] : 0;
+  }
+  max = Math.max(1, max);
+
+  const used = limited.numberUsed || 0;
+  return { max, used, remaining: Math.max(0, max - used), reset: RESET_TYPES[limited.resetType] || null };
+}
+
+// Size from the race, Medium when the payload does not say
+function creatureSize(data) {
+  const size = SIZES[data.race?.sizeId] || String(data.race?.size || '').toLowerCase();
+  return size in CAPACITY_MULTIPLIERS ? size : 'medium';
+}
+
+// Powerful Build counts as one size larger when working out what a character can carry
+function carryingSize(data) {
+  const size = creatureSize(data);
+  const powerfulBuild = (data.race?.racialTraits || []).some(trait => trait.definition?.name === 'Powerful Build');
+  if (!powerfulBuild) return size;
+  const sizes = Object.values(SIZES);
+  return sizes[Math.min(sizes.indexOf(size) + 1, sizes.length - 1)];
+}
+
+export function deriveInventory(data, stats, modifiers) {
+  const raw = data.inventory || [];
+  const byId = new Map(raw.map(item => [item.id, item]));
+
+  const items = raw.map(item => {
+    const definition = item.definition || {};
+    return {
+      id: item.id,
+      name: definition.name,
+      type: definition.type || definition.filterType || null,
+      quantity: item.quantity || 1,
+      weight: round(itemWeight(item)),
+      equipped: Boolean(item.equipped),
+      attuned: Boolean(item.isAttuned),
+      requiresAttunement: Boolean(definition.canAttune),
+      magic: Boolean(definition.magic),
+      rarity: definition.rarity || null,
+      // Items in the character's own pack point at the character id rather than an item
+      containerId: byId.has(item.containerEntityId) ? item.containerEntityId : null,
+      isContainer: Boolean(definition.isContainer),
+      charges: item.limitedUse
+        ? { max: item.limitedUse.maxUses, used: item.limitedUse.numberUsed || 0 }
+        : null
+    };
+  });
+
+  // Containers such as a Bag of Holding scale their contents' weight (weightMultiplier 0)
+  const containers = items.filter(item => item.isContainer).map(container => {
+    const definition = byId.get(container.id).definition || {};
+    const contents = items.filter(item => item.containerId === container.id);
+    const multiplier = definition.weightMultiplier ?? 1;
+    return {
+      id: container.id,
+      name: container.name,
+      itemIds: contents.map(item => item.id),
+      contentsWeight: round(contents.reduce((total, item) => total + item.weight, 0) * multiplier)
+    };
+  });
+
+  const containerWeights = new Map(containers.map(container => [container.id, container.contentsWeight]));
+  const looseWeight = items
+    .filter(item => item.containerId === null)
+    .reduce((total, item) => total + item.weight + (containerWeights.get(item.id) || 0), 0);
+
+  const coins = Object.fromEntries(Object.keys(COIN_VALUES_GP).map(coin => [coin, data.currencies?.[coin] || 0]));
+  const coinCount = Object.values(coins).reduce((total, count) => total + count, 0);
+  const coinWeight = data.preferences?.ignoreCoinWeight ? 0 : coinCount / COINS_PER_POUND;
+
+  const carried = round(looseWeight + coinWeight);
+  const size = creatureSize(data);
+  const capacity = stats.strength * 15 * CAPACITY_MULTIPLIERS[carryingSize(data)];
+
+  return {
+    items,
+    containers,
+    attunement: {
+      used: items.filter(item => item.attuned).length,
+      max: 3 + sumModifiers(modifiers, 'bonus', 'attunement-slots')
+    },
+    weight: { carried, capacity, size, encumbered: carried > capacity },
+    currency: {
+      ...coins,
+      totalGp: round(Object.entries(coins).reduce((total, [coin, count]) => total + count * COIN_VALUES_GP[coin], 0))
+    }
+  };
+}
+
+// Fighting styles chosen as class options (2014) or taken as feats (2024)
+function fightingStyles(data) {
+  const names = [
+    ...(data.options?.class || []),
+    ...(data.options?.feat || []),
+    ...(data.feats || [])
+  ].map(option => option.definition?.name).filter(Boolean);
+  return new Set(names.map(name => name.replace(/^Fighting Style:\s*/i, '')));
+}
+
+function isProficientWith(definition, modifiers) {
+  const proficiencies = new Set(modifiers.filter(modifier => modifier.type === 'proficiency').map(modifier => modifier.subType));
+  const slug = String(definition.type || definition.name || '').toLowerCase().replace(/[^a-z]+/g, '-');
+  return proficiencies.has(WEAPON_CATEGORIES[definition.categoryId]) ||
+    proficiencies.has(slug) ||
+    proficiencies.has(`${slug}s`);
+}
+
+const signed = value => (value >= 0 ? `+${value}` : `${value}`);
+
+export function deriveAttacks(data, abilityModifiers, profBonus, modifiers) {
+  const styles = fightingStyles(data);
+
+  const weapons = (data.inventory || []).filter(item => item.equipped && item.definition?.filterType === 'Weapon');
+
+  const attacks = weapons.map(item => {
+    const definition = item.definition;
+    const type = ATTACK_TYPES[definition.attackType] || 'melee';
+    const finesse = hasProperty(definition, 'Finesse');
+    const thrown = hasProperty(definition, 'Thrown');
+    const twoHanded = hasProperty(definition, 'Two-Handed');
+
+    let ability = type === 'ranged' ? 'dexterity' : 'strength';
+    if (finesse && abilityModifiers.dexterity > abilityModifiers.strength) ability = 'dexterity';
+
+    const proficient = isProficientWith(definition, modifiers);
+    // A weapon that needs attunement still works without it, only without its magic
+    const attuned = !definition.canAttune || item.isAttuned;
+    const magic = attuned
+      ? (definition.grantedModifiers || [])
+        .filter(modifier => modifier.type === 'bonus' && modifier.subType === 'magic')
+        .reduce((total, modifier) => total + (modifier.value || 0), 0)
+      : 0;
+
+    const notes = [];
+    if (!attuned) notes.push('Not attuned: magic bonuses do not apply');
+    let toHit = abilityModifiers[ability] + (proficient ? profBonus : 0) + magic +
+      sumModifiers(modifiers, 'bonus', `${type}-weapon-attacks`) + sumModifiers(modifiers, 'bonus', 'weapon-attacks');
+    let damageBonus = abilityModifiers[ability] + magic;
+    // Versatile damage is the two-handed grip, which Dueling never applies to
+    const twoHandedBonus = damageBonus;
+
+    if (styles.has('Archery') && type === 'ranged') {
+      toHit += 2;
+      notes.push('Archery: +2 to hit');
+    }
+    if (styles.has('Dueling') && type === 'melee' && !twoHanded) {
+      damageBonus += 2;
+      notes.push('Dueling: +2 damage when wielded in one hand with no other weapon');
+    }
+    if (styles.has('Thrown Weapon Fighting') && thrown) {
+      notes.push('Thrown Weapon Fighting: +2 damage when thrown');
+    }
+    if (styles.has('Great Weapon Fighting') && type === 'melee' && (twoHanded || hasProperty(definition, 'Versatile'))) {
+      notes.push('Great Weapon Fighting: reroll 1s and 2s on damage dice when wielded with two hands');
+    }
+
+    const dice = definition.damage?.diceString || (definition.damage?.fixedValue ? String(definition.damage.fixedValue) : '1');
+    const versatile = (definition.properties || []).find(property => property.name === 'Versatile')?.notes;
+
+    return {
+      name: definition.name,
+      type,
+      ability,
+      proficient,
+      toHit,
+      damage: damageBonus ? `${dice}${signed(damageBonus)}` : dice,
+      versatileDamage: versatile ? (twoHandedBonus ? `${versatile}${signed(twoHandedBonus)}` : versatile) : null,
+      damageType: definition.damageType || null,
+      range: definition.range ? { normal: definition.range, long: definition.longRange || null } : null,
+      properties: (definition.properties || []).map(property => property.name),
+      magicBonus: magic,
+      notes
+    };
+  });
+
+  // Everyone can make an unarmed strike
+  attacks.push({
+    name: 'Unarmed Strike',
+    type: 'melee',
+    ability: 'strength',
+    proficient: true,
+    toHit: abilityModifiers.strength + profBonus,
+    damage: String(Math.max(0, 1 + abilityModifiers.strength)),
+    versatileDamage: null,
+    damageType: 'Bludgeoning',
+    range: null,
+    properties: [],
+    magicBonus: 0,
+    notes: []
+  });
+
+  return attacks;
+}
+
+// Class, race, feat and item actions with their remaining limited uses
+export function deriveActions(data, abilityModifiers, profBonus) {
+  return Object.entries(data.actions || {}).flatMap(([source, actions]) =>
+    (actions || []).map(action => ({
+      name: action.name,
+      source,
+      activation: ACTIVATION_TYPES[action.activation?.activationType] || null,
+      limitedUse: limitedUse(action.limitedUse, abilityModifiers, profBonus)
+    }))
+  );
+}
@@ -0,0 +1,197 @@
+// Model Context Protocol server over streamable HTTP (JSON responses, no server-initiated stream)
+// Tools wrap the same logic as the REST routes; resources expose cached character sheets.
+
+export const MCP_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+const SERVER_INFO = { name: 'dndbeyond-agent', title: 'D&D Beyond Character & Campaign Agent', version: '1.0.0' };
+
+const characterId = {
+  type: ['string', 'integer'],
+  pattern: '^\\d+$',
+  description: 'D&D Beyond character ID, the number in dndbeyond.com/characters/<id>'
+};
+
+// `scope` is the API key scope needed to call the tool
+export const TOOLS = [
+  {
+    name: 'get_character',
+    title: 'Get character',
+    description: 'Fetch a D&D Beyond character with derived ability scores, HP, AC, skills, saves, spells, inventory and attacks.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        characterId,
+        sections: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Only return these top-level fields (e.g. ["skills", "hitPoints"]); id and name are always included'
+        }
+      },
+      required: ['characterId']
+    },
+    scope: 'character'
+  },
+  {
+    name: 'get_party',
+    title: 'Get party',
+    description: "DM-screen overview of every public member of the character's campaign: AC, HP, passives, spell save DC, speed and conditions.",
+    inputSchema: { type: 'object', properties: { characterId }, required: ['characterId'] },
+    scope: 'party'
+  },
+  {
+    name: 'get_spells',
+    title: 'Get spells',
+    description: 'Spellcasting for a character: save DC, attack bonus, spell slots, pact magic, cantrips and prepared spells.',
+    inputSchema: { type: 'object', properties: { characterId }, required: ['characterId'] },
+    scope: 'character'
+  },
+  {
+    name: 'compare_characters',
+    title: 'Compare characters',
+    description: 'Compare AC, HP, passive scores, spell save DC and speed across characters and report who is highest in each.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        characterIds: { type: 'array', items: characterId, minItems: 2, maxItems: 10 }
+      },
+      required: ['characterIds']
+    },
+    scope: 'character'
+  }
+];
+
+export const RESOURCE_TEMPLATE = {
+  uriTemplate: 'dndbeyond://character/{characterId}',
+  name: 'character',
+  title: 'D&D Beyond character sheet',
+  description: 'Normalized character sheet, served from the edge cache when fresh',
+  mimeType: 'application/json'
+};
+
+export function characterUri(id) {
+  return `dndbeyond://character/${id}`;
+}
+
+const ERRORS = {
+  parse: { code: -32700, message: 'Parse error' },
+  invalidRequest: { code: -32600, message: 'Invalid Request' },
+  methodNotFound: { code: -32601, message: 'Method not found' },
+  invalidParams: { code: -32602, message: 'Invalid params' },
+  resourceNotFound: { code: -32002, message: 'Resource not found' }
+};
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const result = (id, value) => ({ jsonrpc: '2.0', id, result: value });
+const failure = (id, error, data) => ({ jsonrpc: '2.0', id: id ?? null, error: data ? { ...error, data } : error });
+
+export function parseError() {
+  return failure(null, ERRORS.parse);
+}
+
+// An empty or oversized batch is answered with a single error
+export function batchError(maxBatch) {
+  return failure(null, ERRORS.invalidRequest, `A batch must hold 1 to ${maxBatch} messages`);
+}
+
+// Tool failures are reported in the result so the model can see and react to them
+function toolError(message) {
+  return { content: [{ type: 'text', text: message }], isError: true };
+}
+
+// Handle one JSON-RPC message. Returns null for notifications. `context` supplies:
+//   canUse        - (scope) => boolean
+//   callTool      - (name, args) => structured result
+//   listResources - () => [{ uri, name, ... }]
+//   readResource  - (characterId) => character
+export async function handleMcpMessage(message, context) {
+  if (!message || message.jsonrpc !== '2.0' || typeof message.method !== 'string') {
+    return failure(message?.id, ERRORS.invalidRequest);
+  }
+
+  const { id, method, params = {} } = message;
+  if (id === undefined) return null;
+  // A default only covers a missing params; null, arrays and scalars are rejected here
+  if (!isObject(params)) return failure(id, ERRORS.invalidParams, 'params must be an object');
+
+  switch (method) {
+    case 'initialize': {
+      const requested = params.protocolVersion;
+      return result(id, {
+        protocolVersion: MCP_PROTOCOL_VERSIONS.includes(requested) ? requested : MCP_PROTOCOL_VERSIONS[0],
+        capabilities: { tools: { listChanged: false }, resources: { listChanged: false, subscribe: false } },
+        serverInfo: SERVER_INFO,
+        instructions: 'Look up D&D Beyond characters by numeric ID. Only public characters can be read.'
+      });
+    }
+
+    case 'ping':
+      return result(id, {});
+
+    case 'tools/list':
+      return result(id, { tools: TOOLS.map(({ scope, ...tool }) => tool) });
+
+    case 'tools/call': {
+      const tool = TOOLS.find(candidate => candidate.name === params.name);
+      if (!tool) return failure(id, ERRORS.invalidParams, `Unknown tool: ${params.name}`);
+      if (!context.canUse(tool.scope)) {
+        return result(id, toolError(`This API key does not have the "${tool.scope}" scope needed by ${tool.name}`));
+      }
+
+      const args = params.arguments ?? {};
+      if (!isObject(args)) return failure(id, ERRORS.invalidParams, 'arguments must be an object');
+      if (tool.name === 'compare_characters') {
+        // Each ID is an upstream fetch, so the schema's limits are enforced here too
+        const { minItems, maxItems } = tool.inputSchema.properties.characterIds;
+        const count = Array.isArray(args.characterIds) ? args.characterIds.length : 0;
+        if (count < minItems || count > maxItems) {
+          return failure(id, ERRORS.invalidParams, `characterIds must be an array of ${minItems} to ${maxItems} character IDs`);
+        }
+      }
+
+      const ids = tool.name === 'compare_characters' ? args.characterIds : [args.characterId];
+      if (!Array.isArray(ids) || !ids.length || !ids.every(value => /^\d+$/.test(String(value)))) {
+        return result(id, toolError('Character IDs must be numeric D&D Beyond character IDs'));
+      }
+
+      try {
+        const structured = await context.callTool(tool.name, args);
+        return result(id, {
+          content: [{ type: 'text', text: JSON.stringify(structured) }],
+          structuredContent: structured,
+          isError: false
+        });
+      } catch (error) {
+        return result(id, toolError(`${error.message}${error.code ? ` (${error.code})` : ''}`));
+      }
+    }
+
+    case 'resources/list':
+      if (!context.canUse('character')) {
+        return failure(id, ERRORS.invalidParams, 'This API key does not have the "character" scope');
+      }
+      return result(id, { resources: await context.listResources() });
+
+    case 'resources/templates/list':
+      return result(id, { resourceTemplates: [RESOURCE_TEMPLATE] });
+
+    case 'resources/read': {
+      const match = String(params.uri || '').match(/^dndbeyond:\/\/character\/(\d+)$/);
+      if (!match) return failure(id, ERRORS.resourceNotFound, { uri: params.uri });
+      if (!context.canUse('character')) {
+        return failure(id, ERRORS.invalidParams, 'This API key does not have the "character" scope');
+      }
+      try {
+        const character = await context.readResource(match[1]);
+        return result(id, {
+          contents: [{ uri: params.uri, mimeType: 'application/json', text: JSON.stringify(character) }]
+        });
+      } catch (error) {
+        return failure(id, ERRORS.resourceNotFound, { uri: params.uri, reason: error.message });
+      }
+    }
+
+    default:
+      return failure(id, ERRORS.methodNotFound);
+  }
+}
@@ -0,0 +1,173 @@
+// Minimal PDF 1.4 writer for printable sheets: text in the standard Helvetica faces, lines and
+// rectangles. Pure JS so it runs inside the Worker; text is WinAnsi-encoded, so characters outside
+// Latin-1 (plus the usual typographic quotes and dashes) are replaced with "?".
+// Page coordinates are in points with the origin at the top-left, y growing downwards.
+
+// Advance widths (1/1000 em) for character codes 32-126, from the Adobe core font metrics
+const HELVETICA = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+
+const HELVETICA_BOLD = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+
+// WinAnsi codes for the non-Latin-1 characters sheets commonly contain
+const WIN_ANSI = { '€': 0x80, '…': 0x85, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '™': 0x99 };
+const WIN_ANSI_WIDTHS = { 0x85: 1000, 0x91: 222, 0x92: 222, 0x93: 333, 0x94: 333, 0x95: 350, 0x96: 556, 0x97: 1000 };
+
+function encodeChar(char) {
+  if (WIN_ANSI[char]) return WIN_ANSI[char];
+  const code = char.codePointAt(0);
+  if (code >= 32 && code <= 126) return code;
+  if (code >= 160 && code <= 255) return code;
+  return 63; // "?"
+}
+
+function charWidth(code, bold) {
+  if (code >= 32 && code <= 126) return (bold ? HELVETICA_BOLD : HELVETICA)[code - 32];
+  return WIN_ANSI_WIDTHS[code] || 556;
+}
+
+export function textWidth(text, size, bold = false) {
+  let width = 0;
+  for (const char of String(text)) width += charWidth(encodeChar(char), bold);
+  return (width * size) / 1000;
+}
+
+// Cut text to fit maxWidth, ending in an ellipsis when anything was removed
+export function fitText(text, maxWidth, size, bold = false) {
+  const value = String(text);
+  if (textWidth(value, size, bold) <= maxWidth) return value;
+  const chars = [...value];
+  while (chars.length && textWidth(`${chars.join('')}…`, size, bold) > maxWidth) chars.pop();
+  return `${chars.join('').trimEnd()}…`;
+}
+
+// Greedy word wrap; words longer than a line are cut with fitText
+export function wrapText(text, maxWidth, size, bold = false) {
+  const lines = [];
+  let line = '';
+  for (const word of String(text).split(/\s+/).filter(Boolean)) {
+    const candidate = line ? `${line} ${word}` : word;
+    if (textWidth(candidate, size, bold) <= maxWidth) {
+      line = candidate;
+    } else {
+      if (line) lines.push(line);
+      line = fitText(word, maxWidth, size, bold);
+    }
+  }
+  if (line) lines.push(line);
+  return lines;
+}
+
+// PDF literal string: printable ASCII as is, everything else as octal escapes
+function pdfString(text) {
+  let out = '';
+  for (const char of String(text)) {
+    const code = encodeChar(char);
+    if (code === 40 || code === 41 || code === 92) out += `\\${String.fromCharCode(code)}`;
+    else if (code < 32 || code > 126) out += `\\${code.toString(8).padStart(3, '0')}`;
+    else out += String.fromCharCode(code);
+  }
+  return `(${out})`;
+}
+
+const num = value => Number(value.toFixed(2)).toString();
+const rgb = color => color.map(num).join(' ');
+
+export class PdfPage {
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+    this.ops = [];
+  }
+
+  // Baseline at (x, y); align 'right' or 'center' measures the text from x
+  text(x, y, text, { size = 9, bold = false, align = 'left', color = [0, 0, 0] } = {}) {
+    const width = textWidth(text, size, bold);
+    const left = align === 'right' ? x - width : align === 'center' ? x - width / 2 : x;
+    this.ops.push(`BT ${rgb(color)} rg /${bold ? 'F2' : 'F1'} ${num(size)} Tf ${num(left)} ${num(this.height - y)} Td ${pdfString(text)} Tj ET`);
+  }
+
+  line(x1, y1, x2, y2, { width = 0.5, color = [0, 0, 0] } = {}) {
+    this.ops.push(`${rgb(color)} RG ${num(width)} w ${num(x1)} ${num(this.height - y1)} m ${num(x2)} ${num(this.height - y2)} l S`);
+  }
+
+  rect(x, y, width, height, { stroke = [0, 0, 0], fill = null, lineWidth = 0.5 } = {}) {
+    const paint = fill && stroke ? 'B' : fill ? 'f' : 'S';
+    this.ops.push([
+      fill ? `${rgb(fill)} rg` : '',
+      stroke ? `${rgb(stroke)} RG ${num(lineWidth)} w` : '',
+      `${num(x)} ${num(this.height - y - height)} ${num(width)} ${num(height)} re ${paint}`
+    ].filter(Boolean).join(' '));
+  }
+
+  content() {
+    return this.ops.join('\n');
+  }
+}
+
+export class PdfDocument {
+  constructor({ title = '' } = {}) {
+    this.title = title;
+    this.pages = [];
+  }
+
+  addPage(width = 612, height = 792) {
+    const page = new PdfPage(width, height);
+    this.pages.push(page);
+    return page;
+  }
+
+  // Serialize to bytes; every object is ASCII so string lengths are byte offsets
+  toBytes() {
+    const objects = [];
+    const add = body => {
+      objects.push(body);
+      return objects.length;
+    };
+
+    const catalog = add(null);
+    const pages = add(null);
+    const regular = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+    const bold = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+    const info = add(`<< /Title ${pdfString(this.title)} /Producer (dndbeyond-agent) >>`);
+
+    const kids = this.pages.map(page => {
+      const content = page.content();
+      const stream = add(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+      return add(
+        `<< /Type /Page /Parent ${pages} 0 R /MediaBox [0 0 ${num(page.width)} ${num(page.height)}] ` +
+        `/Resources << /Font << /F1 ${regular} 0 R /F2 ${bold} 0 R >> >> /Contents ${stream} 0 R >>`
+      );
+    });
+
+    objects[catalog - 1] = `<< /Type /Catalog /Pages ${pages} 0 R >>`;
+    objects[pages - 1] = `<< /Type /Pages /Kids [${kids.map(id => `${id} 0 R`).join(' ')}] /Count ${kids.length} >>`;
+
+    let pdf = '%PDF-1.4\n';
+    const offsets = objects.map((body, index) => {
+      const offset = pdf.length;
+      pdf += `${index + 1} 0 obj\n${body}\nendobj\n`;
+      return offset;
+    });
+
+    const xref = pdf.length;
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root ${catalog} 0 R /Info ${info} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+    return new TextEncoder().encode(pdf);
+  }
+}
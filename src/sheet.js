@@ -0,0 +1,417 @@
+// Printable sheets: a one-page character sheet and a landscape party summary for the DM screen.
+// Both are built as a plain model first (sections of rows, text and tables) and then rendered to
+// HTML or to PDF, so the two formats always carry the same content.
+
+import { ABILITIES, SKILLS } from './derive.js';
+import { PdfDocument, fitText, textWidth, wrapText } from './pdf.js';
+
+export const SHEET_FORMATS = ['html', 'pdf'];
+
+const signed = value => (value >= 0 ? `+${value}` : `${value}`);
+const ORDINALS = { 1: '1st', 2: '2nd', 3: '3rd' };
+const ordinal = level => ORDINALS[level] || `${level}th`;
+const abilityShort = key => ABILITIES.find(ability => ability.key === key)?.short.toUpperCase() || '';
+const asOfDate = storedAt => new Date(storedAt).toISOString().slice(0, 10);
+
+const rows = (title, entries) => (entries.length ? { title, kind: 'rows', rows: entries } : null);
+const text = (title, value) => (value ? { title, kind: 'text', text: value } : null);
+
+function spellSections(spellcasting) {
+  const spells = [
+    ...spellcasting.classes.flatMap(entry => [...entry.cantrips, ...entry.spells]),
+    ...spellcasting.additionalSpells
+  ].filter(spell => spell.level === 0 || spell.prepared || spell.alwaysPrepared || spell.source);
+
+  const levels = [...new Set(spells.map(spell => spell.level))].sort((a, b) => a - b);
+  return levels.map(level => rows(
+    level === 0 ? 'Cantrips' : `${ordinal(level)} Level`,
+    spells
+      .filter(spell => spell.level === level)
+      .map(spell => ({
+        label: spell.name,
+        value: [spell.concentration ? 'C' : '', spell.ritual ? 'R' : ''].filter(Boolean).join(' ')
+      }))
+  ));
+}
+
+export function characterSheet(character, { storedAt } = {}) {
+  const spellcasting = character.spellcasting || { classes: [], slots: [], pactMagic: null, additionalSpells: [] };
+  const { hitPoints, inventory, proficiencies, defenses } = character;
+  const currency = ['pp', 'gp', 'ep', 'sp', 'cp']
+    .filter(coin => inventory.currency[coin])
+    .map(coin => `${inventory.currency[coin]} ${coin}`);
+  const slots = [
+    ...spellcasting.slots.filter(slot => slot.max).map(slot => `${ordinal(slot.level)} ${slot.remaining}/${slot.max}`),
+    ...(spellcasting.pactMagic ? [`Pact (${ordinal(spellcasting.pactMagic.level)}) ${spellcasting.pactMagic.remaining}/${spellcasting.pactMagic.max}`] : [])
+  ];
+
+  return {
+    title: character.name,
+    subtitle: [
+      `Level ${character.level}`,
+      character.race,
+      character.classes.map(cls => `${cls.name} ${cls.level}`).join(' / ')
+    ].filter(Boolean).join(' · '),
+    footer: storedAt ? `D&D Beyond character ${character.id} · data as of ${asOfDate(storedAt)}` : `D&D Beyond character ${character.id}`,
+    headline: [
+      { label: 'Armor Class', value: String(character.armorClass) },
+      { label: 'Hit Points', value: `${hitPoints.current} / ${hitPoints.max}${hitPoints.temp ? ` +${hitPoints.temp}` : ''}` },
+      { label: 'Speed', value: `${character.speed} ft` },
+      { label: 'Proficiency', value: signed(character.proficiencyBonus) },
+      { label: 'Passive Perception', value: String(character.passives.perception) },
+      { label: 'Spell Save DC', value: character.spellSaveDC === null ? '—' : String(character.spellSaveDC) }
+    ],
+    abilities: ABILITIES.map(({ key, short }) => ({
+      label: short.toUpperCase(),
+      score: character.stats[key],
+      modifier: signed(character.abilityModifiers[key]),
+      save: signed(character.savingThrows[key].bonus),
+      saveProficient: character.savingThrows[key].proficient
+    })),
+    columns: [
+      [
+        rows('Skills', SKILLS.map(({ key, name, ability }) => {
+          const skill = character.skills[key];
+          return {
+            mark: skill.expertise ? '••' : skill.proficient ? '•' : skill.halfProficiency ? '½' : '',
+            label: `${name} (${abilityShort(ability)})`,
+            value: signed(skill.bonus)
+          };
+        })),
+        rows('Passive Scores', [
+          { label: 'Perception', value: String(character.passives.perception) },
+          { label: 'Investigation', value: String(character.passives.investigation) },
+          { label: 'Insight', value: String(character.passives.insight) }
+        ]),
+        text('Senses', Object.entries(character.senses).map(([sense, range]) => `${sense[0].toUpperCase()}${sense.slice(1)} ${range} ft`).join(', ')),
+        text('Languages', character.languages.join(', ')),
+        text('Proficiencies', [
+          proficiencies.armor.length ? `Armor: ${proficiencies.armor.join(', ')}.` : '',
+          proficiencies.weapons.length ? `Weapons: ${proficiencies.weapons.join(', ')}.` : '',
+          proficiencies.tools.length ? `Tools: ${proficiencies.tools.join(', ')}.` : ''
+        ].filter(Boolean).join(' ')),
+        text('Defenses', [
+          defenses.resistances.length ? `Resistant: ${defenses.resistances.join(', ')}.` : '',
+          defenses.immunities.length ? `Immune: ${defenses.immunities.join(', ')}.` : '',
+          defenses.vulnerabilities.length ? `Vulnerable: ${defenses.vulnerabilities.join(', ')}.` : ''
+        ].filter(Boolean).join(' '))
+      ],
+      [
+        character.attacks.length ? {
+          title: 'Attacks',
+          kind: 'table',
+          columns: [{ label: 'Name', width: 0.44 }, { label: 'Hit', width: 0.14, align: 'right' }, { label: 'Damage', width: 0.42, align: 'right' }],
+          rows: character.attacks.map(attack => [attack.name, signed(attack.toHit), `${attack.damage} ${attack.damageType || ''}`.trim()])
+        } : null,
+        rows('Features & Actions', character.actions.map(action => ({
+          label: action.name,
+          value: action.limitedUse
+            ? `${action.limitedUse.remaining}/${action.limitedUse.max}${action.limitedUse.reset ? ` ${action.limitedUse.reset}` : ''}`
+            : action.activation || ''
+        }))),
+        text('Conditions', character.conditions.join(', ')),
+        text('Coins & Weight', [
+          currency.join(', '),
+          `${inventory.weight.carried} / ${inventory.weight.capacity} lb${inventory.weight.encumbered ? ' (encumbered)' : ''}`,
+          `Attuned ${inventory.attunement.used}/${inventory.attunement.max}`
+        ].filter(Boolean).join(' · ')),
+        rows('Inventory', inventory.items.map(item => ({
+          mark: item.equipped ? '•' : '',
+          label: `${item.name}${item.attuned ? ' (attuned)' : ''}`,
+          value: item.quantity > 1 ? `×${item.quantity}` : ''
+        })))
+      ],
+      [
+        rows('Spellcasting', spellcasting.classes.map(entry => ({
+          label: `${entry.class} (${abilityShort(entry.ability)})`,
+          value: `DC ${entry.saveDC} · ${signed(entry.attackBonus)}`
+        }))),
+        text('Spell Slots', slots.join(' · ')),
+        ...spellSections(spellcasting)
+      ]
+    ].map(column => column.filter(Boolean))
+  };
+}
+
+export function partySheet(overview, { storedAt } = {}) {
+  const { campaign, party } = overview;
+  return {
+    title: campaign.name,
+    subtitle: [
+      campaign.dm?.username ? `DM: ${campaign.dm.username}` : '',
+      `${party.length} characters`,
+      storedAt ? `data as of ${asOfDate(storedAt)}` : ''
+    ].filter(Boolean).join(' · '),
+    columns: [
+      { label: 'Character', width: 0.14 },
+      { label: 'Class', width: 0.13 },
+      { label: 'Lvl', width: 0.04, align: 'center' },
+      { label: 'AC', width: 0.04, align: 'center' },
+      { label: 'HP', width: 0.08, align: 'center' },
+      { label: 'Speed', width: 0.05, align: 'center' },
+      { label: 'P. Perc', width: 0.055, align: 'center' },
+      { label: 'P. Inv', width: 0.055, align: 'center' },
+      { label: 'P. Ins', width: 0.055, align: 'center' },
+      { label: 'Spell DC', width: 0.065, align: 'center' },
+      { label: 'Conditions', width: 0.2 },
+      { label: 'Notes', width: 0.09 }
+    ],
+    rows: party.map(member => member.status === 'ok'
+      ? [
+          member.name,
+          member.classes,
+          String(member.level),
+          String(member.armorClass),
+          `${member.hitPoints.current}/${member.hitPoints.max}${member.hitPoints.temp ? ` +${member.hitPoints.temp}` : ''}`,
+          `${member.speed} ft`,
+          String(member.passives.perception),
+          String(member.passives.investigation),
+          String(member.passives.insight),
+          member.spellSaveDC === null ? '—' : String(member.spellSaveDC),
+          member.conditions.join(', '),
+          ''
+        ]
+      : [member.name, member.reason, '', '', '', '', '', '', '', '', '', ''])
+  };
+}
+
+// HTML
+
+const escapeHtml = value => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+function htmlSection(section) {
+  let body;
+  if (section.kind === 'rows') {
+    body = `<table class="rows">${section.rows.map(row =>
+      `<tr><td class="mark">${escapeHtml(row.mark)}</td><td>${escapeHtml(row.label)}</td><td class="value">${escapeHtml(row.value)}</td></tr>`).join('')}</table>`;
+  } else if (section.kind === 'table') {
+    body = `<table class="grid"><tr>${section.columns.map(column =>
+      `<th class="${column.align || 'left'}">${escapeHtml(column.label)}</th>`).join('')}</tr>${section.rows.map(row =>
+      `<tr>${row.map((cell, index) => `<td class="${section.columns[index].align || 'left'}">${escapeHtml(cell)}</td>`).join('')}</tr>`).join('')}</table>`;
+  } else {
+    body = `<p>${escapeHtml(section.text)}</p>`;
+  }
+  return `<section><h2>${escapeHtml(section.title)}</h2>${body}</section>`;
+}
+
+const HTML_STYLE = `
+  * { box-sizing: border-box; }
+  body { font-family: Helvetica, Arial, sans-serif; font-size: 9pt; color: #111; margin: 0; }
+  .sheet { max-width: 8.5in; margin: 0 auto; padding: 0.4in; }
+  h1 { font-size: 18pt; margin: 0; }
+  .subtitle { color: #444; margin: 2px 0 10px; }
+  .boxes { display: grid; grid-template-columns: repeat(6, 1fr); gap: 6px; margin-bottom: 8px; }
+  .box { border: 1px solid #333; border-radius: 4px; text-align: center; padding: 4px; }
+  .box .label { font-size: 7pt; text-transform: uppercase; color: #555; }
+  .box .big { font-size: 14pt; font-weight: bold; }
+  .box .save.proficient { font-weight: bold; }
+  .columns { display: grid; grid-template-columns: repeat(3, 1fr); gap: 10px; }
+  section { margin-bottom: 8px; break-inside: avoid; }
+  h2 { font-size: 8.5pt; background: #e6e6e6; margin: 0 0 3px; padding: 2px 4px; text-transform: uppercase; }
+  p { margin: 0; }
+  table { width: 100%; border-collapse: collapse; }
+  td, th { padding: 1px 3px; vertical-align: top; }
+  .rows .mark { width: 14px; }
+  .value, .right { text-align: right; white-space: nowrap; }
+  .center { text-align: center; }
+  .left { text-align: left; }
+  .grid th { border-bottom: 1px solid #333; font-size: 8pt; }
+  .grid td { border-bottom: 1px solid #ddd; }
+  .party .grid td { height: 26px; }
+  footer { margin-top: 8px; color: #666; font-size: 7pt; }
+  @media print { .sheet { padding: 0; max-width: none; } }
+`;
+
+function htmlPage(title, body, pageSize) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(title)}</title>
+<style>@page { size: ${pageSize}; margin: 0.4in; }${HTML_STYLE}</style>
+</head>
+<body>
+${body}
+</body>
+</html>`;
+}
+
+export function characterSheetHtml(sheet) {
+  const headline = sheet.headline.map(box =>
+    `<div class="box"><div class="label">${escapeHtml(box.label)}</div><div class="big">${escapeHtml(box.value)}</div></div>`).join('');
+  const abilities = sheet.abilities.map(ability =>
+    `<div class="box"><div class="label">${escapeHtml(ability.label)}</div><div class="big">${escapeHtml(ability.modifier)}</div>` +
+    `<div>${escapeHtml(ability.score)}</div><div class="save${ability.saveProficient ? ' proficient' : ''}">Save ${escapeHtml(ability.save)}</div></div>`).join('');
+  const columns = sheet.columns.map(column => `<div>${column.map(htmlSection).join('')}</div>`).join('');
+
+  return htmlPage(sheet.title, `<div class="sheet">
+<h1>${escapeHtml(sheet.title)}</h1>
+<div class="subtitle">${escapeHtml(sheet.subtitle)}</div>
+<div class="boxes">${headline}</div>
+<div class="boxes">${abilities}</div>
+<div class="columns">${columns}</div>
+<footer>${escapeHtml(sheet.footer)} · • proficient, •• expertise, C concentration, R ritual</footer>
+</div>`, 'letter portrait');
+}
+
+export function partySheetHtml(sheet) {
+  const table = htmlSection({ title: 'Party', kind: 'table', columns: sheet.columns, rows: sheet.rows });
+  return htmlPage(sheet.title, `<div class="sheet party" style="max-width: 11in">
+<h1>${escapeHtml(sheet.title)}</h1>
+<div class="subtitle">${escapeHtml(sheet.subtitle)}</div>
+${table}
+</div>`, 'letter landscape');
+}
+
+// PDF
+
+const MARGIN = 30;
+const LINE = 9.5;
+const FONT = 7.5;
+const GRAY = [0.9, 0.9, 0.9];
+const DARK_GRAY = [0.35, 0.35, 0.35];
+
+function drawBox(page, x, y, width, height, label, value, extra = []) {
+  page.rect(x, y, width, height, { lineWidth: 0.75 });
+  page.text(x + width / 2, y + 9, fitText(label.toUpperCase(), width - 4, 6), { size: 6, align: 'center', color: DARK_GRAY });
+  page.text(x + width / 2, y + 24, fitText(value, width - 4, 13, true), { size: 13, bold: true, align: 'center' });
+  extra.forEach((line, index) => {
+    page.text(x + width / 2, y + 34 + index * 9, line.text, { size: 7, bold: line.bold, align: 'center' });
+  });
+}
+
+// Each section becomes a list of line painters so a full column can be cut off cleanly
+function sectionLines(section, width) {
+  if (section.kind === 'text') {
+    return wrapText(section.text, width - 4, FONT).map(line => (page, x, y) => page.text(x + 2, y, line, { size: FONT }));
+  }
+  if (section.kind === 'table') {
+    const cell = (page, x, y, values, bold) => {
+      let left = x + 2;
+      section.columns.forEach((column, index) => {
+        const columnWidth = (width - 4) * column.width;
+        const value = fitText(values[index], columnWidth - 3, FONT, bold);
+        if (column.align === 'right') page.text(left + columnWidth, y, value, { size: FONT, bold, align: 'right' });
+        else page.text(left, y, value, { size: FONT, bold });
+        left += columnWidth;
+      });
+    };
+    return [
+      (page, x, y) => cell(page, x, y, section.columns.map(column => column.label), true),
+      ...section.rows.map(row => (page, x, y) => cell(page, x, y, row, false))
+    ];
+  }
+  return section.rows.map(row => (page, x, y) => {
+    const value = row.value ? fitText(row.value, width / 2, FONT) : '';
+    const valueWidth = value ? textWidth(value, FONT) + 6 : 0;
+    if (row.mark) page.text(x + 2, y, row.mark, { size: FONT });
+    page.text(x + 11, y, fitText(row.label, width - 13 - valueWidth, FONT), { size: FONT });
+    if (value) page.text(x + width - 2, y, value, { size: FONT, align: 'right' });
+  });
+}
+
+function drawColumn(page, x, top, width, bottom, sections) {
+  let y = top;
+  for (const [index, section] of sections.entries()) {
+    if (y + 12 + LINE > bottom) {
+      const rest = sections.slice(index).map(entry => entry.title);
+      page.text(x + 2, Math.min(y + 8, bottom), fitText(`Not shown: ${rest.join(', ')}`, width - 4, 6.5), { size: 6.5, color: DARK_GRAY });
+      return;
+    }
+
+    page.rect(x, y, width, 11, { stroke: null, fill: GRAY });
+    page.text(x + 3, y + 8, section.title.toUpperCase(), { size: 7.5, bold: true });
+    y += 11;
+
+    const lines = sectionLines(section, width);
+    const room = Math.floor((bottom - y) / LINE);
+    const shown = lines.length > room ? lines.slice(0, room - 1) : lines;
+    for (const paint of shown) {
+      y += LINE;
+      paint(page, x, y - 2);
+    }
+    if (shown.length < lines.length) {
+      y += LINE;
+      page.text(x + 2, y - 2, `+ ${lines.length - shown.length} more`, { size: FONT, color: DARK_GRAY });
+    }
+    y += 6;
+  }
+}
+
+export function characterSheetPdf(sheet) {
+  const pdf = new PdfDocument({ title: sheet.title });
+  const page = pdf.addPage(612, 792);
+  const contentWidth = page.width - MARGIN * 2;
+
+  page.text(MARGIN, MARGIN + 16, fitText(sheet.title, contentWidth, 18, true), { size: 18, bold: true });
+  page.text(MARGIN, MARGIN + 30, fitText(sheet.subtitle, contentWidth, 9), { size: 9, color: DARK_GRAY });
+
+  const gap = 6;
+  const boxWidth = (contentWidth - gap * 5) / 6;
+  sheet.headline.forEach((box, index) => {
+    drawBox(page, MARGIN + index * (boxWidth + gap), MARGIN + 38, boxWidth, 30, box.label, box.value);
+  });
+  sheet.abilities.forEach((ability, index) => {
+    drawBox(page, MARGIN + index * (boxWidth + gap), MARGIN + 74, boxWidth, 52, ability.label, ability.modifier, [
+      { text: `Score ${ability.score}` },
+      { text: `Save ${ability.save}${ability.saveProficient ? ' •' : ''}`, bold: ability.saveProficient }
+    ]);
+  });
+
+  const top = MARGIN + 136;
+  const bottom = page.height - MARGIN - 12;
+  const columnGap = 12;
+  const columnWidth = (contentWidth - columnGap * 2) / 3;
+  sheet.columns.forEach((sections, index) => {
+    drawColumn(page, MARGIN + index * (columnWidth + columnGap), top, columnWidth, bottom, sections);
+  });
+
+  page.text(MARGIN, page.height - MARGIN, `${sheet.footer} · • proficient, •• expertise, C concentration, R ritual`, { size: 6.5, color: DARK_GRAY });
+  return pdf.toBytes();
+}
+
+export function partySheetPdf(sheet) {
+  const pdf = new PdfDocument({ title: sheet.title });
+  const rowHeight = 24;
+  let page;
+  let y;
+
+  const startPage = () => {
+    page = pdf.addPage(792, 612);
+    page.text(MARGIN, MARGIN + 16, fitText(sheet.title, page.width - MARGIN * 2, 18, true), { size: 18, bold: true });
+    page.text(MARGIN, MARGIN + 30, sheet.subtitle, { size: 9, color: DARK_GRAY });
+    y = MARGIN + 44;
+    page.rect(MARGIN, y, page.width - MARGIN * 2, 16, { stroke: null, fill: GRAY });
+    drawRow(sheet.columns.map(column => column.label), y + 11, true);
+    y += 16;
+  };
+
+  // A cell followed only by empty cells (a partial member's reason) runs to the end of the row
+  const drawRow = (values, baseline, bold) => {
+    const tableWidth = page.width - MARGIN * 2;
+    let left = MARGIN;
+    sheet.columns.forEach((column, index) => {
+      const width = tableWidth * column.width;
+      const spans = column.align !== 'center' && values.slice(index + 1).every(value => !value);
+      const value = fitText(values[index], (spans ? MARGIN + tableWidth - left : width) - 6, 8, bold);
+      if (column.align === 'center') page.text(left + width / 2, baseline, value, { size: 8, bold, align: 'center' });
+      else page.text(left + 3, baseline, value, { size: 8, bold });
+      left += width;
+    });
+  };
+
+  startPage();
+  for (const row of sheet.rows) {
+    if (y + rowHeight > page.height - MARGIN) startPage();
+    drawRow(row, y + 15, false);
+    y += rowHeight;
+    page.line(MARGIN, y, page.width - MARGIN, y, { width: 0.4, color: [0.7, 0.7, 0.7] });
+  }
+
+  return pdf.toBytes();
+}
@@ -0,0 +1,141 @@
+// Character snapshots in the CHARACTER_HISTORY KV namespace, and field-level diffs between them
+// Keys: snapshot:{characterId}:{takenAt padded} -> { id, takenAt, hash, character }
+//       latest:{characterId} -> metadata of the newest snapshot, so recording needs no listing
+
+const KEY_PREFIX = 'snapshot:';
+const latestKey = characterId => `latest:${characterId}`;
+
+export function snapshotModes(env) {
+  return new Set(String(env.SNAPSHOT_MODE || '').split(',').map(mode => mode.trim()).filter(Boolean));
+}
+
+// Zero-padded so KV's lexicographic listing is chronological
+const snapshotKey = (characterId, takenAt) => `${KEY_PREFIX}${characterId}:${String(takenAt).padStart(15, '0')}`;
+
+async function hashCharacter(character) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(JSON.stringify(character)));
+  return [...new Uint8Array(digest)].slice(0, 12).map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+export async function listSnapshots(env, characterId, limit = 50) {
+  const keys = [];
+  let cursor;
+  do {
+    const page = await env.CHARACTER_HISTORY.list({ prefix: `${KEY_PREFIX}${characterId}:`, cursor });
+    keys.push(...page.keys);
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+
+  return keys
+    .map(key => ({ key: key.name, ...key.metadata }))
+    .sort((a, b) => b.takenAt - a.takenAt)
+    .slice(0, limit);
+}
+
+export async function getSnapshot(env, characterId, snapshotId) {
+  return env.CHARACTER_HISTORY.get(snapshotKey(characterId, snapshotId), 'json');
+}
+
+// Store the normalized character unless it is identical to the latest snapshot.
+// Returns the stored snapshot's summary, or null when nothing changed.
+export async function recordSnapshot(env, character, takenAt = Date.now()) {
+  if (!env.CHARACTER_HISTORY) return null;
+
+  const hash = await hashCharacter(character);
+  // Histories written before the pointer existed fall back to a listing once
+  const latest = await env.CHARACTER_HISTORY.get(latestKey(character.id), 'json') ||
+    (await listSnapshots(env, character.id, 1))[0];
+  if (latest?.hash === hash) return null;
+
+  const metadata = { id: String(takenAt), takenAt, hash, name: character.name, level: character.level };
+  const retentionDays = Number(env.SNAPSHOT_RETENTION_DAYS || 0);
+  // The pointer expires with the snapshot it names, so an expired history starts over
+  const expiration = retentionDays > 0 ? { expirationTtl: retentionDays * 86400 } : {};
+
+  await env.CHARACTER_HISTORY.put(
+    snapshotKey(character.id, takenAt),
+    JSON.stringify({ ...metadata, character }),
+    { metadata, ...expiration }
+  );
+  await env.CHARACTER_HISTORY.put(latestKey(character.id), JSON.stringify(metadata), expiration);
+  return metadata;
+}
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Arrays of named objects (items, spells, class blocks, slot levels) are matched by that key
+// so reordering is not a change
+function identity(value) {
+  if (!isObject(value)) return null;
+  return value.name ?? value.class ?? value.id ?? value.level ?? null;
+}
+
+function keyedArray(array) {
+  const keyed = new Map();
+  for (const entry of array) {
+    const key = identity(entry);
+    if (key === null) return null;
+    // Duplicate names (two daggers) get a suffix to stay distinct
+    let unique = String(key);
+    for (let n = 2; keyed.has(unique); n++) unique = `${key}#${n}`;
+    keyed.set(unique, entry);
+  }
+  return keyed;
+}
+
+// Field-level diff: [{ path, type: 'added' | 'removed' | 'changed', from, to }]
+export function diffValues(before, after, path = '') {
+  if (JSON.stringify(before) === JSON.stringify(after)) return [];
+
+  if (before === undefined) return [{ path, type: 'added', from: null, to: after }];
+  if (after === undefined) return [{ path, type: 'removed', from: before, to: null }];
+
+  if (isObject(before) && isObject(after)) {
+    const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+    return keys.flatMap(key => diffValues(before[key], after[key], path ? `${path}.${key}` : key));
+  }
+
+  if (Array.isArray(before) && Array.isArray(after)) {
+    const keyedBefore = keyedArray(before);
+    const keyedAfter = keyedArray(after);
+    if (keyedBefore && keyedAfter) {
+      const keys = [...new Set([...keyedBefore.keys(), ...keyedAfter.keys()])];
+      return keys.flatMap(key => diffValues(keyedBefore.get(key), keyedAfter.get(key), `${path}[${key}]`));
+    }
+    if (before.every(entry => !isObject(entry)) && after.every(entry => !isObject(entry))) {
+      return [
+        ...after.filter(entry => !before.includes(entry)).map(entry => ({ path, type: 'added', from: null, to: entry })),
+        ...before.filter(entry => !after.includes(entry)).map(entry => ({ path, type: 'removed', from: entry, to: null }))
+      ];
+    }
+  }
+
+  return [{ path, type: 'changed', from: before, to: after }];
+}
+
+const names = list => (list || []).map(entry => entry.name);
+const added = (before, after) => after.filter(name => !before.includes(name));
+
+function allSpells(character) {
+  return (character.spellcasting?.classes || []).flatMap(cls => [...names(cls.cantrips), ...names(cls.spells)]);
+}
+
+// The headline changes a DM wants in a session recap
+export function summarizeDiff(before, after) {
+  const itemsBefore = names(before.inventory?.items);
+  const itemsAfter = names(after.inventory?.items);
+  const spellsBefore = allSpells(before);
+  const spellsAfter = allSpells(after);
+
+  return {
+    level: before.level !== after.level ? { from: before.level, to: after.level } : null,
+    hitPoints: {
+      current: (after.hitPoints?.current ?? 0) - (before.hitPoints?.current ?? 0),
+      max: (after.hitPoints?.max ?? 0) - (before.hitPoints?.max ?? 0)
+    },
+    itemsAdded: added(itemsBefore, itemsAfter),
+    itemsRemoved: added(itemsAfter, itemsBefore),
+    spellsAdded: added(spellsBefore, spellsAfter),
+    spellsRemoved: added(spellsAfter, spellsBefore)
+  };
+}
@@ -0,0 +1,151 @@
+// Where character payloads come from, chosen by UPSTREAM_SOURCE:
+//   live (default)  the D&D Beyond v5 character service, or UPSTREAM_BASE_URL when set
+//   fixtures        recorded payloads from the UPSTREAM_FIXTURES KV namespace, then fixtures/characters
+//   record          live, saving every payload into UPSTREAM_FIXTURES for later replay
+// Payloads from any source are checked against the fields the sheet is derived from, so a change
+// in D&D Beyond's format fails loudly instead of deriving a sheet of defaults.
+
+import BUNDLED_FIXTURES from '../fixtures/characters/index.js';
+import { UpstreamError } from './upstream.js';
+
+export const UPSTREAM_SOURCES = ['live', 'fixtures', 'record'];
+export const DEFAULT_BASE_URL = 'https://character-service.dndbeyond.com/character/v5/character';
+
+const FIXTURE_PREFIX = 'fixture:character:';
+const MAX_REPORTED_PATHS = 20;
+
+// The upstream source is misconfigured, so no character can be loaded; `status` is what
+// every request needing character data is answered with
+export class SourceConfigError extends Error {
+  constructor(message, { code, status }) {
+    super(message);
+    this.name = 'SourceConfigError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+// The configured source, after checking it has the bindings it needs
+export function upstreamSource(env) {
+  const source = String(env.UPSTREAM_SOURCE || 'live').trim().toLowerCase();
+  if (!UPSTREAM_SOURCES.includes(source)) {
+    throw new SourceConfigError(`UPSTREAM_SOURCE must be one of ${UPSTREAM_SOURCES.join(', ')}`, { code: 'invalid_upstream_source', status: 500 });
+  }
+  if (source === 'record' && !env.UPSTREAM_FIXTURES) {
+    throw new SourceConfigError('UPSTREAM_SOURCE=record needs an UPSTREAM_FIXTURES KV namespace', { code: 'fixtures_not_configured', status: 501 });
+  }
+  return source;
+}
+
+// Cache key for a character payload. Each source has its own entries, so switching
+// UPSTREAM_SOURCE never serves fixture data as live or the reverse; live keys are unprefixed.
+export function characterCacheKey(characterId, env) {
+  const source = upstreamSource(env);
+  return source === 'live' ? `character/${characterId}` : `character/${characterId}/${source}`;
+}
+
+// Request URL and headers for a live fetch; UPSTREAM_USER_AGENT replaces the browser User-Agent
+export function liveRequest(characterId, env) {
+  const base = env.UPSTREAM_BASE_URL || DEFAULT_BASE_URL;
+  return {
+    url: `${base.replace(/\/$/, '')}/${characterId}`,
+    headers: {
+      'User-Agent': env.UPSTREAM_USER_AGENT || 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
+      'Accept': 'application/json',
+      'Referer': 'https://www.dndbeyond.com/'
+    }
+  };
+}
+
+// Recorded payload for a character; KV recordings win over the bundled ones
+export async function loadFixture(characterId, env) {
+  const recorded = env.UPSTREAM_FIXTURES ? await env.UPSTREAM_FIXTURES.get(`${FIXTURE_PREFIX}${characterId}`, 'json') : null;
+  const fixture = recorded || BUNDLED_FIXTURES[characterId];
+  if (!fixture) {
+    throw new UpstreamError(`No fixture recorded for character ${characterId}`, { code: 'not_found', upstreamStatus: 404 });
+  }
+  return structuredClone(fixture);
+}
+
+export async function recordFixture(characterId, data, env) {
+  await env.UPSTREAM_FIXTURES.put(`${FIXTURE_PREFIX}${characterId}`, JSON.stringify(data), {
+    metadata: { recordedAt: Date.now(), name: data?.name ?? null }
+  });
+}
+
+// Structural checks: each takes (value, path, problems) and pushes { path, expected, actual }
+const kind = value => (value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value);
+
+const type = expected => (value, path, problems) => {
+  if (kind(value) !== expected) problems.push({ path, expected, actual: kind(value) });
+};
+const optional = check => (value, path, problems) => {
+  if (value !== undefined && value !== null) check(value, path, problems);
+};
+// Present but possibly null, such as a stat D&D Beyond has no value for
+const nullable = check => (value, path, problems) => {
+  if (value !== null) check(value, path, problems);
+};
+const arrayOf = check => (value, path, problems) => {
+  if (!Array.isArray(value)) return problems.push({ path, expected: 'array', actual: kind(value) });
+  value.forEach((entry, index) => check(entry, `${path}[${index}]`, problems));
+};
+const object = fields => (value, path, problems) => {
+  if (kind(value) !== 'object') return problems.push({ path, expected: 'object', actual: kind(value) });
+  for (const [key, check] of Object.entries(fields)) check(value[key], path ? `${path}.${key}` : key, problems);
+};
+const recordOf = check => (value, path, problems) => {
+  if (kind(value) !== 'object') return problems.push({ path, expected: 'object', actual: kind(value) });
+  for (const [key, entry] of Object.entries(value)) check(entry, `${path}.${key}`, problems);
+};
+
+const number = type('number');
+const string = type('string');
+const stats = arrayOf(object({ id: number, value: nullable(number) }));
+
+// The v5 fields the derived sheet reads. Missing optional fields are normal; a required field
+// that is missing or of another type means the format changed.
+const CHARACTER_PAYLOAD = object({
+  id: number,
+  name: string,
+  stats,
+  bonusStats: optional(stats),
+  overrideStats: optional(stats),
+  classes: arrayOf(object({ level: number, definition: object({ name: string }) })),
+  race: optional(object({ fullName: optional(string) })),
+  baseHitPoints: number,
+  bonusHitPoints: optional(number),
+  overrideHitPoints: optional(number),
+  removedHitPoints: optional(number),
+  temporaryHitPoints: optional(number),
+  modifiers: recordOf(optional(arrayOf(object({ type: string, subType: optional(string) })))),
+  inventory: arrayOf(object({ quantity: optional(number), definition: object({ name: string }) })),
+  conditions: optional(arrayOf(object({ id: number, level: optional(number) }))),
+  currencies: optional(recordOf(optional(number))),
+  campaign: optional(object({
+    id: number,
+    name: string,
+    characters: optional(arrayOf(object({ characterId: number, privacyType: optional(number) })))
+  }))
+});
+
+// Problems with a character payload, [] when it has the expected shape
+export function payloadProblems(data) {
+  const problems = [];
+  CHARACTER_PAYLOAD(data, '', problems);
+  return problems.map(problem => ({ ...problem, path: problem.path || '(root)' }));
+}
+
+// Throws upstream_schema_changed listing the offending paths
+export function checkPayload(data, characterId) {
+  const problems = payloadProblems(data);
+  if (!problems.length) return;
+
+  throw new UpstreamError(
+    `Character ${characterId} does not have the expected shape; D&D Beyond may have changed its format`,
+    {
+      code: 'upstream_schema_changed',
+      paths: problems.slice(0, MAX_REPORTED_PATHS).map(({ path, expected, actual }) => `${path}: expected ${expected}, got ${actual}`)
+    }
+  );
+}
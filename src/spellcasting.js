@@ -0,0 +1,158 @@
+// Spellcasting: per-class casting stats, spell slots (multiclass and pact magic) and spell lists
+
+import { ABILITIES, sumModifiers } from './derive.js';
+
+// Spell slots per spell level for a combined caster level (PHB multiclass table)
+const MULTICLASS_SLOTS = [
+  [],
+  [2],
+  [3],
+  [4, 2],
+  [4, 3],
+  [4, 3, 2],
+  [4, 3, 3],
+  [4, 3, 3, 1],
+  [4, 3, 3, 2],
+  [4, 3, 3, 3, 1],
+  [4, 3, 3, 3, 2],
+  [4, 3, 3, 3, 2, 1],
+  [4, 3, 3, 3, 2, 1],
+  [4, 3, 3, 3, 2, 1, 1],
+  [4, 3, 3, 3, 2, 1, 1],
+  [4, 3, 3, 3, 2, 1, 1, 1],
+  [4, 3, 3, 3, 2, 1, 1, 1],
+  [4, 3, 3, 3, 2, 1, 1, 1, 1],
+  [4, 3, 3, 3, 3, 1, 1, 1, 1],
+  [4, 3, 3, 3, 3, 2, 1, 1, 1],
+  [4, 3, 3, 3, 3, 2, 2, 1, 1]
+];
+
+// D&D Beyond spell component ids
+const COMPONENTS = { 1: 'V', 2: 'S', 3: 'M' };
+
+// The definition that grants casting: the class itself, or a subclass such as Eldritch Knight
+function casterDefinition(cls) {
+  if (cls.definition?.canCastSpells) return cls.definition;
+  if (cls.subclassDefinition?.canCastSpells) return cls.subclassDefinition;
+  return null;
+}
+
+function isPactCaster(cls, caster) {
+  return cls.definition?.name === 'Warlock' || caster.spellRules?.multiClassSpellSlotDivisor === 0;
+}
+
+// Caster level one class contributes to the shared slot table.
+// Divisor 1 = full, 2 = half, 3 = third caster; rounding 2 rounds up (Artificer), otherwise down.
+// A class on its own always rounds up once it has reached its first slot level.
+function casterLevel(cls, caster, multiclass) {
+  const divisor = caster.spellRules?.multiClassSpellSlotDivisor || 1;
+  const roundUp = caster.spellRules?.multiClassSpellSlotRounding === 2;
+
+  if (multiclass) {
+    return roundUp ? Math.ceil(cls.level / divisor) : Math.floor(cls.level / divisor);
+  }
+  if (!roundUp && cls.level < divisor) return 0;
+  return Math.ceil(cls.level / divisor);
+}
+
+function pactSlots(warlockLevel) {
+  if (warlockLevel < 1) return null;
+  const count = warlockLevel >= 17 ? 4 : warlockLevel >= 11 ? 3 : warlockLevel >= 2 ? 2 : 1;
+  const level = Math.min(5, Math.ceil(warlockLevel / 2));
+  return { level, count };
+}
+
+function normalizeSpell(entry) {
+  const definition = entry.definition || {};
+  return {
+    name: definition.name,
+    level: definition.level ?? 0,
+    school: definition.school || null,
+    concentration: Boolean(definition.concentration),
+    ritual: Boolean(definition.ritual),
+    components: (definition.components || []).map(id => COMPONENTS[id]).filter(Boolean),
+    material: definition.componentsDescription || null,
+    prepared: Boolean(entry.prepared || entry.alwaysPrepared || entry.countsAsKnownSpell),
+    alwaysPrepared: Boolean(entry.alwaysPrepared)
+  };
+}
+
+const byLevelThenName = (a, b) => a.level - b.level || String(a.name).localeCompare(String(b.name));
+
+function usedAtLevel(list, level) {
+  return list?.find(slot => slot.level === level)?.used || 0;
+}
+
+export function deriveSpellcasting(data, abilityModifiers, profBonus, modifiers) {
+  const casters = (data.classes || [])
+    .map(cls => ({ cls, caster: casterDefinition(cls) }))
+    .filter(({ caster }) => caster);
+
+  const saveBonus = sumModifiers(modifiers, 'bonus', 'spell-save-dc');
+  const attackBonus = sumModifiers(modifiers, 'bonus', 'spell-attacks');
+
+  const classes = casters.map(({ cls, caster }) => {
+    const ability = ABILITIES.find(candidate => candidate.id === caster.spellCastingAbilityId);
+    const abilityModifier = ability ? abilityModifiers[ability.key] : 0;
+    const spells = (data.classSpells || [])
+      .filter(entry => entry.characterClassId === cls.id)
+      .flatMap(entry => entry.spells || [])
+      .map(normalizeSpell)
+      .sort(byLevelThenName);
+
+    return {
+      class: cls.definition?.name,
+      level: cls.level,
+      ability: ability?.key || null,
+      saveDC: 8 + profBonus + abilityModifier + saveBonus,
+      attackBonus: profBonus + abilityModifier + attackBonus,
+      pactMagic: isPactCaster(cls, caster),
+      cantrips: spells.filter(spell => spell.level === 0),
+      spells: spells.filter(spell => spell.level > 0)
+    };
+  });
+
+  // Shared slots come from every non-pact caster; a lone class uses its own progression
+  const slotCasters = casters.filter(({ cls, caster }) => !isPactCaster(cls, caster));
+  const combinedLevel = slotCasters.reduce(
+    (total, { cls, caster }) => total + casterLevel(cls, caster, slotCasters.length > 1),
+    0
+  );
+
+  const slots = (MULTICLASS_SLOTS[Math.min(20, combinedLevel)] || []).map((max, index) => {
+    const used = usedAtLevel(data.spellSlots, index + 1);
+    return { level: index + 1, max, used, remaining: Math.max(0, max - used) };
+  });
+
+  const warlockLevel = casters
+    .filter(({ cls, caster }) => isPactCaster(cls, caster))
+    .reduce((total, { cls }) => total + cls.level, 0);
+  const pact = pactSlots(warlockLevel);
+  const pactUsed = data.pactMagic?.reduce((total, slot) => total + (slot.used || 0), 0) || 0;
+
+  // Racial, feat, item and background spells, e.g. Misty Step from Fey Touched
+  const additionalSpells = Object.entries(data.spells || {}).flatMap(([source, entries]) =>
+    (entries || []).map(entry => ({
+      source,
+      ...normalizeSpell(entry),
+      limitedUse: entry.limitedUse
+        ? { maxUses: entry.limitedUse.maxUses, used: entry.limitedUse.numberUsed || 0 }
+        : null
+    }))
+  ).sort(byLevelThenName);
+
+  return {
+    classes,
+    slots,
+    pactMagic: pact
+      ? { level: pact.level, max: pact.count, used: pactUsed, remaining: Math.max(0, pact.count - pactUsed) }
+      : null,
+    additionalSpells
+  };
+}
+
+// Highest save DC across casting classes, for compact views; null for non-casters
+export function bestSpellSaveDC(spellcasting) {
+  const dcs = spellcasting.classes.map(cls => cls.saveDC);
+  return dcs.length ? Math.max(...dcs) : null;
+}
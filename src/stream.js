@@ -0,0 +1,242 @@
+// Live party updates for /party/{characterId}/stream as Server-Sent Events.
+// A PartyHub polls the party on one schedule and fans changes out to every connected client.
+// With the PARTY_STREAM Durable Object bound there is one hub per campaign, so every dashboard
+// watching a campaign shares the same upstream polls; without it each connection gets its own hub.
+
+import { throttleSettings } from './throttle.js';
+
+// Fields pushed to clients; everything else on the sheet changes too rarely to stream
+export const LIVE_FIELDS = ['hitPoints', 'tempHitPoints', 'conditions', 'deathSaves', 'spellSlotsUsed', 'inspiration'];
+
+const HEARTBEAT_MS = 25000;
+const RECONNECT_MS = 5000;
+const MAX_BACKOFF_MS = 300000;
+
+const SSE_HEADERS = {
+  'Content-Type': 'text/event-stream; charset=utf-8',
+  'Cache-Control': 'no-cache, no-transform',
+  'X-Accel-Buffering': 'no',
+  'Access-Control-Allow-Origin': '*'
+};
+
+// Live fields from a normalized character
+export function liveState(character) {
+  const spellcasting = character.spellcasting || { slots: [], pactMagic: null };
+  const spellSlotsUsed = Object.fromEntries(
+    spellcasting.slots.filter(slot => slot.max > 0).map(slot => [slot.level, slot.used])
+  );
+  if (spellcasting.pactMagic) spellSlotsUsed.pact = spellcasting.pactMagic.used;
+
+  const { deathSaves, inspiration } = character.combatState;
+  return {
+    hitPoints: { current: character.hitPoints.current, max: character.hitPoints.max },
+    tempHitPoints: character.hitPoints.temp,
+    conditions: character.conditions,
+    deathSaves: { successes: deathSaves.successes, failures: deathSaves.failures, stabilized: deathSaves.stabilized },
+    spellSlotsUsed,
+    inspiration
+  };
+}
+
+// Fields of `current` that differ from `previous`. Partial rows carry no live fields, so the
+// last known values stand until the member loads again.
+export function diffMember(previous, current) {
+  const changes = {};
+  for (const field of ['status', 'code', 'reason', ...LIVE_FIELDS]) {
+    if (!(field in current)) continue;
+    if (JSON.stringify(previous?.[field]) !== JSON.stringify(current[field])) changes[field] = current[field];
+  }
+  return changes;
+}
+
+// Seconds between polls: STREAM_POLL_SECONDS, stretched so one campaign's polls use at most
+// half the UPSTREAM_RATE_LIMIT budget and leave room for the other routes
+export function pollInterval(env, fetchedMembers) {
+  const base = Number(env.STREAM_POLL_SECONDS ?? 15);
+  const { ratePerMinute } = throttleSettings(env);
+  const budget = ratePerMinute > 0 ? Math.ceil((fetchedMembers * 60) / (ratePerMinute / 2)) : 0;
+  return Math.max(base, budget, 1);
+}
+
+function encodeEvent(event, data, id) {
+  const lines = [];
+  if (id !== undefined) lines.push(`id: ${id}`);
+  lines.push(`event: ${event}`);
+  lines.push(`data: ${JSON.stringify(data)}`);
+  return `${lines.join('\n')}\n\n`;
+}
+
+export class PartyHub {
+  // loadParty resolves to { campaign, party } like fetchParty, with liveState fields on each row
+  constructor(loadParty, env) {
+    this.loadParty = loadParty;
+    this.env = env;
+    this.encoder = new TextEncoder();
+    this.clients = new Set();
+    this.reset();
+  }
+
+  // Bumping the generation orphans a poll still in flight when the last client leaves
+  reset() {
+    this.generation = (this.generation || 0) + 1;
+    this.campaign = null;
+    this.members = null;
+    this.eventId = 0;
+    this.interval = null;
+    this.backoffMs = 0;
+    this.timer = null;
+    this.heartbeat = null;
+    this.polling = false;
+  }
+
+  // Open an SSE response for one client; the first poll (or the current state) arrives as `snapshot`
+  connect(signal) {
+    const { readable, writable } = new TransformStream();
+    const client = { writer: writable.getWriter() };
+    this.clients.add(client);
+    signal?.addEventListener('abort', () => this.disconnect(client));
+
+    this.write(client, `retry: ${RECONNECT_MS}\n\n`);
+    if (this.members) this.write(client, encodeEvent('snapshot', this.snapshot(), this.eventId));
+    this.start();
+
+    return new Response(readable, { headers: SSE_HEADERS });
+  }
+
+  disconnect(client) {
+    if (!this.clients.delete(client)) return;
+    client.writer.close().catch(() => {});
+    if (!this.clients.size) this.stop();
+  }
+
+  // Writes are not awaited so one slow reader cannot hold up the others; a failed write means
+  // the client has gone away
+  write(client, text) {
+    client.writer.write(this.encoder.encode(text)).catch(() => this.disconnect(client));
+  }
+
+  broadcast(event, data) {
+    this.eventId += 1;
+    const text = encodeEvent(event, data, this.eventId);
+    for (const client of this.clients) this.write(client, text);
+  }
+
+  start() {
+    if (this.timer || this.polling) return;
+    this.heartbeat = setInterval(() => {
+      for (const client of this.clients) this.write(client, ': keep-alive\n\n');
+    }, HEARTBEAT_MS);
+    this.poll();
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    clearInterval(this.heartbeat);
+    this.reset();
+  }
+
+  snapshot() {
+    return {
+      campaign: this.campaign,
+      interval: this.interval,
+      members: [...this.members.values()]
+    };
+  }
+
+  async poll() {
+    this.timer = null;
+    this.polling = true;
+    const { generation } = this;
+
+    let delayMs;
+    try {
+      const overview = await this.loadParty();
+      if (generation !== this.generation) return;
+      if (!overview) {
+        this.broadcast('error', { code: 'no_campaign', message: 'Character is not in a campaign' });
+        for (const client of [...this.clients]) this.disconnect(client);
+        return;
+      }
+      delayMs = this.apply(overview);
+    } catch (error) {
+      if (generation !== this.generation) return;
+      this.broadcast('error', {
+        code: error.code || 'upstream_error',
+        message: error.message,
+        retryAfter: error.retryAfter ?? null
+      });
+      delayMs = Math.max(this.backoff(), (error.retryAfter || 0) * 1000);
+    } finally {
+      if (generation === this.generation) this.polling = false;
+    }
+
+    if (this.clients.size) this.timer = setTimeout(() => this.poll(), delayMs);
+  }
+
+  // Merge a poll into the known state and push what changed; returns the delay until the next poll
+  apply({ campaign, party }) {
+    const fetched = party.filter(member => member.code !== 'private').length;
+    this.interval = pollInterval(this.env, fetched);
+
+    const ids = party.map(member => String(member.id));
+    const rosterChanged = !this.members || ids.length !== this.members.size || ids.some(id => !this.members.has(id));
+
+    const previous = this.members || new Map();
+    const members = new Map();
+    const updates = [];
+    for (const row of party) {
+      const id = String(row.id);
+      const before = previous.get(id);
+      const merged = row.status === 'ok'
+        ? { ...before, ...row, code: undefined, reason: undefined }
+        : { ...before, ...row };
+      const changes = diffMember(before, row);
+      if (before && Object.keys(changes).length) updates.push({ id: row.id, name: row.name, changes });
+      members.set(id, JSON.parse(JSON.stringify(merged)));
+    }
+
+    this.campaign = campaign;
+    this.members = members;
+
+    // A new roster (or the first poll) is sent whole; otherwise only the changed fields
+    if (rosterChanged) {
+      this.broadcast('snapshot', this.snapshot());
+    } else if (updates.length) {
+      this.broadcast('update', { at: new Date().toISOString(), members: updates });
+    }
+
+    // Back off while D&D Beyond is pushing back on some members
+    const limited = party.some(member => member.code === 'rate_limited' || member.code === 'circuit_open');
+    if (limited) return this.backoff();
+    this.backoffMs = 0;
+    return this.interval * 1000;
+  }
+
+  backoff() {
+    const base = (this.interval || pollInterval(this.env, 1)) * 1000;
+    this.backoffMs = Math.min(MAX_BACKOFF_MS, this.backoffMs ? this.backoffMs * 2 : base * 2);
+    return this.backoffMs;
+  }
+}
+
+// Durable Object holding the hub for one campaign. Subclasses supply loader(characterId, env,
+// state) returning the hub's loadParty for that character (see PartyStream in index.js).
+export class PartyStreamObject {
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+    this.hub = null;
+  }
+
+  async fetch(request) {
+    const characterId = new URL(request.url).searchParams.get('characterId');
+    if (!this.hub || !this.hub.clients.size) {
+      this.hub = new PartyHub(this.loader(characterId, this.env, this.state), this.env);
+    }
+    return this.hub.connect(request.signal);
+  }
+
+  loader() {
+    throw new Error('PartyStreamObject subclasses must implement loader()');
+  }
+}
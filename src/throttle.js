@@ -0,0 +1,115 @@
+// Shared upstream throttle: a token bucket plus a circuit breaker
+// ThrottleState holds the logic; UpstreamThrottle wraps it in a Durable Object so every
+// isolate draws from the same bucket. Without the binding each isolate keeps its own state.
+
+export function throttleSettings(env) {
+  return {
+    ratePerMinute: Number(env.UPSTREAM_RATE_LIMIT ?? 10),
+    failureThreshold: Number(env.CIRCUIT_FAILURE_THRESHOLD ?? 5),
+    cooldownSeconds: Number(env.CIRCUIT_COOLDOWN_SECONDS ?? 60)
+  };
+}
+
+export class ThrottleState {
+  constructor(settings, snapshot = {}) {
+    this.settings = settings;
+    this.tokens = snapshot.tokens ?? settings.ratePerMinute;
+    this.refilledAt = snapshot.refilledAt ?? Date.now();
+    this.circuit = snapshot.circuit ?? 'closed';
+    this.openUntil = snapshot.openUntil ?? 0;
+    this.failures = snapshot.failures ?? 0;
+    this.probeInFlight = false;
+  }
+
+  snapshot() {
+    const { tokens, refilledAt, circuit, openUntil, failures } = this;
+    return { tokens, refilledAt, circuit, openUntil, failures };
+  }
+
+  refill(now) {
+    const perSecond = this.settings.ratePerMinute / 60;
+    this.tokens = Math.min(this.settings.ratePerMinute, this.tokens + ((now - this.refilledAt) / 1000) * perSecond);
+    this.refilledAt = now;
+  }
+
+  // Returns { allowed: true } or { allowed: false, reason, retryAfter } (seconds)
+  acquire(now = Date.now()) {
+    if (this.circuit === 'open') {
+      if (now < this.openUntil) {
+        return { allowed: false, reason: 'circuit_open', retryAfter: Math.ceil((this.openUntil - now) / 1000) };
+      }
+      this.circuit = 'half-open';
+    }
+
+    // Half-open lets a single probe through to test whether D&D Beyond has recovered
+    if (this.circuit === 'half-open') {
+      if (this.probeInFlight) {
+        return { allowed: false, reason: 'circuit_open', retryAfter: 1 };
+      }
+      this.probeInFlight = true;
+    }
+
+    this.refill(now);
+    if (this.tokens < 1) {
+      if (this.circuit === 'half-open') this.probeInFlight = false;
+      const perSecond = this.settings.ratePerMinute / 60;
+      return { allowed: false, reason: 'rate_limited', retryAfter: Math.ceil((1 - this.tokens) / perSecond) };
+    }
+
+    this.tokens -= 1;
+    return { allowed: true };
+  }
+
+  // Record the outcome of an upstream call. `blocked` marks a 429, which opens the circuit at once.
+  report({ ok, blocked = false, retryAfter = 0 }, now = Date.now()) {
+    this.probeInFlight = false;
+
+    if (ok) {
+      this.circuit = 'closed';
+      this.failures = 0;
+      return;
+    }
+
+    this.failures += 1;
+    if (blocked || this.circuit === 'half-open' || this.failures >= this.settings.failureThreshold) {
+      this.circuit = 'open';
+      this.openUntil = now + Math.max(retryAfter, this.settings.cooldownSeconds) * 1000;
+    }
+  }
+}
+
+export class UpstreamThrottle {
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+    this.throttle = null;
+  }
+
+  async load() {
+    if (!this.throttle) {
+      const snapshot = await this.state.storage.get('throttle');
+      this.throttle = new ThrottleState(throttleSettings(this.env), snapshot || {});
+    }
+    return this.throttle;
+  }
+
+  async fetch(request) {
+    const throttle = await this.load();
+    const { pathname } = new URL(request.url);
+
+    let result;
+    if (pathname === '/acquire') {
+      result = throttle.acquire();
+    } else if (pathname === '/report') {
+      throttle.report(await request.json());
+      result = { circuit: throttle.circuit };
+    } else if (pathname === '/status') {
+      result = throttle.snapshot();
+    } else {
+      return new Response('Not found', { status: 404 });
+    }
+
+    await this.state.storage.put('throttle', throttle.snapshot());
+    return new Response(JSON.stringify(result), { headers: { 'Content-Type': 'application/json' } });
+  }
+}
@@ -0,0 +1,544 @@
+// Versioned UI-chunk contract for host agents. GET /ui-chunk?step=&state= returns one step of a
+// three-step flow (find a character, pick a party member, browse their sheet in tabs) as markup,
+// the script that drives it, the state that step was opened with and the events it emits.
+// Upstream data never reaches the markup: the script fetches it with the user's API key and renders
+// it with DOM APIs (textContent), so character names and item notes cannot inject HTML.
+
+export const UI_CHUNK_CONTRACT = 'dndbeyond-agent/ui-chunk';
+export const UI_CHUNK_VERSION = '2.0.0';
+
+export const UI_STEPS = [
+  { id: 'lookup', title: 'Find a character', requires: [] },
+  { id: 'party', title: 'Pick a party member', requires: ['characterId'] },
+  { id: 'detail', title: 'Character details', requires: ['characterId', 'memberId'] }
+];
+
+export const UI_TABS = ['stats', 'skills', 'spells', 'inventory'];
+
+// CustomEvents dispatched on the chunk's root element; all bubble and cross shadow roots
+export const UI_EVENTS = [
+  {
+    name: 'dnd-agent:navigate',
+    cancelable: true,
+    detail: '{ step, state }',
+    description: 'The user is moving to another step. Call preventDefault() to load that chunk yourself; otherwise the chunk fetches it and replaces itself.'
+  },
+  {
+    name: 'dnd-agent:state',
+    cancelable: false,
+    detail: '{ step, state }',
+    description: 'State changed without leaving the step, such as switching tabs. Keep it to restore the view later.'
+  },
+  {
+    name: 'dnd-agent:select',
+    cancelable: false,
+    detail: '{ characterId, name }',
+    description: 'A party member was picked.'
+  },
+  {
+    name: 'dnd-agent:error',
+    cancelable: false,
+    detail: '{ step, message, status }',
+    description: 'A request failed; status is the HTTP status, or null for network errors.'
+  }
+];
+
+export class ChunkError extends Error {
+  constructor(error, message) {
+    super(message);
+    this.name = 'ChunkError';
+    this.error = error;
+  }
+}
+
+// Resolve ?step= (an id or its 1-based number) and ?state= (JSON). Only known state fields are
+// kept, so nothing a host echoes back can smuggle extra data into the markup.
+export function parseChunkRequest(url) {
+  const version = url.searchParams.get('version');
+  if (version && version.split('.')[0] !== UI_CHUNK_VERSION.split('.')[0]) {
+    throw new ChunkError('Unsupported version', `This agent serves UI-chunk contract ${UI_CHUNK_VERSION}`);
+  }
+
+  const stepParam = url.searchParams.get('step') || UI_STEPS[0].id;
+  const step = UI_STEPS.find((entry, index) => entry.id === stepParam || String(index + 1) === stepParam);
+  if (!step) {
+    throw new ChunkError('Invalid step', `step must be one of ${UI_STEPS.map(entry => entry.id).join(', ')}`);
+  }
+
+  let raw = {};
+  const stateParam = url.searchParams.get('state');
+  if (stateParam) {
+    try {
+      raw = JSON.parse(stateParam);
+    } catch {
+      throw new ChunkError('Invalid state', 'state must be a JSON object');
+    }
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+      throw new ChunkError('Invalid state', 'state must be a JSON object');
+    }
+  }
+
+  const state = {};
+  for (const field of ['characterId', 'memberId']) {
+    if (raw[field] === undefined) continue;
+    if (!/^\d+$/.test(String(raw[field]))) throw new ChunkError('Invalid state', `state.${field} must be a numeric character ID`);
+    state[field] = String(raw[field]);
+  }
+  if (step.id === 'detail') {
+    if (raw.tab !== undefined && !UI_TABS.includes(raw.tab)) {
+      throw new ChunkError('Invalid state', `state.tab must be one of ${UI_TABS.join(', ')}`);
+    }
+    state.tab = raw.tab || UI_TABS[0];
+  }
+
+  const missing = step.requires.filter(field => !state[field]);
+  if (missing.length) {
+    throw new ChunkError('Missing state', `Step ${step.id} needs ${missing.map(field => `state.${field}`).join(' and ')}`);
+  }
+
+  return { step, state };
+}
+
+const escapeHtml = value => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+export const UI_CHUNK_STYLES = `
+  .dnd-agent-ui { max-width: 800px; margin: 0 auto; font-family: system-ui, -apple-system, sans-serif; color: #374151; }
+  .dnd-agent-ui .dnd-section { background: white; border-radius: 12px; padding: 24px; box-shadow: 0 2px 8px rgba(0,0,0,0.1); border: 1px solid #e1e5e9; }
+  .dnd-agent-ui h3 { margin: 0 0 16px 0; color: #8B0000; font-size: 1.25rem; font-weight: 600; }
+  .dnd-agent-ui h4 { margin: 0 0 8px 0; color: #8B0000; font-size: 1.5rem; }
+  .dnd-agent-ui .dnd-steps { display: flex; gap: 8px; margin: 0 0 16px 0; padding: 0; list-style: none; font-size: 12px; }
+  .dnd-agent-ui .dnd-steps li { padding: 4px 10px; border-radius: 999px; background: #f3f4f6; color: #6b7280; }
+  .dnd-agent-ui .dnd-steps li.current { background: #8B0000; color: white; }
+  .dnd-agent-ui .dnd-input-group { margin-bottom: 16px; }
+  .dnd-agent-ui .dnd-input-group label { display: block; margin-bottom: 6px; font-weight: 500; }
+  .dnd-agent-ui .dnd-input-group input { width: 100%; box-sizing: border-box; padding: 10px 12px; border: 1px solid #d1d5db; border-radius: 6px; font-size: 14px; }
+  .dnd-agent-ui .dnd-input-group small { display: block; margin-top: 4px; color: #6b7280; font-size: 12px; }
+  .dnd-agent-ui .dnd-btn { background: linear-gradient(135deg, #DC143C, #8B0000); color: white; border: none; padding: 10px 20px; border-radius: 6px; font-size: 14px; font-weight: 500; cursor: pointer; margin: 0 8px 8px 0; }
+  .dnd-agent-ui .dnd-btn.secondary { background: #f3f4f6; color: #374151; }
+  .dnd-agent-ui .dnd-btn:disabled { background: #9ca3af; cursor: not-allowed; }
+  .dnd-agent-ui .dnd-status { padding: 12px 16px; border-radius: 6px; margin: 16px 0; font-size: 14px; }
+  .dnd-agent-ui .dnd-status.success { background: #d1fae5; color: #065f46; }
+  .dnd-agent-ui .dnd-status.error { background: #fee2e2; color: #991b1b; }
+  .dnd-agent-ui .dnd-status.info { background: #dbeafe; color: #1e40af; }
+  .dnd-agent-ui .dnd-members { display: grid; gap: 10px; }
+  .dnd-agent-ui .dnd-member { display: block; width: 100%; text-align: left; background: #f8f9fa; border: 1px solid #e5e7eb; border-radius: 8px; padding: 12px 16px; cursor: pointer; font: inherit; color: inherit; }
+  .dnd-agent-ui .dnd-member:hover { border-color: #DC143C; }
+  .dnd-agent-ui .dnd-member:disabled { opacity: 0.6; cursor: not-allowed; }
+  .dnd-agent-ui .dnd-member strong { display: block; color: #8B0000; }
+  .dnd-agent-ui .dnd-tabs { display: flex; gap: 4px; border-bottom: 2px solid #e5e7eb; margin: 16px 0; }
+  .dnd-agent-ui .dnd-tab { background: none; border: none; padding: 8px 14px; cursor: pointer; font: inherit; color: #6b7280; border-bottom: 2px solid transparent; margin-bottom: -2px; }
+  .dnd-agent-ui .dnd-tab[aria-selected="true"] { color: #8B0000; border-bottom-color: #8B0000; font-weight: 600; }
+  .dnd-agent-ui .dnd-grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(110px, 1fr)); gap: 10px; margin: 12px 0; }
+  .dnd-agent-ui .dnd-grid > div { background: #f8f9fa; padding: 10px; border-radius: 6px; text-align: center; border: 1px solid #e5e7eb; }
+  .dnd-agent-ui .dnd-grid strong { display: block; color: #8B0000; font-size: 1.1em; }
+  .dnd-agent-ui table { width: 100%; border-collapse: collapse; font-size: 14px; margin: 8px 0 16px 0; }
+  .dnd-agent-ui th, .dnd-agent-ui td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #e5e7eb; }
+  .dnd-agent-ui .dnd-badge { display: inline-block; padding: 2px 10px; margin: 0 6px 6px 0; border-radius: 999px; font-size: 12px; font-weight: 600; }
+  .dnd-agent-ui .dnd-badge.danger { background: #fee2e2; color: #991b1b; }
+  .dnd-agent-ui .dnd-badge.warning { background: #fef3c7; color: #92400e; }
+  .dnd-agent-ui .dnd-badge.good { background: #d1fae5; color: #065f46; }
+`;
+
+// Step bodies are fixed markup; the script fills the [data-role] containers
+const STEP_BODIES = {
+  lookup: `
+    <p>Access public character sheets and campaign information from D&amp;D Beyond.</p>
+    <div class="dnd-input-group">
+      <label>Character ID
+        <input type="number" data-role="character-id" placeholder="Enter D&amp;D Beyond character ID">
+      </label>
+      <small>Note: Only public characters can be accessed</small>
+    </div>
+    <button type="button" class="dnd-btn" data-action="next">Find Party</button>`,
+  party: `
+    <div data-role="campaign"></div>
+    <div class="dnd-members" data-role="members"></div>
+    <button type="button" class="dnd-btn secondary" data-action="back">Back</button>`,
+  detail: `
+    <div data-role="header"></div>
+    <div class="dnd-tabs" role="tablist">
+      ${UI_TABS.map(tab => `<button type="button" class="dnd-tab" role="tab" data-tab="${tab}" aria-selected="false">${tab[0].toUpperCase()}${tab.slice(1)}</button>`).join('')}
+    </div>
+    <div data-role="panel" role="tabpanel"></div>
+    <button type="button" class="dnd-btn secondary" data-action="back">Back to Party</button>`
+};
+
+// Markup for one step. State travels in data-state as escaped JSON; the API key never does and
+// stays in the page's memory (window.dndAgentSession) between steps.
+export function uiChunkHtml(step, state, baseUrl) {
+  const steps = UI_STEPS.map(entry =>
+    `<li class="${entry.id === step.id ? 'current' : ''}">${escapeHtml(entry.title)}</li>`).join('');
+
+  return `
+    <div class="dnd-agent-ui" data-dnd-agent-chunk data-version="${UI_CHUNK_VERSION}" data-step="${step.id}"
+      data-state="${escapeHtml(JSON.stringify(state))}" data-base="${escapeHtml(baseUrl)}">
+      <style>${UI_CHUNK_STYLES}</style>
+      <div class="dnd-section">
+        <h3>🐉 D&amp;D Beyond Character Lookup</h3>
+        <ol class="dnd-steps">${steps}</ol>
+        <div class="dnd-input-group" data-role="api-key-group">
+          <label>API Key
+            <input type="password" data-role="api-key" placeholder="Enter your API key">
+          </label>
+        </div>
+        ${step.id === 'lookup' ? '' : '<button type="button" class="dnd-btn" data-action="load" hidden>Load</button>'}
+        ${STEP_BODIES[step.id]}
+        <div class="dnd-status" data-role="status" hidden></div>
+      </div>
+    </div>`;
+}
+
+// Script for every step. Safe to run more than once: each chunk root is mounted a single time.
+export function uiChunkScripts() {
+  return `
+    (function () {
+      var session = window.dndAgentSession = window.dndAgentSession || { apiKey: '' };
+      var TABS = ${JSON.stringify(UI_TABS)};
+
+      function element(tag, className, text) {
+        var node = document.createElement(tag);
+        if (className) node.className = className;
+        if (text !== undefined && text !== null) node.textContent = String(text);
+        return node;
+      }
+
+      function signed(value) {
+        return value >= 0 ? '+' + value : String(value);
+      }
+
+      function readState(root) {
+        try {
+          return JSON.parse(root.dataset.state || '{}');
+        } catch (error) {
+          return {};
+        }
+      }
+
+      function emit(root, name, detail, cancelable) {
+        return root.dispatchEvent(new CustomEvent(name, { detail: detail, bubbles: true, composed: true, cancelable: Boolean(cancelable) }));
+      }
+
+      function setStatus(root, kind, message) {
+        var status = root.querySelector('[data-role="status"]');
+        status.className = 'dnd-status ' + kind;
+        status.textContent = message;
+        status.hidden = !message;
+      }
+
+      function fail(root, error) {
+        setStatus(root, 'error', 'Error: ' + error.message);
+        // A rejected key has to be entered again before retrying
+        if (error.status === 401) {
+          session.apiKey = '';
+          root.querySelector('[data-role="api-key-group"]').hidden = false;
+          var load = root.querySelector('[data-action="load"]');
+          if (load) load.hidden = false;
+        }
+        emit(root, 'dnd-agent:error', { step: root.dataset.step, message: error.message, status: error.status || null });
+      }
+
+      // Take the key from the field when one was typed; otherwise keep the one from an earlier step
+      function haveKey(root) {
+        var input = root.querySelector('[data-role="api-key"]');
+        if (input.value.trim()) session.apiKey = input.value.trim();
+        if (!session.apiKey) setStatus(root, 'error', 'Please enter your API key');
+        return Boolean(session.apiKey);
+      }
+
+      async function api(root, path) {
+        var response = await fetch(root.dataset.base + path, {
+          headers: { 'Authorization': 'Bearer ' + session.apiKey }
+        });
+        var result = await response.json().catch(function () { return {}; });
+        if (!response.ok || !result.success) {
+          var error = new Error(result.message || result.error || 'HTTP ' + response.status);
+          error.status = response.status;
+          throw error;
+        }
+        return result;
+      }
+
+      // Hosts that cancel dnd-agent:navigate load the next chunk themselves
+      async function navigate(root, step, state) {
+        if (!emit(root, 'dnd-agent:navigate', { step: step, state: state }, true)) return;
+        try {
+          var query = '?version=${UI_CHUNK_VERSION}&step=' + encodeURIComponent(step) + '&state=' + encodeURIComponent(JSON.stringify(state));
+          var response = await fetch(root.dataset.base + '/ui-chunk' + query);
+          var chunk = await response.json();
+          if (!response.ok) throw new Error(chunk.message || chunk.error || 'HTTP ' + response.status);
+          var holder = document.createElement('div');
+          holder.innerHTML = chunk.html;
+          var next = holder.querySelector('[data-dnd-agent-chunk]');
+          root.replaceWith(next);
+          mount(next);
+        } catch (error) {
+          fail(root, error);
+        }
+      }
+
+      function mountLookup(root, state) {
+        var input = root.querySelector('[data-role="character-id"]');
+        if (state.characterId) input.value = state.characterId;
+        function next() {
+          var characterId = input.value.trim();
+          if (!haveKey(root)) return;
+          if (!/^[0-9]+$/.test(characterId)) {
+            setStatus(root, 'error', 'Please enter a character ID');
+            return;
+          }
+          navigate(root, 'party', { characterId: characterId });
+        }
+        root.querySelector('[data-action="next"]').addEventListener('click', next);
+        input.addEventListener('keydown', function (event) {
+          if (event.key === 'Enter') next();
+        });
+      }
+
+      function memberButton(root, state, member) {
+        var button = element('button', 'dnd-member');
+        button.type = 'button';
+        button.append(element('strong', null, member.name));
+        if (member.status === 'ok') {
+          button.append(element('span', null, 'Level ' + member.level + ' ' + member.classes + ' · AC ' + member.armorClass +
+            ' · HP ' + member.hitPoints.current + '/' + member.hitPoints.max));
+          button.addEventListener('click', function () {
+            emit(root, 'dnd-agent:select', { characterId: String(member.id), name: member.name });
+            navigate(root, 'detail', { characterId: state.characterId, memberId: String(member.id), tab: TABS[0] });
+          });
+        } else {
+          button.disabled = true;
+          button.append(element('span', null, member.reason || 'Unavailable'));
+        }
+        return button;
+      }
+
+      async function loadParty(root, state) {
+        var campaign = root.querySelector('[data-role="campaign"]');
+        var members = root.querySelector('[data-role="members"]');
+        setStatus(root, 'info', 'Loading party...');
+        try {
+          var result = await api(root, '/party/' + state.characterId);
+          campaign.replaceChildren(element('p', null, 'Campaign: ' + result.campaign.name));
+          members.replaceChildren.apply(members, result.party.map(function (member) {
+            return memberButton(root, state, member);
+          }));
+          setStatus(root, '', '');
+        } catch (error) {
+          // Characters outside a campaign (or keys without the party scope) can still open their own sheet
+          if (error.status !== 404 && error.status !== 403) return fail(root, error);
+          campaign.replaceChildren(element('p', null, error.status === 404
+            ? 'This character is not in a campaign.'
+            : 'This API key cannot list the party.'));
+          var own = element('button', 'dnd-btn', 'View Character ' + state.characterId);
+          own.type = 'button';
+          own.addEventListener('click', function () {
+            navigate(root, 'detail', { characterId: state.characterId, memberId: state.characterId, tab: TABS[0] });
+          });
+          members.replaceChildren(own);
+          setStatus(root, '', '');
+        }
+      }
+
+      function table(headings, rows) {
+        var node = element('table');
+        var head = element('tr');
+        headings.forEach(function (heading) { head.append(element('th', null, heading)); });
+        node.append(head);
+        rows.forEach(function (cells) {
+          var row = element('tr');
+          cells.forEach(function (cell) { row.append(element('td', null, cell)); });
+          node.append(row);
+        });
+        return node;
+      }
+
+      function grid(entries) {
+        var node = element('div', 'dnd-grid');
+        entries.forEach(function (entry) {
+          var block = element('div');
+          block.append(element('span', null, entry[0]), element('strong', null, entry[1]));
+          node.append(block);
+        });
+        return node;
+      }
+
+      // Conditions and exhaustion show their effects on hover
+      function combatBadges(state) {
+        var node = element('div');
+        function badge(kind, text, title) {
+          var span = element('span', 'dnd-badge ' + kind, text);
+          if (title) span.title = title;
+          node.append(span);
+        }
+        var saves = state.deathSaves;
+        var tally = saves.successes + ' successes, ' + saves.failures + ' failures';
+        if (saves.state === 'dead') badge('danger', 'Dead', tally);
+        if (saves.state === 'dying') badge('danger', 'Dying (' + saves.successes + '✓ ' + saves.failures + '✗)', tally);
+        if (saves.state === 'stable') badge('warning', 'Stable at 0 HP', tally);
+        state.conditions.forEach(function (condition) { badge('warning', condition.name, condition.effects.join('; ')); });
+        if (state.exhaustion.level) badge('warning', 'Exhaustion ' + state.exhaustion.level, state.exhaustion.effects.join('; '));
+        if (state.inspiration) badge('good', 'Inspiration');
+        return node;
+      }
+
+      var PANELS = {
+        stats: function (character) {
+          var hitDice = character.combatState.hitDice.map(function (dice) {
+            return dice.remaining + '/' + dice.total + (dice.die ? ' ' + dice.die : '');
+          }).join(' + ') || '-';
+          var abilities = Object.keys(character.stats).map(function (key) {
+            return [key.slice(0, 3).toUpperCase(), character.stats[key] + ' (' + signed(character.abilityModifiers[key]) + ')'];
+          });
+          var saves = Object.keys(character.savingThrows).map(function (key) {
+            var save = character.savingThrows[key];
+            return [key.slice(0, 3).toUpperCase() + ' save', signed(save.bonus) + (save.proficient ? ' ●' : '')];
+          });
+          return [
+            grid([
+              ['Hit Points', character.hitPoints.current + '/' + character.hitPoints.max + (character.hitPoints.temp ? ' +' + character.hitPoints.temp : '')],
+              ['AC', character.armorClass],
+              ['Speed', character.speed],
+              ['Proficiency', signed(character.proficiencyBonus)],
+              ['Hit Dice', hitDice]
+            ]),
+            grid(abilities),
+            grid(saves)
+          ];
+        },
+        skills: function (character) {
+          var rows = Object.keys(character.skills).map(function (key) {
+            var skill = character.skills[key];
+            var mark = skill.expertise ? 'Expertise' : skill.proficient ? 'Proficient' : skill.halfProficiency ? 'Half' : '';
+            return [skill.name, skill.ability.slice(0, 3).toUpperCase(), signed(skill.bonus), mark];
+          });
+          return [
+            table(['Skill', 'Ability', 'Bonus', 'Proficiency'], rows),
+            grid(Object.keys(character.passives).map(function (key) {
+              return ['Passive ' + key, character.passives[key]];
+            }))
+          ];
+        },
+        spells: function (character) {
+          var spellcasting = character.spellcasting;
+          if (!spellcasting || !spellcasting.classes.length) return [element('p', null, 'No spellcasting.')];
+          var slots = spellcasting.slots.filter(function (slot) { return slot.max > 0; }).map(function (slot) {
+            return ['Level ' + slot.level, slot.remaining + '/' + slot.max];
+          });
+          if (spellcasting.pactMagic) {
+            slots.push(['Pact (level ' + spellcasting.pactMagic.level + ')', spellcasting.pactMagic.remaining + '/' + spellcasting.pactMagic.max]);
+          }
+          var nodes = [grid(slots)];
+          spellcasting.classes.forEach(function (entry) {
+            nodes.push(element('p', null, entry.class + ' · save DC ' + entry.saveDC + ' · attack ' + signed(entry.attackBonus)));
+            nodes.push(table(['Spell', 'Level', 'Notes'], entry.cantrips.concat(entry.spells).map(function (spell) {
+              var notes = [spell.prepared || spell.alwaysPrepared ? 'prepared' : '', spell.concentration ? 'concentration' : '', spell.ritual ? 'ritual' : '']
+                .filter(Boolean).join(', ');
+              return [spell.name, spell.level === 0 ? 'Cantrip' : spell.level, notes];
+            })));
+          });
+          return nodes;
+        },
+        inventory: function (character) {
+          var inventory = character.inventory;
+          var currency = inventory.currency;
+          return [
+            grid([
+              ['Carried', inventory.weight.carried + ' / ' + inventory.weight.capacity + ' lb'],
+              ['Attuned', inventory.attunement.used + '/' + inventory.attunement.max],
+              ['Coins', currency.pp + ' pp · ' + currency.gp + ' gp · ' + currency.ep + ' ep · ' + currency.sp + ' sp · ' + currency.cp + ' cp']
+            ]),
+            table(['Item', 'Qty', 'Weight', 'Notes'], inventory.items.map(function (item) {
+              var notes = [item.equipped ? 'equipped' : '', item.attuned ? 'attuned' : '', item.rarity || ''].filter(Boolean).join(', ');
+              return [item.name, item.quantity, item.weight, notes];
+            }))
+          ];
+        }
+      };
+
+      function showTab(root, character, tab) {
+        root.querySelectorAll('[data-tab]').forEach(function (button) {
+          button.setAttribute('aria-selected', String(button.dataset.tab === tab));
+        });
+        var panel = root.querySelector('[data-role="panel"]');
+        panel.replaceChildren.apply(panel, PANELS[tab](character));
+      }
+
+      async function loadDetail(root, state) {
+        setStatus(root, 'info', 'Loading character...');
+        try {
+          var character = (await api(root, '/character/' + state.memberId)).character;
+          var classes = character.classes.map(function (cls) { return cls.name + ' ' + cls.level; }).join(' / ');
+          root.querySelector('[data-role="header"]').replaceChildren(
+            element('h4', null, character.name),
+            element('p', null, 'Level ' + character.level + ' ' + (character.race || '') + ' ' + classes),
+            combatBadges(character.combatState)
+          );
+          root.querySelectorAll('[data-tab]').forEach(function (button) {
+            button.addEventListener('click', function () {
+              state.tab = button.dataset.tab;
+              root.dataset.state = JSON.stringify(state);
+              showTab(root, character, state.tab);
+              emit(root, 'dnd-agent:state', { step: 'detail', state: state });
+            });
+          });
+          showTab(root, character, state.tab);
+          setStatus(root, '', '');
+        } catch (error) {
+          fail(root, error);
+        }
+      }
+
+      function mount(root) {
+        if (root.dataset.mounted) return;
+        root.dataset.mounted = 'true';
+        var state = readState(root);
+        var step = root.dataset.step;
+        var loaders = { party: loadParty, detail: loadDetail };
+
+        // Later steps only ask for the key when this page has not been given one yet
+        root.querySelector('[data-role="api-key-group"]').hidden = step !== 'lookup' && Boolean(session.apiKey);
+
+        var back = root.querySelector('[data-action="back"]');
+        if (back) {
+          back.addEventListener('click', function () {
+            navigate(root, step === 'detail' ? 'party' : 'lookup', { characterId: state.characterId });
+          });
+        }
+
+        if (step === 'lookup') return mountLookup(root, state);
+
+        var load = root.querySelector('[data-action="load"]');
+        load.addEventListener('click', function () {
+          if (!haveKey(root)) return;
+          load.hidden = true;
+          loaders[step](root, state);
+        });
+        if (session.apiKey) loaders[step](root, state);
+        else load.hidden = false;
+      }
+
+      document.querySelectorAll('[data-dnd-agent-chunk]').forEach(mount);
+    })();
+  `;
+}
+
+// The full response body for GET /ui-chunk
+export function uiChunk(step, state, baseUrl) {
+  return {
+    success: true,
+    contract: UI_CHUNK_CONTRACT,
+    version: UI_CHUNK_VERSION,
+    title: '🐉 D&D Beyond Character Lookup',
+    step: { id: step.id, number: UI_STEPS.indexOf(step) + 1, title: step.title },
+    steps: UI_STEPS,
+    state,
+    events: UI_EVENTS,
+    html: uiChunkHtml(step, state, baseUrl),
+    scripts: uiChunkScripts()
+  };
+}
@@ -0,0 +1,130 @@
+// Resilient calls to D&D Beyond: shared throttle, retries with jittered backoff, typed errors
+
+import { ThrottleState, throttleSettings } from './throttle.js';
+
+// HTTP status returned to our clients for each upstream error code
+const ERROR_STATUS = {
+  not_found: 404,
+  private: 403,
+  rate_limited: 429,
+  circuit_open: 503,
+  upstream_error: 502,
+  upstream_schema_changed: 502,
+  timeout: 504
+};
+
+export class UpstreamError extends Error {
+  constructor(message, { code = 'upstream_error', upstreamStatus = null, retryAfter = null, paths = null } = {}) {
+    super(message);
+    this.name = 'UpstreamError';
+    this.code = code;
+    this.status = ERROR_STATUS[code] || 502;
+    this.upstreamStatus = upstreamStatus;
+    this.retryAfter = retryAfter;
+    // Offending payload paths for upstream_schema_changed
+    this.paths = paths;
+  }
+}
+
+// Per-isolate fallback when the UPSTREAM_THROTTLE Durable Object is not bound
+let localThrottle = null;
+
+function throttleClient(env) {
+  if (env.UPSTREAM_THROTTLE) {
+    const stub = env.UPSTREAM_THROTTLE.get(env.UPSTREAM_THROTTLE.idFromName('dndbeyond'));
+    const call = async (path, body) => {
+      const response = await stub.fetch(`https://throttle${path}`, {
+        method: 'POST',
+        body: body ? JSON.stringify(body) : undefined
+      });
+      return response.json();
+    };
+    return {
+      acquire: () => call('/acquire'),
+      report: outcome => call('/report', outcome)
+    };
+  }
+
+  if (!localThrottle) localThrottle = new ThrottleState(throttleSettings(env));
+  return {
+    acquire: async () => localThrottle.acquire(),
+    report: async outcome => localThrottle.report(outcome)
+  };
+}
+
+// Retry-After is either delta-seconds or an HTTP date
+export function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, Math.ceil(seconds));
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, Math.ceil((date - Date.now()) / 1000));
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Full jitter: a random wait between 0 and the capped exponential step
+function backoffDelay(attempt, baseMs, capMs) {
+  return Math.random() * Math.min(capMs, baseMs * 2 ** attempt);
+}
+
+// Fetch `url` through the throttle. Retries 429, 5xx, timeouts and network errors;
+// any other response (including 404) is returned for the caller to interpret.
+export async function fetchUpstream(url, init, env = {}) {
+  const throttle = throttleClient(env);
+  const maxRetries = Number(env.UPSTREAM_MAX_RETRIES ?? 2);
+  const maxWaitMs = Number(env.UPSTREAM_MAX_WAIT_MS ?? 5000);
+  const timeoutMs = Number(env.UPSTREAM_TIMEOUT_MS ?? 10000);
+  const baseMs = Number(env.UPSTREAM_BACKOFF_MS ?? 250);
+
+  let lastError = null;
+
+  for (let attempt = 0; attempt <= maxRetries; attempt++) {
+    const permit = await throttle.acquire();
+    if (!permit.allowed) {
+      // Wait briefly for a token rather than failing a request that is nearly admissible
+      if (permit.reason === 'rate_limited' && permit.retryAfter * 1000 <= maxWaitMs && attempt < maxRetries) {
+        await sleep(permit.retryAfter * 1000);
+        continue;
+      }
+      throw permit.reason === 'circuit_open'
+        ? new UpstreamError('D&D Beyond is temporarily unavailable; requests are paused', { code: 'circuit_open', retryAfter: permit.retryAfter })
+        : new UpstreamError('Upstream rate limit reached', { code: 'rate_limited', retryAfter: permit.retryAfter });
+    }
+
+    let response;
+    try {
+      response = await fetch(url, { ...init, signal: AbortSignal.timeout(timeoutMs) });
+    } catch (error) {
+      const timedOut = error.name === 'TimeoutError' || error.name === 'AbortError';
+      lastError = timedOut
+        ? new UpstreamError('Timed out waiting for D&D Beyond', { code: 'timeout' })
+        : new UpstreamError(`Could not reach D&D Beyond: ${error.message}`, { code: 'upstream_error' });
+      await throttle.report({ ok: false });
+      if (attempt < maxRetries) await sleep(backoffDelay(attempt, baseMs, maxWaitMs));
+      continue;
+    }
+
+    const retryable = response.status === 429 || response.status >= 500;
+    if (!retryable) {
+      await throttle.report({ ok: true });
+      return response;
+    }
+
+    const retryAfter = parseRetryAfter(response.headers.get('Retry-After'));
+    const delay = retryAfter !== null ? retryAfter * 1000 : backoffDelay(attempt, baseMs, maxWaitMs);
+
+    // A 429 asking us to back off longer than we are willing to wait means we are being blocked
+    const blocked = response.status === 429 && delay > maxWaitMs;
+    await throttle.report({ ok: false, blocked, retryAfter: retryAfter || 0 });
+
+    lastError = response.status === 429
+      ? new UpstreamError('Rate limited by D&D Beyond', { code: 'rate_limited', upstreamStatus: 429, retryAfter })
+      : new UpstreamError(`D&D Beyond API error: ${response.status}`, { code: 'upstream_error', upstreamStatus: response.status, retryAfter });
+
+    if (attempt >= maxRetries || delay > maxWaitMs) break;
+    await sleep(delay);
+  }
+
+  throw lastError;
+}
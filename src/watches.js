@@ -0,0 +1,291 @@
+// Character watches: webhook and Discord notifications when a watched character levels up, gains a
+// magic item, drops to 0 HP or picks up a condition. Watches and failed deliveries live in the
+// WATCHES KV namespace; the cron trigger re-fetches each watched character and compares it with
+// the state stored on the watch.
+// Keys: watch:{id} -> watch record, deadletter:{id} -> undelivered payload (failedAt in the metadata)
+
+export const WATCH_EVENTS = ['level-up', 'magic-item', 'zero-hp', 'condition'];
+export const WATCH_FORMATS = ['json', 'discord'];
+
+const WATCH_PREFIX = 'watch:';
+const DEAD_LETTER_PREFIX = 'deadletter:';
+const DEAD_LETTER_TTL_SECONDS = 30 * 86400;
+const MAX_RETRY_AFTER_MS = 30000;
+
+const DISCORD_WEBHOOK = /^https:\/\/(?:[a-z]+\.)?discord(?:app)?\.com\/api\/webhooks\//;
+const LOCAL_HOSTS = new Set(['localhost', '127.0.0.1', '[::1]']);
+
+// Discord embed colours per event
+const EVENT_COLORS = { 'level-up': 0x27ae60, 'magic-item': 0x8e44ad, 'zero-hp': 0xc0392b, condition: 0xe67e22, test: 0x3498db };
+
+export class WatchError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'WatchError';
+  }
+}
+
+// Validate a POST /watches body into { characterId, url, format, events, secret }
+export function parseWatchRequest(body) {
+  const { characterId, url, events = WATCH_EVENTS, secret } = body || {};
+  if (!/^\d+$/.test(String(characterId ?? ''))) throw new WatchError('characterId must be a numeric character ID');
+
+  let target;
+  try {
+    target = new URL(url);
+  } catch {
+    throw new WatchError('url must be an absolute URL');
+  }
+  // Plain HTTP is only for a local sink during development
+  if (target.protocol !== 'https:' && !(target.protocol === 'http:' && LOCAL_HOSTS.has(target.hostname))) {
+    throw new WatchError('url must use https (http is allowed for localhost only)');
+  }
+
+  const format = body.format || (DISCORD_WEBHOOK.test(target.href) ? 'discord' : 'json');
+  if (!WATCH_FORMATS.includes(format)) throw new WatchError(`format must be one of ${WATCH_FORMATS.join(', ')}`);
+
+  if (!Array.isArray(events) || !events.length || !events.every(event => WATCH_EVENTS.includes(event))) {
+    throw new WatchError(`events must be a non-empty array of ${WATCH_EVENTS.join(', ')}`);
+  }
+  if (secret !== undefined && (typeof secret !== 'string' || secret.length < 16 || secret.length > 256)) {
+    throw new WatchError('secret must be a string of 16 to 256 characters');
+  }
+
+  return { characterId: String(characterId), url: target.href, format, events: [...new Set(events)], secret };
+}
+
+const randomSecret = () => [...crypto.getRandomValues(new Uint8Array(24))]
+  .map(byte => byte.toString(16).padStart(2, '0')).join('');
+
+export function createWatch({ characterId, url, format, events, secret }, character, now = Date.now()) {
+  return {
+    id: crypto.randomUUID(),
+    characterId,
+    name: character.name,
+    url,
+    format,
+    events,
+    // JSON deliveries are signed with this; Discord does not verify signatures
+    secret: format === 'json' ? secret || randomSecret() : null,
+    createdAt: new Date(now).toISOString(),
+    lastCheckedAt: null,
+    lastDelivery: null,
+    state: watchState(character)
+  };
+}
+
+// Discord webhook URLs carry their token in the last path segment
+function maskUrl(url) {
+  return DISCORD_WEBHOOK.test(url) ? url.replace(/[^/]+$/, '…') : url;
+}
+
+// The watch as returned by the API: no secret or stored state
+export function publicWatch(watch) {
+  const { secret, state, ...rest } = watch;
+  return { ...rest, url: maskUrl(watch.url), signed: Boolean(secret) };
+}
+
+// The parts of a character the events are detected from
+export function watchState(character) {
+  return {
+    level: character.level,
+    hitPoints: character.hitPoints.current,
+    magicItems: character.inventory.items.filter(item => item.magic).map(item => ({ id: item.id, name: item.name, rarity: item.rarity })),
+    conditions: character.conditions
+  };
+}
+
+// Events between two watch states, limited to the watch's filter
+export function detectEvents(previous, current, filter = WATCH_EVENTS) {
+  const events = [];
+
+  if (current.level > previous.level) {
+    events.push({ type: 'level-up', from: previous.level, to: current.level, summary: `Reached level ${current.level}` });
+  }
+
+  const known = new Set(previous.magicItems.map(item => item.id));
+  const gained = current.magicItems.filter(item => !known.has(item.id));
+  if (gained.length) {
+    events.push({ type: 'magic-item', items: gained, summary: `Gained ${gained.map(item => item.name).join(', ')}` });
+  }
+
+  if (current.hitPoints === 0 && previous.hitPoints > 0) {
+    events.push({ type: 'zero-hp', from: previous.hitPoints, summary: 'Dropped to 0 hit points' });
+  }
+
+  const had = new Set(previous.conditions);
+  const added = current.conditions.filter(condition => !had.has(condition));
+  if (added.length) {
+    events.push({ type: 'condition', conditions: added, summary: `Now ${added.join(', ')}` });
+  }
+
+  return events.filter(event => filter.includes(event.type));
+}
+
+export function buildPayload(watch, character, events, now = Date.now()) {
+  const occurredAt = new Date(now).toISOString();
+  const subject = { id: character.id, name: character.name, level: character.level };
+
+  if (watch.format === 'discord') {
+    return {
+      username: 'D&D Beyond Agent',
+      embeds: events.slice(0, 10).map(event => ({
+        title: `${character.name}: ${event.summary}`,
+        color: EVENT_COLORS[event.type],
+        timestamp: occurredAt,
+        footer: { text: `Level ${character.level} · character ${character.id}` }
+      }))
+    };
+  }
+
+  return {
+    id: crypto.randomUUID(),
+    type: 'character.events',
+    watchId: watch.id,
+    occurredAt,
+    character: subject,
+    events
+  };
+}
+
+async function hmacHex(secret, text) {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(text));
+  return [...new Uint8Array(signature)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Receivers verify HMAC-SHA256(secret, `${timestamp}.${body}`) against X-Watch-Signature
+export async function signatureHeaders(secret, body, now = Date.now()) {
+  const timestamp = String(Math.floor(now / 1000));
+  return {
+    'X-Watch-Timestamp': timestamp,
+    'X-Watch-Signature': `sha256=${await hmacHex(secret, `${timestamp}.${body}`)}`
+  };
+}
+
+export function deliverySettings(env) {
+  return {
+    maxAttempts: Math.max(1, Number(env.WATCH_MAX_ATTEMPTS) || 3),
+    retryDelayMs: Number(env.WATCH_RETRY_DELAY_MS ?? 1000),
+    timeoutMs: Number(env.WATCH_TIMEOUT_MS) || 10000
+  };
+}
+
+// Network errors, timeouts, 408, 429 and 5xx are retried; other 4xx mean the target rejects the payload
+const retryable = status => status === null || status === 408 || status === 429 || status >= 500;
+
+// POST the payload, retrying with exponential backoff (or the target's Retry-After).
+// Returns { ok, attempts, status, error }.
+export async function deliver(watch, payload, env) {
+  const { maxAttempts, retryDelayMs, timeoutMs } = deliverySettings(env);
+  const body = JSON.stringify(payload);
+
+  let result;
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    let waitMs = retryDelayMs * 2 ** (attempt - 1);
+    try {
+      const headers = {
+        'Content-Type': 'application/json',
+        'User-Agent': 'dndbeyond-agent-watch',
+        ...(watch.secret ? await signatureHeaders(watch.secret, body) : {})
+      };
+      const response = await fetch(watch.url, { method: 'POST', headers, body, signal: AbortSignal.timeout(timeoutMs) });
+      if (response.ok) return { ok: true, attempts: attempt, status: response.status, error: null };
+
+      result = { ok: false, attempts: attempt, status: response.status, error: `HTTP ${response.status}` };
+      const retryAfter = Number(response.headers.get('Retry-After'));
+      if (retryAfter > 0) waitMs = Math.min(MAX_RETRY_AFTER_MS, retryAfter * 1000);
+    } catch (error) {
+      result = { ok: false, attempts: attempt, status: null, error: error.message };
+    }
+
+    if (!retryable(result.status) || attempt === maxAttempts) break;
+    if (waitMs > 0) await new Promise(resolve => setTimeout(resolve, waitMs));
+  }
+  return result;
+}
+
+export async function getWatch(env, id) {
+  return env.WATCHES.get(`${WATCH_PREFIX}${id}`, 'json');
+}
+
+export async function saveWatch(env, watch) {
+  await env.WATCHES.put(`${WATCH_PREFIX}${watch.id}`, JSON.stringify(watch));
+}
+
+export async function deleteWatch(env, id) {
+  await env.WATCHES.delete(`${WATCH_PREFIX}${id}`);
+}
+
+async function listKeys(env, prefix) {
+  const keys = [];
+  let cursor;
+  do {
+    const page = await env.WATCHES.list({ prefix, cursor });
+    keys.push(...page.keys);
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+  return keys;
+}
+
+export async function listWatches(env) {
+  const keys = await listKeys(env, WATCH_PREFIX);
+  const watches = await Promise.all(keys.map(key => env.WATCHES.get(key.name, 'json')));
+  return watches.filter(Boolean);
+}
+
+const deadLetterKey = id => `${DEAD_LETTER_PREFIX}${id}`;
+
+// Every write renews the retention, so a dead letter is kept for 30 days after its latest attempt
+async function putDeadLetter(env, entry) {
+  await env.WATCHES.put(deadLetterKey(entry.id), JSON.stringify(entry), {
+    expirationTtl: DEAD_LETTER_TTL_SECONDS,
+    metadata: { watchId: entry.watchId, failedAt: entry.failedAt }
+  });
+}
+
+export async function addDeadLetter(env, watch, payload, result, failedAt = Date.now()) {
+  const entry = {
+    id: crypto.randomUUID(),
+    watchId: watch.id,
+    characterId: watch.characterId,
+    failedAt,
+    lastAttemptAt: failedAt,
+    attempts: result.attempts,
+    status: result.status,
+    error: result.error,
+    payload
+  };
+  await putDeadLetter(env, entry);
+  return entry;
+}
+
+// Record a failed redelivery of a dead letter
+export async function updateDeadLetter(env, entry, result, now = Date.now()) {
+  const updated = {
+    ...entry,
+    lastAttemptAt: now,
+    attempts: entry.attempts + result.attempts,
+    status: result.status,
+    error: result.error
+  };
+  await putDeadLetter(env, updated);
+  return updated;
+}
+
+// Newest first, ordered by the failure time kept in the key metadata
+export async function listDeadLetters(env, limit = 100) {
+  const keys = await listKeys(env, DEAD_LETTER_PREFIX);
+  const newest = keys.sort((a, b) => (b.metadata?.failedAt ?? 0) - (a.metadata?.failedAt ?? 0)).slice(0, limit);
+  const entries = await Promise.all(newest.map(key => env.WATCHES.get(key.name, 'json')));
+  return entries.filter(Boolean);
+}
+
+export async function getDeadLetter(env, id) {
+  return env.WATCHES.get(deadLetterKey(id), 'json');
+}
+
+export async function deleteDeadLetter(env, id) {
+  await env.WATCHES.delete(deadLetterKey(id));
+}
@@ -0,0 +1,143 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import agent from '../index.js';
+import { fixtureKV, memoryKV } from './helpers.js';
+
+const env = {
+  API_KEYS: { dm: 'dm-key', other: 'other-key' },
+  UPSTREAM_SOURCE: 'fixtures',
+  UPSTREAM_FIXTURES: fixtureKV('fighter'),
+  A2A_TASKS: memoryKV()
+};
+
+// Without A2A_TASKS, tasks are kept in the isolate's memory
+const memoryEnv = { ...env, A2A_TASKS: undefined };
+
+async function rpc(body, key = 'dm-key', target = env) {
+  const response = await agent.fetch(new Request('https://agent.test/a2a', {
+    method: 'POST',
+    headers: { 'Authorization': `Bearer ${key}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  }), target, {});
+  return response.json();
+}
+
+const send = (message, id = 1, key, target) => rpc({ jsonrpc: '2.0', id, method: 'message/send', params: { message: { role: 'user', messageId: crypto.randomUUID(), ...message } } }, key, target);
+const getTask = (id, target) => rpc({ jsonrpc: '2.0', id: 1, method: 'tasks/get', params: { id } }, 'dm-key', target);
+const text = value => ({ parts: [{ kind: 'text', text: value }] });
+
+test('the agent card points at this deployment', async () => {
+  const response = await agent.fetch(new Request('https://agent.test/.well-known/agent-card.json'), env, {});
+  const card = await response.json();
+  assert.equal(card.url, 'https://agent.test/a2a');
+  assert.deepEqual(card.skills.map(skill => skill.id), ['character-lookup', 'party-overview', 'spell-query']);
+});
+
+test('message/send runs the skill and returns a completed task with a data artifact', async () => {
+  const { result } = await send({ parts: [{ kind: 'data', data: { skill: 'character-lookup', characterId: 2000001 } }] });
+  assert.equal(result.status.state, 'completed');
+  assert.equal(result.artifacts[0].parts[0].data.name, 'Brannoc Ironhand');
+
+  const fetched = await rpc({ jsonrpc: '2.0', id: 2, method: 'tasks/get', params: { id: result.id } });
+  assert.equal(fetched.result.id, result.id);
+  const hidden = await rpc({ jsonrpc: '2.0', id: 3, method: 'tasks/get', params: { id: result.id } }, 'other-key');
+  assert.equal(hidden.error.code, -32001);
+});
+
+test('an input-required task continues when the follow-up names its taskId', async () => {
+  const { result: asked } = await send(text('Which spells does my wizard have prepared?'));
+  assert.equal(asked.status.state, 'input-required');
+  assert.equal(asked.metadata.skillId, 'spell-query');
+
+  const { result: answered } = await send({ ...text('2000001'), taskId: asked.id }, 2);
+  assert.equal(answered.id, asked.id);
+  assert.equal(answered.contextId, asked.contextId);
+  assert.equal(answered.status.state, 'completed');
+  assert.equal(answered.metadata.skillId, 'spell-query');
+  assert.equal(answered.artifacts[0].name, 'spell-query');
+  assert.equal(answered.history.filter(message => message.role === 'user').length, 2);
+
+  const again = await send({ ...text('2000001'), taskId: asked.id }, 3);
+  assert.equal(again.error.code, -32004);
+});
+
+test('a follow-up for an unknown or foreign task is rejected', async () => {
+  const { result: asked } = await send(text('Look up my character'));
+  assert.equal((await send({ ...text('2000001'), taskId: crypto.randomUUID() })).error.code, -32001);
+  assert.equal((await send({ ...text('2000001'), taskId: asked.id }, 1, 'other-key')).error.code, -32001);
+});
+
+test('batches are answered in order', async () => {
+  const body = await rpc([
+    { jsonrpc: '2.0', id: 'a', method: 'tasks/get', params: {} },
+    { jsonrpc: '2.0', id: 'b', method: 'nope' }
+  ]);
+  assert.deepEqual(body.map(response => response.id), ['a', 'b']);
+  assert.deepEqual(body.map(response => response.error.code), [-32602, -32601]);
+});
+
+test('empty and oversized batches get a single Invalid Request error', async () => {
+  const ping = index => ({ jsonrpc: '2.0', id: index, method: 'tasks/get', params: { id: 'x' } });
+  for (const batch of [[], Array.from({ length: 11 }, (_, index) => ping(index))]) {
+    const body = await rpc(batch);
+    assert.equal(body.error.code, -32600);
+    assert.match(body.error.data, /1 to 10/);
+  }
+  assert.equal((await rpc(Array.from({ length: 10 }, (_, index) => ping(index)))).length, 10);
+});
+
+test('params that are not an object are invalid params', async () => {
+  for (const params of [null, [], 'task-1']) {
+    const body = await rpc({ jsonrpc: '2.0', id: 1, method: 'tasks/get', params });
+    assert.equal(body.error.code, -32602);
+    assert.equal(body.id, 1);
+  }
+});
+
+test('message parts that are not objects are invalid params', async () => {
+  for (const parts of [[null], [{ kind: 'text', text: '2000001' }, 'character 2000001']]) {
+    const body = await send({ parts });
+    assert.equal(body.error.code, -32602);
+  }
+});
+
+test('in-memory tasks expire after a day', async t => {
+  let now = Date.now();
+  t.mock.method(Date, 'now', () => now);
+
+  const { result } = await send(text('Look up my character'), 1, undefined, memoryEnv);
+  assert.equal((await getTask(result.id, memoryEnv)).result.id, result.id);
+
+  now += 86400 * 1000;
+  assert.equal((await getTask(result.id, memoryEnv)).error.code, -32001);
+});
+
+test('in-memory tasks are capped, dropping the oldest first', async () => {
+  const ids = [];
+  for (let index = 0; index < 201; index++) {
+    ids.push((await send(text('Look up my character'), index, undefined, memoryEnv)).result.id);
+  }
+  assert.equal((await getTask(ids[0], memoryEnv)).error.code, -32001);
+  assert.equal((await getTask(ids[1], memoryEnv)).result.id, ids[1]);
+  assert.equal((await getTask(ids[200], memoryEnv)).result.id, ids[200]);
+});
+
+test('notifications get no reply', async () => {
+  const notify = body => agent.fetch(new Request('https://agent.test/a2a', {
+    method: 'POST',
+    headers: { 'Authorization': 'Bearer dm-key', 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  }), env, {});
+
+  const response = await notify({ jsonrpc: '2.0', method: 'tasks/get', params: { id: 'x' } });
+  assert.equal(response.status, 204);
+  assert.equal(await response.text(), '');
+
+  const batch = await notify([
+    { jsonrpc: '2.0', method: 'message/send', params: { message: { role: 'user', parts: [] } } },
+    { jsonrpc: '2.0', id: 'b', method: 'nope' }
+  ]);
+  assert.deepEqual((await batch.json()).map(reply => reply.id), ['b']);
+  assert.equal((await notify([{ jsonrpc: '2.0', method: 'nope' }])).status, 204);
+});
@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import agent from '../index.js';
+import { answerQuestion } from '../src/ask.js';
+import demoAdventurer from '../fixtures/characters/1000001.json' with { type: 'json' };
+import { fixtureKV, loadCharacter } from './helpers.js';
+
+// Brannoc Ironhand, Grisha Bonecleaver, Sister Ayla, Tamsin Reed and the Demo Adventurer
+const party = [...['fighter', 'barbarian', 'monk', 'ranger'].map(loadCharacter), structuredClone(demoAdventurer)]
+  .map(data => agent.normalizeCharacter(data));
+const ask = question => answerQuestion(question, party);
+const names = result => result.results.map(row => row.name);
+
+test('questions are routed to an intent', () => {
+  const cases = [
+    ['Who has the highest passive perception?', 'compare'],
+    ['Who has the lowest AC?', 'compare'],
+    ["What's Brannoc's AC?", 'lookup'],
+    ['Which spell slots does Demo have left?', 'spell-slots'],
+    ['Who is proficient in Athletics?', 'proficiency'],
+    ['Who speaks Elvish?', 'language'],
+    ['Who can cast Fireball?', 'spell'],
+    ['Who is carrying a Shield?', 'item']
+  ];
+  for (const [question, intent] of cases) assert.equal(ask(question)?.intent, intent, question);
+  assert.equal(ask('What is the weather like?'), null);
+});
+
+test('the first matching attribute wins, so specific phrases beat general ones', () => {
+  const cases = [
+    ['What is Ayla\'s passive perception?', 'passives.perception'],
+    ['What is Ayla\'s max hp?', 'hitPoints.max'],
+    ['What is Ayla\'s hp?', 'hitPoints.current'],
+    ['What is Ayla\'s wisdom save?', 'savingThrows.wisdom.bonus'],
+    ['What is Ayla\'s dex modifier?', 'abilityModifiers.dexterity'],
+    ['What is Ayla\'s dex?', 'stats.dexterity'],
+    ['What is Ayla\'s perception?', 'skills.perception.bonus']
+  ];
+  for (const [question, field] of cases) assert.equal(ask(question).citations[0].field, field, question);
+});
+
+test('characters are matched by full name or a distinctive part of it', () => {
+  assert.deepEqual(names(ask("What's Brannoc's AC?")), ['Brannoc Ironhand']);
+  assert.deepEqual(names(ask('whats grisha bonecleaver ac')), ['Grisha Bonecleaver']);
+  assert.deepEqual(names(ask('AC of ayla and tamsin')), ['Sister Ayla', 'Tamsin Reed']);
+  // Possessives and curly apostrophes still match
+  assert.deepEqual(names(ask('What is Tamsin’s AC?')), ['Tamsin Reed']);
+  // Short parts and filler words never pick a character, so everyone is asked about
+  assert.equal(ask('What is the AC of the party?').results.length, 5);
+  // Part of a longer word is not a mention
+  assert.equal(ask('What is the AC of the Reeds?').results.length, 5);
+});
+
+test('comparisons always rank the whole party, ties included', () => {
+  const result = ask('Who has the highest passive perception, Brannoc?');
+  assert.equal(result.answer, 'Demo Adventurer has the highest passive Perception (14).');
+  assert.equal(result.results.length, 5);
+
+  const tie = answerQuestion('Who has the lowest passive perception?', party.slice(2, 4));
+  assert.equal(tie.answer, 'Sister Ayla and Tamsin Reed are tied for the lowest passive Perception (12).');
+});
+
+test('answers cite the fields they read', () => {
+  assert.deepEqual(ask("What's Brannoc's AC?"), {
+    intent: 'lookup',
+    answer: "Brannoc Ironhand's AC is 21.",
+    results: [{ characterId: 2000001, name: 'Brannoc Ironhand', value: 21 }],
+    citations: [{ characterId: 2000001, name: 'Brannoc Ironhand', field: 'armorClass', value: 21 }]
+  });
+});
+
+test('spells, slots, proficiencies and items are answered from the sheet', () => {
+  assert.equal(ask('Which spell slots does Demo have left?').answer,
+    'Demo Adventurer has 2 of 4 1st-level, 3 of 3 2nd-level, 1 of 2 3rd-level and 1 of 2 pact (1st-level) slots left.');
+  assert.equal(ask('Does Demo have any level 3 slots left?').answer, 'Demo Adventurer has 1 of 2 3rd-level slots left.');
+  assert.equal(ask('Who can cast Detect Magic?').answer, 'Nobody has Detect Magic prepared. Demo Adventurer knows it but has not prepared it.');
+  assert.equal(ask('Who has expertise in investigation?').answer, 'Demo Adventurer is proficient in Investigation. Demo Adventurer has expertise.');
+  assert.equal(ask('Who is carrying a Shield?').answer, 'Brannoc Ironhand, Grisha Bonecleaver and Sister Ayla have Shield.');
+  assert.equal(ask('Who has a torch?').results[0].quantity, 10);
+});
+
+test('POST /ask loads the characters and explains questions it cannot answer', async () => {
+  const env = { API_KEY: 'key', UPSTREAM_SOURCE: 'fixtures', UPSTREAM_FIXTURES: fixtureKV('fighter', 'monk'), PARTY_REQUEST_DELAY_MS: '0' };
+  const post = async body => {
+    const response = await agent.fetch(new Request('https://agent.test/ask', {
+      method: 'POST',
+      headers: { 'Authorization': 'Bearer key', 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    }), env, {});
+    return { status: response.status, body: await response.json() };
+  };
+
+  const { status, body } = await post({ characterIds: [2000001, 2000003], question: 'Who has the highest AC?' });
+  assert.equal(status, 200);
+  assert.equal(body.answer, 'Brannoc Ironhand has the highest AC (21).');
+
+  const unknown = await post({ characterIds: [2000001], question: 'What is the weather like?' });
+  assert.equal(unknown.status, 422);
+  assert.ok(unknown.body.examples.length);
+
+  assert.equal((await post({ characterIds: [], question: 'AC?' })).status, 400);
+  assert.equal((await post({ characterIds: [2000001], question: '' })).status, 400);
+});
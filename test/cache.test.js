@@ -0,0 +1,138 @@
+import { afterEach, beforeEach, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import agent from '../index.js';
+import { cachedLoad, combineCacheMeta, etagMatches } from '../src/cache.js';
+import { fixtureKV, memoryKV } from './helpers.js';
+
+// 60 seconds fresh, then 300 seconds stale
+let now;
+let env;
+beforeEach(() => {
+  now = Date.UTC(2026, 0, 1);
+  mock.method(Date, 'now', () => now);
+  env = { CHARACTER_CACHE: memoryKV(), CACHE_TTL_SECONDS: '60', CACHE_STALE_SECONDS: '300' };
+});
+afterEach(() => mock.restoreAll());
+
+// A loader that returns version 1, 2, ... and counts its calls
+function versions() {
+  const loader = async () => ({ version: ++loader.calls });
+  loader.calls = 0;
+  return loader;
+}
+
+// Collects what the route hands to ctx.waitUntil
+function context() {
+  const pending = [];
+  return { pending, waitUntil: promise => pending.push(promise) };
+}
+
+test('a miss loads and stores the entry for the fresh and stale windows together', async () => {
+  const loader = versions();
+  assert.deepEqual(await cachedLoad('character/1', loader, { env }), { data: { version: 1 }, status: 'MISS', storedAt: now });
+
+  const { value, options } = env.CHARACTER_CACHE.entries.get('character/1');
+  assert.deepEqual(JSON.parse(value), { storedAt: now, data: { version: 1 } });
+  assert.deepEqual(options, { expirationTtl: 360, metadata: { storedAt: now } });
+});
+
+test('a fresh entry is a hit without calling the loader', async () => {
+  const loader = versions();
+  await cachedLoad('character/1', loader, { env });
+  now += 59 * 1000;
+  const result = await cachedLoad('character/1', loader, { env });
+  assert.equal(result.status, 'HIT');
+  assert.equal(loader.calls, 1);
+});
+
+test('a stale entry is served at once and revalidated through waitUntil', async () => {
+  const loader = versions();
+  await cachedLoad('character/1', loader, { env });
+  const storedAt = now;
+  now += 61 * 1000;
+
+  // Hold the refresh open until released
+  let release;
+  const held = new Promise(resolve => { release = resolve; });
+  const slowLoader = async () => { await held; return loader(); };
+
+  const ctx = context();
+  const stale = await cachedLoad('character/1', slowLoader, { env, ctx });
+  assert.deepEqual(stale, { data: { version: 1 }, status: 'STALE', storedAt });
+  assert.equal(ctx.pending.length, 1);
+
+  // A second request while the refresh is in flight does not start another
+  const again = context();
+  assert.equal((await cachedLoad('character/1', slowLoader, { env, ctx: again })).status, 'STALE');
+  assert.equal(again.pending.length, 0);
+
+  release();
+  await Promise.all(ctx.pending);
+  assert.equal(loader.calls, 2);
+  assert.deepEqual(await cachedLoad('character/1', loader, { env }), { data: { version: 2 }, status: 'HIT', storedAt: now });
+});
+
+test('a failed revalidation keeps serving the stale entry', async () => {
+  await cachedLoad('character/1', versions(), { env });
+  now += 61 * 1000;
+
+  const ctx = context();
+  const failing = async () => { throw new Error('upstream down'); };
+  assert.equal((await cachedLoad('character/1', failing, { env, ctx })).status, 'STALE');
+  await Promise.all(ctx.pending);
+  assert.deepEqual((await cachedLoad('character/1', failing, { env, ctx })).data, { version: 1 });
+});
+
+test('past the stale window the loader is awaited', async () => {
+  const loader = versions();
+  await cachedLoad('character/1', loader, { env });
+  now += 361 * 1000;
+  assert.deepEqual(await cachedLoad('character/1', loader, { env }), { data: { version: 2 }, status: 'MISS', storedAt: now });
+});
+
+test('fresh=true and a zero TTL bypass the cache but still store the result', async () => {
+  const loader = versions();
+  await cachedLoad('character/1', loader, { env });
+  assert.equal((await cachedLoad('character/1', loader, { env, fresh: true })).status, 'BYPASS');
+  assert.equal((await cachedLoad('character/1', loader, { env: { ...env, CACHE_TTL_SECONDS: '0' } })).status, 'BYPASS');
+  assert.equal(JSON.parse(env.CHARACTER_CACHE.entries.get('character/1').value).data.version, 3);
+});
+
+test('without a cache binding every load goes upstream', async () => {
+  const loader = versions();
+  await cachedLoad('character/1', loader, { env: {} });
+  assert.equal((await cachedLoad('character/1', loader, { env: {} })).status, 'MISS');
+  assert.equal(loader.calls, 2);
+});
+
+test('several loads report the worst status and the oldest timestamp', () => {
+  assert.deepEqual(combineCacheMeta([{ status: 'HIT', storedAt: 5 }, { status: 'STALE', storedAt: 3 }]), { status: 'STALE', storedAt: 3 });
+  assert.equal(combineCacheMeta([{ status: 'STALE', storedAt: 1 }, { status: 'MISS', storedAt: 2 }]).status, 'MISS');
+  assert.equal(combineCacheMeta([{ status: 'HIT', storedAt: 1 }]).status, 'HIT');
+});
+
+test('If-None-Match is compared weakly', () => {
+  assert.ok(etagMatches('"abc"', '"abc"'));
+  assert.ok(etagMatches('W/"abc"', '"abc"'));
+  assert.ok(etagMatches('"x", "abc"', '"abc"'));
+  assert.ok(etagMatches('*', '"abc"'));
+  assert.ok(!etagMatches('"x"', '"abc"'));
+  assert.ok(!etagMatches(null, '"abc"'));
+});
+
+test('GET /character/{id} reports X-Cache and answers If-None-Match with 304', async () => {
+  const routeEnv = { ...env, API_KEY: 'key', UPSTREAM_SOURCE: 'fixtures', UPSTREAM_FIXTURES: fixtureKV('fighter') };
+  const get = headers => agent.fetch(new Request('https://agent.test/character/2000001', {
+    headers: { 'Authorization': 'Bearer key', ...headers }
+  }), routeEnv, context());
+
+  const first = await get();
+  assert.equal(first.headers.get('X-Cache'), 'MISS');
+  const etag = first.headers.get('ETag');
+
+  now += 61 * 1000;
+  const stale = await get({ 'If-None-Match': etag });
+  assert.equal(stale.status, 304);
+  assert.equal(stale.headers.get('X-Cache'), 'STALE');
+});
@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { deriveCombatState } from '../src/combat.js';
+import demoAdventurer from '../fixtures/characters/1000001.json' with { type: 'json' };
+import { loadCharacter } from './helpers.js';
+
+test('conditions carry their effects, with exhaustion reported by level', () => {
+  const state = deriveCombatState(demoAdventurer, { current: 44, max: 51, temp: 3 });
+  assert.deepEqual(state.conditions.map(condition => condition.name), ['Frightened']);
+  assert.ok(state.conditions[0].effects.length);
+  assert.deepEqual(state.exhaustion, { level: 2, effects: ['Disadvantage on ability checks', 'Speed halved'] });
+  assert.equal(state.inspiration, true);
+  assert.deepEqual(Object.keys(state), ['conditions', 'exhaustion', 'deathSaves', 'inspiration', 'hitDice']);
+});
+
+test('death saves only put a character in danger at 0 HP', () => {
+  assert.equal(deriveCombatState(demoAdventurer, { current: 44, max: 51, temp: 0 }).deathSaves.state, null);
+  assert.deepEqual(deriveCombatState(demoAdventurer, { current: 0, max: 51, temp: 0 }).deathSaves,
+    { successes: 2, failures: 1, stabilized: false, state: 'dying' });
+
+  const dead = { ...demoAdventurer, deathSaves: { failCount: 3, successCount: 0, isStabilized: false } };
+  assert.equal(deriveCombatState(dead, { current: 0, max: 51, temp: 0 }).deathSaves.state, 'dead');
+});
+
+test('hit dice remain per class', () => {
+  assert.deepEqual(deriveCombatState(demoAdventurer, { current: 44, max: 51, temp: 0 }).hitDice, [
+    { class: 'Wizard', die: 'd6', total: 5, used: 2, remaining: 3 },
+    { class: 'Warlock', die: 'd8', total: 2, used: 0, remaining: 2 }
+  ]);
+  assert.deepEqual(deriveCombatState(loadCharacter('barbarian'), { current: 0, max: 41, temp: 0 }).hitDice,
+    [{ class: 'Barbarian', die: 'd12', total: 4, used: 0, remaining: 4 }]);
+});
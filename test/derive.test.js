@@ -0,0 +1,248 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  activeModifiers,
+  characterLevel,
+  deriveAbilityModifiers,
+  deriveAbilityScores,
+  deriveArmorClass,
+  deriveHitPoints,
+  deriveSavingThrows,
+  deriveSkills,
+  deriveSpeed,
+  proficiencyBonus
+} from '../src/derive.js';
+import { deriveSpellcasting } from '../src/spellcasting.js';
+import demoAdventurer from '../fixtures/characters/1000001.json' with { type: 'json' };
+import { loadCharacter } from './helpers.js';
+
+// The derived numbers a sheet shows for one payload
+function derive(data) {
+  const modifiers = activeModifiers(data);
+  const level = characterLevel(data);
+  const stats = deriveAbilityScores(data, modifiers);
+  return {
+    level,
+    stats,
+    abilityModifiers: deriveAbilityModifiers(stats),
+    hitPoints: deriveHitPoints(data, stats, modifiers, level),
+    armorClass: deriveArmorClass(data, stats, modifiers),
+    speed: deriveSpeed(data, modifiers),
+    proficiencyBonus: proficiencyBonus(level)
+  };
+}
+
+const equip = (data, name, equipped = true) => {
+  data.inventory.find(item => item.definition.name === name).equipped = equipped;
+  return data;
+};
+
+test('fighter: racial bonuses, sheet bonus, override and a "set" belt', () => {
+  const { stats, abilityModifiers } = derive(loadCharacter('fighter'));
+  assert.deepEqual(stats, { strength: 21, dexterity: 10, constitution: 15, intelligence: 8, wisdom: 13, charisma: 16 });
+  assert.deepEqual(abilityModifiers, { strength: 5, dexterity: 0, constitution: 2, intelligence: -1, wisdom: 1, charisma: 3 });
+});
+
+test('fighter: the belt only sets strength while attuned', () => {
+  const data = loadCharacter('fighter');
+  data.inventory.find(item => item.definition.name === 'Belt of Hill Giant Strength').isAttuned = false;
+  assert.equal(derive(data).stats.strength, 16);
+});
+
+test('racial and ASI bonuses are capped at 20', () => {
+  const data = loadCharacter('barbarian');
+  data.stats[0].value = 18;
+  assert.equal(derive(data).stats.strength, 20);
+});
+
+test('fighter: HP adds CON and Tough per level, less damage taken, with temp HP', () => {
+  assert.deepEqual(derive(loadCharacter('fighter')).hitPoints, { current: 42, max: 54, temp: 5 });
+});
+
+test('barbarian: current HP bottoms out at 0', () => {
+  assert.deepEqual(derive(loadCharacter('barbarian')).hitPoints, { current: 0, max: 41, temp: 0 });
+});
+
+test('ranger: overrideHitPoints replaces the computed maximum', () => {
+  assert.deepEqual(derive(loadCharacter('ranger')).hitPoints, { current: 60, max: 70, temp: 8 });
+});
+
+test('heavy armor ignores DEX; fighting style and shield add, unattuned cloak does not', () => {
+  const data = loadCharacter('fighter');
+  assert.equal(derive(data).armorClass, 21);
+  equip(data, 'Shield', false);
+  assert.equal(derive(data).armorClass, 19);
+
+  data.inventory.find(item => item.definition.name === 'Cloak of Protection').isAttuned = true;
+  assert.equal(derive(data).armorClass, 20);
+});
+
+test('light armor adds the full DEX modifier plus an attuned ring', () => {
+  assert.equal(derive(structuredClone(demoAdventurer)).armorClass, 15);
+});
+
+test('medium armor caps DEX at +2; armor left in the pack is ignored', () => {
+  const data = loadCharacter('ranger');
+  assert.equal(derive(data).abilityModifiers.dexterity, 4);
+  assert.equal(derive(data).armorClass, 19);
+
+  equip(data, 'Half Plate', false);
+  assert.equal(derive(data).armorClass, 15);
+});
+
+test('barbarian unarmored defense adds CON and works with a shield', () => {
+  const data = loadCharacter('barbarian');
+  assert.equal(derive(data).armorClass, 16);
+  equip(data, 'Shield', false);
+  assert.equal(derive(data).armorClass, 14);
+});
+
+test('worn armor replaces unarmored defense', () => {
+  const data = equip(loadCharacter('barbarian'), 'Scale Mail');
+  // 14 + DEX 2 + shield 2
+  assert.equal(derive(data).armorClass, 18);
+  equip(data, 'Shield', false);
+  assert.equal(derive(data).armorClass, 16);
+});
+
+test('monk unarmored defense adds WIS, and bracers stack with it', () => {
+  const data = loadCharacter('monk');
+  assert.equal(derive(data).armorClass, 18);
+
+  data.inventory.find(item => item.definition.name === 'Bracers of Defense').isAttuned = false;
+  assert.equal(derive(data).armorClass, 16);
+});
+
+test('monk unarmored defense is lost with a shield', () => {
+  const data = equip(loadCharacter('monk'), 'Shield');
+  // 10 + DEX 4, bracers 2, shield 2
+  assert.equal(derive(data).armorClass, 18);
+  data.inventory.find(item => item.definition.name === 'Bracers of Defense').isAttuned = false;
+  assert.equal(derive(data).armorClass, 16);
+});
+
+test('flat unarmored AC such as Draconic Resilience', () => {
+  const data = equip(loadCharacter('barbarian'), 'Shield', false);
+  data.modifiers.class[0] = { type: 'set', subType: 'unarmored-armor-class', value: 3, statId: null, componentId: 207 };
+  // 13 + DEX 2
+  assert.equal(derive(data).armorClass, 15);
+});
+
+test('speed comes from the race plus speed bonuses', () => {
+  assert.equal(derive(loadCharacter('fighter')).speed, 30);
+  assert.equal(derive(loadCharacter('ranger')).speed, 25);
+  assert.equal(derive(loadCharacter('monk')).speed, 45);
+});
+
+test('proficiency bonus follows total character level', () => {
+  const bonuses = ['barbarian', 'fighter', 'monk', 'ranger'].map(name => {
+    const { level, proficiencyBonus } = derive(loadCharacter(name));
+    return [level, proficiencyBonus];
+  });
+  assert.deepEqual(bonuses, [[4, 2], [5, 3], [6, 3], [9, 4]]);
+  assert.equal(derive(structuredClone(demoAdventurer)).proficiencyBonus, 3);
+});
+
+// Checks and saves for STR +2, DEX +3, CON +1, INT +0, WIS -1, CHA +4
+const checkModifiers = { strength: 2, dexterity: 3, constitution: 1, intelligence: 0, wisdom: -1, charisma: 4 };
+const modifier = (type, subType, value = null) => ({ type, subType, value });
+const JACK_OF_ALL_TRADES = modifier('half-proficiency', 'ability-checks');
+const REMARKABLE_ATHLETE = modifier('half-proficiency-round-up', 'ability-checks');
+
+test('skill bonuses: proficiency, expertise, half proficiency and flat bonuses', () => {
+  const cases = [
+    // [description, modifiers, proficiency bonus, skill, { proficient, expertise, halfProficiency, bonus }]
+    ['untrained', [], 3, 'stealth', [false, false, false, 3]],
+    ['proficient', [modifier('proficiency', 'stealth')], 3, 'stealth', [true, false, false, 6]],
+    ['expertise doubles proficiency', [modifier('expertise', 'stealth')], 3, 'stealth', [true, true, false, 9]],
+    ['expertise over proficiency', [modifier('proficiency', 'stealth'), modifier('expertise', 'stealth')], 4, 'stealth', [true, true, false, 11]],
+    ['Jack of All Trades rounds down', [JACK_OF_ALL_TRADES], 3, 'arcana', [false, false, true, 1]],
+    ['Jack of All Trades at +4', [JACK_OF_ALL_TRADES], 4, 'persuasion', [false, false, true, 6]],
+    ['Jack of All Trades does not stack with proficiency', [JACK_OF_ALL_TRADES, modifier('proficiency', 'stealth')], 3, 'stealth', [true, false, false, 6]],
+    ['Remarkable Athlete rounds up for STR', [REMARKABLE_ATHLETE], 3, 'athletics', [false, false, true, 4]],
+    ['Remarkable Athlete rounds up for DEX', [REMARKABLE_ATHLETE], 3, 'acrobatics', [false, false, true, 5]],
+    ['Remarkable Athlete skips INT', [REMARKABLE_ATHLETE], 3, 'arcana', [false, false, false, 0]],
+    ['half proficiency in one skill', [modifier('half-proficiency', 'perception')], 3, 'perception', [false, false, true, 0]],
+    ['half proficiency in one skill only', [modifier('half-proficiency', 'perception')], 3, 'insight', [false, false, false, -1]],
+    ['flat bonus to every ability check', [modifier('bonus', 'ability-checks', 1)], 3, 'stealth', [false, false, false, 4]],
+    ['flat bonus to one skill', [modifier('bonus', 'stealth', 2), modifier('proficiency', 'stealth')], 3, 'stealth', [true, false, false, 8]],
+    ['save bonuses leave skills alone', [modifier('bonus', 'saving-throws', 1)], 3, 'stealth', [false, false, false, 3]]
+  ];
+  for (const [description, modifiers, profBonus, skill, [proficient, expertise, halfProficiency, bonus]] of cases) {
+    const { name, ability, ...check } = deriveSkills(checkModifiers, modifiers, profBonus)[skill];
+    assert.deepEqual(check, { proficient, expertise, halfProficiency, bonus }, description);
+  }
+});
+
+test('saving throw bonuses: proficiency and flat bonuses, never half proficiency', () => {
+  const cases = [
+    ['untrained', [], 'dexterity', [false, 3]],
+    ['proficient', [modifier('proficiency', 'dexterity-saving-throws')], 'dexterity', [true, 6]],
+    ['bonus to every save', [modifier('bonus', 'saving-throws', 1)], 'wisdom', [false, 0]],
+    ['bonus to one save', [modifier('bonus', 'wisdom-saving-throws', 2), modifier('proficiency', 'wisdom-saving-throws')], 'wisdom', [true, 4]],
+    ['Jack of All Trades is for checks', [JACK_OF_ALL_TRADES, REMARKABLE_ATHLETE], 'strength', [false, 2]],
+    ['ability check bonuses are for checks', [modifier('bonus', 'ability-checks', 1)], 'charisma', [false, 4]]
+  ];
+  for (const [description, modifiers, ability, [proficient, bonus]] of cases) {
+    assert.deepEqual(deriveSavingThrows(checkModifiers, modifiers, 3)[ability], { proficient, bonus }, description);
+  }
+});
+
+// A casting class; divisor 1/2/3 is a full, half or third caster, rounding 2 rounds up (Artificer)
+const caster = (name, level, divisor = 1, rounding = 1) => ({
+  id: name,
+  level,
+  definition: { name, canCastSpells: true, spellCastingAbilityId: 4, spellRules: { multiClassSpellSlotDivisor: divisor, multiClassSpellSlotRounding: rounding } }
+});
+const WIZARD = level => caster('Wizard', level);
+const SORCERER = level => caster('Sorcerer', level);
+const PALADIN = level => caster('Paladin', level, 2);
+const RANGER = level => caster('Ranger', level, 2);
+const ARTIFICER = level => caster('Artificer', level, 2, 2);
+const WARLOCK = level => caster('Warlock', level, 0);
+// Eldritch Knight: the subclass casts, the Fighter class does not
+const ELDRITCH_KNIGHT = level => ({
+  id: 'Fighter',
+  level,
+  definition: { name: 'Fighter', canCastSpells: false },
+  subclassDefinition: { name: 'Eldritch Knight', canCastSpells: true, spellCastingAbilityId: 4, spellRules: { multiClassSpellSlotDivisor: 3, multiClassSpellSlotRounding: 1 } }
+});
+
+test('spell slots follow the multiclass caster level, with pact magic kept apart', () => {
+  const cases = [
+    // [description, classes, slot maxima by spell level, pact magic]
+    ['full caster', [WIZARD(5)], [4, 3, 2], null],
+    ['full caster at 20', [WIZARD(20)], [4, 3, 3, 3, 3, 2, 2, 1, 1], null],
+    ['half caster alone rounds up', [PALADIN(5)], [4, 2], null],
+    ['half caster before its first slots', [PALADIN(1)], [], null],
+    ['Artificer has slots from level 1', [ARTIFICER(1)], [2], null],
+    ['third caster alone', [ELDRITCH_KNIGHT(3)], [2], null],
+    ['third caster before its first slots', [ELDRITCH_KNIGHT(2)], [], null],
+    ['half caster multiclassed rounds down', [PALADIN(5), SORCERER(3)], [4, 3, 2], null],
+    ['two half casters', [RANGER(3), PALADIN(3)], [3], null],
+    ['Artificer multiclassed rounds up', [ARTIFICER(3), WIZARD(2)], [4, 3], null],
+    ['third caster multiclassed rounds down', [ELDRITCH_KNIGHT(7), WIZARD(1)], [4, 2], null],
+    ['Warlock alone has only pact slots', [WARLOCK(11)], [], { level: 5, max: 3 }],
+    ['Warlock at 1', [WARLOCK(1)], [], { level: 1, max: 1 }],
+    ['Warlock levels stay out of the shared table', [WIZARD(3), WARLOCK(5)], [4, 2], { level: 3, max: 2 }]
+  ];
+  for (const [description, classes, slots, pact] of cases) {
+    const { slots: derived, pactMagic } = deriveSpellcasting({ classes }, checkModifiers, 3, []);
+    assert.deepEqual(derived.map(slot => slot.max), slots, description);
+    assert.deepEqual(pactMagic && { level: pactMagic.level, max: pactMagic.max }, pact, description);
+  }
+});
+
+test('used slots and pact slots are subtracted from the maxima', () => {
+  const data = {
+    classes: [WIZARD(3), WARLOCK(2)],
+    spellSlots: [{ level: 1, used: 3 }, { level: 2, used: 5 }],
+    pactMagic: [{ level: 1, used: 1 }]
+  };
+  const { slots, pactMagic, classes } = deriveSpellcasting(data, checkModifiers, 2, [modifier('bonus', 'spell-save-dc', 1)]);
+  assert.deepEqual(slots, [{ level: 1, max: 4, used: 3, remaining: 1 }, { level: 2, max: 2, used: 5, remaining: 0 }]);
+  assert.deepEqual(pactMagic, { level: 1, max: 2, used: 1, remaining: 1 });
+  // INT +0 with proficiency +2 and a +1 item
+  assert.deepEqual(classes.map(cls => [cls.class, cls.saveDC, cls.attackBonus, cls.pactMagic]), [['Wizard', 11, 2, false], ['Warlock', 11, 2, true]]);
+});
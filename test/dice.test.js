@@ -0,0 +1,175 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import agent from '../index.js';
+import { RollError, createRng, parseDice, rollExpression } from '../src/dice.js';
+import demoAdventurer from '../fixtures/characters/1000001.json' with { type: 'json' };
+import { fixtureKV } from './helpers.js';
+
+// Stealth +2, Wisdom save +5, Dagger +5 to hit for 1d4+2
+const demo = agent.normalizeCharacter(demoAdventurer);
+const roll = (expression, seed = 42) => rollExpression(expression, demo, { seed });
+const values = term => term.dice.map(die => die.value);
+const kept = term => term.dice.map(die => die.kept);
+
+test('the same seed gives the same dice', () => {
+  const rng = createRng(7);
+  assert.deepEqual(Array.from({ length: 10 }, () => rng.die(20)), [1, 2, 20, 14, 11, 9, 10, 5, 12, 15]);
+  assert.deepEqual(roll('4d6+1d8', 'session-12'), roll('4d6+1d8', 'session-12'));
+  assert.equal(createRng('session-12').seed, createRng('session-12').seed);
+  assert.ok(Number.isInteger(rollExpression('1d20', demo).seed));
+});
+
+test('notation is parsed into dice and constant terms', () => {
+  assert.deepEqual(parseDice('2d6 + d% - 3'), [
+    { sign: 1, kind: 'dice', count: 2, sides: 6, keep: null, reroll: null },
+    { sign: 1, kind: 'dice', count: 1, sides: 100, keep: null, reroll: null },
+    { sign: -1, kind: 'constant', value: 3 }
+  ]);
+  assert.deepEqual(parseDice('4d6dl1')[0].keep, { mode: 'dl', count: 1 });
+  assert.deepEqual(parseDice('2d20k1')[0].keep, { mode: 'kh', count: 1 });
+  assert.deepEqual(parseDice('1d8ro<3')[0].reroll, { once: true, compare: '<', value: 3 });
+});
+
+test('malformed notation is a RollError naming the position', () => {
+  const cases = [
+    ['', /Empty dice expression/],
+    ['2d6+', /ends with an operator/],
+    ['2d6x', /Expected \+ or - before "x" at position 4/],
+    ['2d6+*2', /Unexpected "\*" at position 4/],
+    ['0d6', /Dice count must be 1 to 200/],
+    ['201d6', /Dice count must be 1 to 200/],
+    ['1d1001', /Dice must have 1 to 1000 sides/],
+    ['2d6kh3', /Cannot keep or drop 3 of 2 dice/],
+    ['150d6+51d4', /At most 200 dice per roll/],
+    [Array.from({ length: 21 }, () => '1').join('+'), /At most 20 terms/]
+  ];
+  for (const [text, message] of cases) {
+    assert.throws(() => parseDice(text), error => error instanceof RollError && error.code === 'invalid_expression' && message.test(error.message), text);
+  }
+});
+
+test('a reroll condition that matches every face is rejected', () => {
+  for (const text of ['1d1r1', '1d6r<7', '1d6r>=1', '1d6ro<=6']) {
+    assert.throws(() => parseDice(text), /Reroll condition matches every face/, text);
+  }
+  assert.doesNotThrow(() => parseDice('1d6r<6'));
+});
+
+test('keep and drop mark dice as not kept and leave them out of the total', () => {
+  const [dropLowest] = roll('4d6dl1').rolls[0].terms;
+  assert.deepEqual(values(dropLowest), [4, 3, 6, 5]);
+  assert.deepEqual(kept(dropLowest), [true, false, true, true]);
+  assert.equal(dropLowest.total, 15);
+
+  assert.deepEqual(kept(roll('4d6kh2').rolls[0].terms[0]), [false, false, true, true]);
+  assert.deepEqual(kept(roll('4d6kl1').rolls[0].terms[0]), [false, true, false, false]);
+  assert.deepEqual(kept(roll('4d6dh1').rolls[0].terms[0]), [true, true, false, true]);
+});
+
+test('rerolls keep going until the condition fails, or stop after one with ro', () => {
+  const [reroll] = roll('10d2r1', 3).rolls[0].terms;
+  assert.ok(reroll.dice.every(die => die.value === 2));
+  assert.deepEqual(reroll.dice[2].rerolls, [1, 1, 1, 1]);
+
+  const [once] = roll('10d2ro1', 3).rolls[0].terms;
+  assert.ok(once.dice.every(die => !die.rerolls || die.rerolls.length === 1));
+  assert.ok(once.dice.some(die => die.value === 1 && die.rerolls));
+});
+
+test('advantage and disadvantage on a d20 keep the higher or lower of two', () => {
+  const advantage = roll('1d20+5 adv').rolls[0];
+  assert.equal(advantage.mode, 'advantage');
+  assert.equal(advantage.terms[0].notation, '2d20kh1');
+  assert.deepEqual(values(advantage.terms[0]), [13, 9]);
+  assert.equal(advantage.natural, 13);
+  assert.equal(advantage.total, 18);
+
+  const disadvantage = roll('1d20 dis').rolls[0];
+  assert.equal(disadvantage.terms[0].notation, '2d20kl1');
+  assert.equal(disadvantage.natural, 9);
+
+  // Both at once cancel out
+  assert.equal(roll('stealth adv dis').rolls[0].mode, undefined);
+});
+
+test('advantage on other expressions rolls twice and keeps the better total', () => {
+  const result = roll('2d6+3 adv').rolls[0];
+  assert.equal(result.total, 14);
+  assert.equal(result.discarded.total, 10);
+});
+
+test('crit doubles the dice but not the modifiers', () => {
+  const result = roll('2d6+3 crit').rolls[0];
+  assert.equal(result.terms[0].notation, '4d6');
+  assert.equal(result.terms[1].value, 3);
+});
+
+test('stealth rolls a d20 with the skill bonus', () => {
+  const [check] = roll('stealth').rolls;
+  assert.equal(check.label, 'Stealth check');
+  assert.equal(check.notation, '1d20+2');
+  assert.equal(check.total, check.natural + 2);
+  assert.equal(roll('Stealth+1d4').rolls[0].terms[2].label, 'bonus dice');
+});
+
+test('save:wis rolls a d20 with the saving throw bonus', () => {
+  const [save] = roll('save:wis').rolls;
+  assert.equal(save.label, 'Wisdom saving throw');
+  assert.equal(save.notation, '1d20+5');
+  assert.equal(save.total, 18);
+});
+
+test('attack:<weapon> rolls to hit, then damage', () => {
+  const { rolls } = roll('attack:dagger');
+  assert.deepEqual(rolls.map(entry => entry.label), ['Dagger attack', 'Dagger damage']);
+  assert.equal(rolls[0].notation, '1d20+5');
+  assert.equal(rolls[1].notation, '1d4+2');
+  assert.equal(rolls[1].damageType, 'Piercing');
+});
+
+test('a natural 20 doubles the damage dice and a natural 1 skips damage', () => {
+  const critical = roll('attack:dagger', 36).rolls;
+  assert.equal(critical[0].critical, 'success');
+  assert.equal(critical[1].label, 'Dagger damage (critical)');
+  assert.equal(critical[1].notation, '2d4+2');
+
+  const fumble = roll('attack:dagger', 7).rolls;
+  assert.equal(fumble[0].critical, 'failure');
+  assert.equal(fumble.length, 1);
+});
+
+test('unknown checks list the options the character has', () => {
+  assert.throws(() => roll('dagger'), error => {
+    assert.equal(error.code, 'unknown_check');
+    assert.ok(error.options.includes('stealth') && error.options.includes('save:wis') && error.options.includes('attack:dagger'));
+    return true;
+  });
+  assert.throws(() => roll('attack:greataxe'), error => error.code === 'unknown_check' && error.options.includes('Dagger'));
+});
+
+test('criticals count their doubled dice towards the dice limit', () => {
+  assert.equal(roll('100d6 crit').rolls[0].terms[0].dice.length, 200);
+  for (const expression of ['101d6 crit', '200d1000r1 crit', 'damage:dagger+199d6 crit', 'damage:dagger+200d6']) {
+    assert.throws(() => roll(expression), error => error instanceof RollError && /At most 200 dice/.test(error.message), expression);
+  }
+});
+
+test('POST /character/{id}/roll replays a seeded roll', async () => {
+  const env = { API_KEY: 'key', UPSTREAM_SOURCE: 'fixtures', UPSTREAM_FIXTURES: fixtureKV() };
+  const post = async body => {
+    const response = await agent.fetch(new Request('https://agent.test/character/1000001/roll', {
+      method: 'POST',
+      headers: { 'Authorization': 'Bearer key', 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    }), env, {});
+    return { status: response.status, body: await response.json() };
+  };
+
+  const { status, body } = await post({ expression: 'save:wis', seed: 42 });
+  assert.equal(status, 200);
+  assert.deepEqual(body.rolls, roll('save:wis').rolls);
+
+  assert.equal((await post({ expression: '2d6*2' })).status, 400);
+  assert.equal((await post({ expression: 'juggling' })).status, 422);
+});
@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import agent from '../index.js';
+import { evaluateEncounter, parseChallengeRating } from '../src/encounter.js';
+import { fixtureKV } from './helpers.js';
+
+const orcs = count => [{ name: 'Orc', cr: '1/2', count }];
+
+test('challenge ratings are read as fractions or decimals', () => {
+  const cases = [['1/4', '1/4'], ['0.25', '1/4'], [0.5, '1/2'], ['0.125', '1/8'], ['3', '3'], ['2.0', '2'], [30, '30'],
+    [31, null], ['1/3', null], ['abc', null], ['', null], [null, null]];
+  for (const [value, cr] of cases) assert.equal(parseChallengeRating(value), cr, String(value));
+});
+
+test('2014 difficulty applies the monster-count multiplier to the summed thresholds', () => {
+  const { dmg2014 } = evaluateEncounter([3, 3, 3, 3], orcs(4));
+  assert.deepEqual(dmg2014.thresholds, { easy: 300, medium: 600, hard: 900, deadly: 1600 });
+  assert.equal(dmg2014.baseXp, 400);
+  assert.equal(dmg2014.multiplier, 2);
+  assert.equal(dmg2014.adjustedXp, 800);
+  assert.equal(dmg2014.difficulty, 'medium');
+  assert.deepEqual(dmg2014.suggestions, []);
+});
+
+test('small parties use the next multiplier up and large parties the next one down', () => {
+  assert.equal(evaluateEncounter([5, 5], orcs(1)).dmg2014.multiplier, 1.5);
+  assert.equal(evaluateEncounter([5, 5, 5, 5], orcs(1)).dmg2014.multiplier, 1);
+  assert.equal(evaluateEncounter([5, 5, 5, 5, 5, 5], orcs(1)).dmg2014.multiplier, 0.5);
+  assert.equal(evaluateEncounter([5, 5, 5, 5, 5, 5], orcs(2)).dmg2014.multiplier, 1);
+});
+
+test('2024 difficulty compares raw XP with the per-character budgets', () => {
+  const { dmg2024 } = evaluateEncounter([3, 3, 3, 3], orcs(4));
+  assert.deepEqual(dmg2024.budgets, { low: 600, moderate: 900, high: 1600 });
+  assert.equal(dmg2024.xp, 400);
+  assert.equal(dmg2024.difficulty, 'low');
+  assert.equal(evaluateEncounter([1], orcs(5)).dmg2024.difficulty, 'beyond-high');
+});
+
+test('too easy an encounter suggests more of a monster or one stronger extra', () => {
+  const { dmg2024 } = evaluateEncounter([3, 3, 3, 3], orcs(4));
+  assert.deepEqual(dmg2024.suggestions.map(suggestion => suggestion.summary), [
+    'Add 3 × Orc (CR 1/2) for a moderate encounter (700 XP)',
+    'Add 1 × CR 2 creature for a moderate encounter (850 XP)'
+  ]);
+});
+
+test('too hard an encounter suggests removing monsters', () => {
+  const goblins = [{ name: 'Goblin', cr: '1/4', count: 6 }];
+  const { dmg2014 } = evaluateEncounter([1, 1, 1, 1], goblins, { dmg2014: 'hard', dmg2024: 'moderate' });
+  assert.equal(dmg2014.difficulty, 'deadly');
+  assert.deepEqual(dmg2014.suggestions, [{
+    action: 'remove',
+    count: 3,
+    monster: { name: 'Goblin', cr: '1/4' },
+    result: { xp: 300, difficulty: 'hard' },
+    summary: 'Remove 3 × Goblin (CR 1/4) for a hard encounter (300 XP)'
+  }]);
+});
+
+test('POST /encounter uses the characters\' levels and validates the request', async () => {
+  const env = { API_KEY: 'key', UPSTREAM_SOURCE: 'fixtures', UPSTREAM_FIXTURES: fixtureKV('fighter', 'monk'), PARTY_REQUEST_DELAY_MS: '0' };
+  const post = async body => {
+    const response = await agent.fetch(new Request('https://agent.test/encounter', {
+      method: 'POST',
+      headers: { 'Authorization': 'Bearer key', 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    }), env, {});
+    return { status: response.status, body: await response.json() };
+  };
+
+  const { status, body } = await post({ characterIds: [2000001, 2000003], monsters: [{ name: 'Orc', cr: '1/2', count: 2 }] });
+  assert.equal(status, 200);
+  assert.deepEqual(body.party.members.map(member => member.name), ['Brannoc Ironhand', 'Sister Ayla']);
+  assert.deepEqual(body.monsters, [{ name: 'Orc', cr: '1/2', count: 2, xp: 100, totalXp: 200 }]);
+  assert.deepEqual(body.dmg2014, evaluateEncounter(body.party.members.map(member => member.level), orcs(2)).dmg2014);
+
+  const invalid = [
+    [{ monsters: orcs(1) }, 'Missing party'],
+    [{ characterIds: [2000001], monsters: [] }, 'Invalid monsters'],
+    [{ characterIds: [2000001], monsters: [{ cr: '31' }] }, 'Invalid monster'],
+    [{ characterIds: [2000001], monsters: orcs(1), target: { dmg2014: 'trivial' } }, 'Invalid target']
+  ];
+  for (const [request, error] of invalid) {
+    const response = await post(request);
+    assert.equal(response.status, 400, error);
+    assert.equal(response.body.error, error);
+  }
+});
@@ -0,0 +1,42 @@
+// Shared test helpers: saved character payloads and an in-memory KV namespace
+
+import { readFileSync } from 'node:fs';
+
+// A saved character-service payload from test/fixtures/characters, fresh on every call
+export function loadCharacter(name) {
+  return JSON.parse(readFileSync(new URL(`./fixtures/characters/${name}.json`, import.meta.url), 'utf8'));
+}
+
+// In-memory stand-in for a KV namespace binding; `entries` exposes what was stored
+export function memoryKV() {
+  const entries = new Map();
+  return {
+    entries,
+    async get(key, type) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      return type === 'json' ? JSON.parse(entry.value) : entry.value;
+    },
+    async put(key, value, options = {}) {
+      entries.set(key, { value, options });
+    },
+    async delete(key) {
+      entries.delete(key);
+    },
+    async list({ prefix = '' } = {}) {
+      const keys = [...entries.keys()].filter(key => key.startsWith(prefix)).sort()
+        .map(name => ({ name, metadata: entries.get(name).options.metadata }));
+      return { keys, list_complete: true };
+    }
+  };
+}
+
+// UPSTREAM_FIXTURES namespace holding the named test characters, for UPSTREAM_SOURCE=fixtures
+export function fixtureKV(...names) {
+  const kv = memoryKV();
+  for (const name of names) {
+    const data = loadCharacter(name);
+    kv.entries.set(`fixture:character:${data.id}`, { value: JSON.stringify(data), options: {} });
+  }
+  return kv;
+}
@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { activeModifiers, characterLevel, deriveAbilityModifiers, deriveAbilityScores, proficiencyBonus } from '../src/derive.js';
+import { deriveAttacks, deriveInventory } from '../src/inventory.js';
+import { loadCharacter } from './helpers.js';
+
+function inventory(data) {
+  const modifiers = activeModifiers(data);
+  return deriveInventory(data, deriveAbilityScores(data, modifiers), modifiers);
+}
+
+function attacks(data) {
+  const modifiers = activeModifiers(data);
+  const abilityModifiers = deriveAbilityModifiers(deriveAbilityScores(data, modifiers));
+  return deriveAttacks(data, abilityModifiers, proficiencyBonus(characterLevel(data)), modifiers);
+}
+
+// The fighter with a +2 longsword that requires attunement
+function withAttunedSword(isAttuned) {
+  const data = loadCharacter('fighter');
+  data.inventory.push({
+    id: 900,
+    equipped: true,
+    isAttuned,
+    quantity: 1,
+    definition: {
+      name: 'Dragon Slayer Longsword',
+      filterType: 'Weapon',
+      type: 'Longsword',
+      categoryId: 2,
+      attackType: 1,
+      canEquip: true,
+      canAttune: true,
+      magic: true,
+      weight: 3,
+      damage: { diceString: '1d8' },
+      damageType: 'Slashing',
+      properties: [{ name: 'Versatile', notes: '1d10' }],
+      grantedModifiers: [{ type: 'bonus', subType: 'magic', value: 2 }]
+    }
+  });
+  return data;
+}
+
+const sword = data => attacks(data).find(attack => attack.name === 'Dragon Slayer Longsword');
+
+test('attuned weapons apply their magic bonus', () => {
+  const attack = sword(withAttunedSword(true));
+  assert.equal(attack.magicBonus, 2);
+  assert.equal(attack.damage, '1d8+7');
+  assert.deepEqual(attack.notes, []);
+});
+
+test('weapons that need attunement stay listed without their magic when not attuned', () => {
+  const attuned = sword(withAttunedSword(true));
+  const attack = sword(withAttunedSword(false));
+  assert.equal(attack.magicBonus, 0);
+  assert.equal(attack.toHit, attuned.toHit - 2);
+  assert.equal(attack.damage, '1d8+5');
+  assert.equal(attack.versatileDamage, '1d10+5');
+  assert.deepEqual(attack.notes, ['Not attuned: magic bonuses do not apply']);
+});
+
+test('unequipped weapons are not attacks', () => {
+  const data = withAttunedSword(true);
+  data.inventory.at(-1).equipped = false;
+  assert.equal(sword(data), undefined);
+});
+
+test('carrying capacity scales with size', () => {
+  const data = loadCharacter('fighter');
+  const { capacity: medium, size } = inventory(data).weight;
+  assert.deepEqual([medium, size], [315, 'medium']);
+
+  const capacity = race => inventory({ ...data, race: { ...data.race, ...race } }).weight;
+  assert.deepEqual([capacity({ sizeId: 2 }).capacity, capacity({ sizeId: 2 }).size], [157.5, 'tiny']);
+  assert.equal(capacity({ sizeId: 3 }).capacity, 315);
+  assert.deepEqual([capacity({ sizeId: 5 }).capacity, capacity({ sizeId: 5 }).size], [630, 'large']);
+  assert.equal(capacity({ size: 'Huge' }).capacity, 1260);
+  assert.equal(capacity({ sizeId: 7 }).capacity, 2520);
+});
+
+test('Powerful Build carries as one size larger', () => {
+  const data = loadCharacter('fighter');
+  data.race.racialTraits = [{ definition: { name: 'Powerful Build' } }];
+  assert.equal(inventory(data).weight.capacity, 630);
+  assert.equal(inventory(data).weight.size, 'medium');
+});
+
+test('Dueling adds to one-handed damage but not to the versatile two-handed damage', () => {
+  const data = withAttunedSword(true);
+  data.options = { class: [{ definition: { name: 'Fighting Style: Dueling' } }] };
+  const attack = sword(data);
+  assert.equal(attack.damage, '1d8+9');
+  assert.equal(attack.versatileDamage, '1d10+7');
+  assert.deepEqual(attack.notes, ['Dueling: +2 damage when wielded in one hand with no other weapon']);
+});
@@ -0,0 +1,144 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import agent from '../index.js';
+import { fixtureKV } from './helpers.js';
+
+// Characters come from the fixture source, so nothing reaches D&D Beyond
+const env = {
+  API_KEYS: {
+    dm: { key: 'dm-key', scopes: ['*'] },
+    party: { key: 'party-key', scopes: ['party'] }
+  },
+  UPSTREAM_SOURCE: 'fixtures',
+  UPSTREAM_FIXTURES: fixtureKV('fighter', 'barbarian', 'monk')
+};
+
+async function post(body, key = 'dm-key') {
+  const response = await agent.fetch(new Request('https://agent.test/mcp', {
+    method: 'POST',
+    headers: { 'Authorization': `Bearer ${key}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  }), env, {});
+  return { response, body: response.status === 202 ? null : await response.json() };
+}
+
+const call = (id, method, params, key) => post({ jsonrpc: '2.0', id, method, params }, key);
+
+test('OPTIONS /mcp answers the CORS preflight', async () => {
+  const response = await agent.fetch(new Request('https://agent.test/mcp', { method: 'OPTIONS' }), env, {});
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('Access-Control-Allow-Headers'), /Mcp-Session-Id/);
+});
+
+test('GET /mcp is not supported', async () => {
+  const response = await agent.fetch(new Request('https://agent.test/mcp', { headers: { 'Authorization': 'Bearer dm-key' } }), env, {});
+  assert.equal(response.status, 405);
+});
+
+test('requests without a key are rejected', async () => {
+  const { response } = await call(1, 'ping', {}, 'wrong');
+  assert.equal(response.status, 401);
+});
+
+test('initialize negotiates the protocol version and starts a session', async () => {
+  const { response, body } = await call(1, 'initialize', { protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: 'test', version: '0' } });
+  assert.equal(body.result.protocolVersion, '2025-03-26');
+  assert.equal(body.result.serverInfo.name, 'dndbeyond-agent');
+  assert.ok(response.headers.get('Mcp-Session-Id'));
+});
+
+test('notifications are acknowledged with 202', async () => {
+  const { response } = await post({ jsonrpc: '2.0', method: 'notifications/initialized' });
+  assert.equal(response.status, 202);
+});
+
+test('tools/list describes every tool with an input schema', async () => {
+  const { body } = await call(2, 'tools/list');
+  assert.deepEqual(body.result.tools.map(tool => tool.name), ['get_character', 'get_party', 'get_spells', 'compare_characters']);
+  assert.ok(body.result.tools.every(tool => tool.inputSchema.type === 'object' && !('scope' in tool)));
+});
+
+test('get_character returns the derived character, optionally trimmed to sections', async () => {
+  let { body } = await call(3, 'tools/call', { name: 'get_character', arguments: { characterId: 2000001 } });
+  assert.equal(body.result.isError, false);
+  assert.equal(body.result.structuredContent.name, 'Brannoc Ironhand');
+  assert.equal(body.result.structuredContent.armorClass, 21);
+
+  ({ body } = await call(4, 'tools/call', { name: 'get_character', arguments: { characterId: '2000001', sections: ['hitPoints'] } }));
+  assert.deepEqual(body.result.structuredContent, { id: 2000001, name: 'Brannoc Ironhand', hitPoints: { current: 42, max: 54, temp: 5 } });
+});
+
+test('get_spells works against the bundled demo character', async () => {
+  const { body } = await call(5, 'tools/call', { name: 'get_spells', arguments: { characterId: 1000001 } });
+  assert.equal(body.result.structuredContent.name, 'Demo Adventurer');
+  assert.ok(body.result.structuredContent.spellcasting);
+});
+
+test('upstream errors are reported as tool errors', async () => {
+  const { body } = await call(6, 'tools/call', { name: 'get_character', arguments: { characterId: 999 } });
+  assert.equal(body.result.isError, true);
+  assert.match(body.result.content[0].text, /not_found/);
+});
+
+test('compare_characters compares 2 to 10 characters', async () => {
+  const { body } = await call(7, 'tools/call', { name: 'compare_characters', arguments: { characterIds: [2000001, 2000002, 2000003] } });
+  assert.equal(body.result.isError, false);
+  assert.equal(body.result.structuredContent.characters.length, 3);
+});
+
+test('compare_characters rejects too few or too many IDs as invalid params', async () => {
+  for (const characterIds of [[2000001], Array.from({ length: 11 }, (_, index) => 2000001 + index), 'not-an-array']) {
+    const { body } = await call(8, 'tools/call', { name: 'compare_characters', arguments: { characterIds } });
+    assert.equal(body.error.code, -32602);
+    assert.match(body.error.data, /2 to 10/);
+  }
+});
+
+test('tools and resources need the matching scope', async () => {
+  let { body } = await call(9, 'tools/call', { name: 'get_character', arguments: { characterId: 2000001 } }, 'party-key');
+  assert.equal(body.result.isError, true);
+
+  ({ body } = await call(10, 'resources/list', {}, 'party-key'));
+  assert.equal(body.error.code, -32602);
+
+  ({ body } = await call(11, 'resources/read', { uri: 'dndbeyond://character/2000001' }, 'party-key'));
+  assert.equal(body.error.code, -32602);
+});
+
+test('resources/read returns the character sheet', async () => {
+  const { body } = await call(12, 'resources/read', { uri: 'dndbeyond://character/2000003' });
+  const [content] = body.result.contents;
+  assert.equal(content.mimeType, 'application/json');
+  assert.equal(JSON.parse(content.text).name, 'Sister Ayla');
+});
+
+test('empty and oversized batches are rejected', async () => {
+  for (const batch of [[], Array.from({ length: 11 }, (_, index) => ({ jsonrpc: '2.0', id: index, method: 'ping' }))]) {
+    const { response, body } = await post(batch);
+    assert.equal(response.status, 400);
+    assert.equal(body.error.code, -32600);
+  }
+});
+
+test('batches get one response per request', async () => {
+  const { body } = await post([
+    { jsonrpc: '2.0', id: 1, method: 'ping' },
+    { jsonrpc: '2.0', method: 'notifications/initialized' },
+    { jsonrpc: '2.0', id: 2, method: 'nope' }
+  ]);
+  assert.deepEqual(body.map(message => message.id), [1, 2]);
+  assert.equal(body[1].error.code, -32601);
+});
+
+test('params or arguments that are not objects fail only their own batch entry', async () => {
+  const { response, body } = await post([
+    { jsonrpc: '2.0', id: 1, method: 'tools/call', params: null },
+    { jsonrpc: '2.0', id: 2, method: 'tools/call', params: { name: 'get_character', arguments: [2000001] } },
+    { jsonrpc: '2.0', id: 3, method: 'ping' }
+  ]);
+  assert.equal(response.status, 200);
+  assert.deepEqual(body.map(message => message.id), [1, 2, 3]);
+  assert.deepEqual(body.slice(0, 2).map(message => message.error.code), [-32602, -32602]);
+  assert.deepEqual(body[2].result, {});
+});
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import agent from '../index.js';
+import { recordSnapshot } from '../src/snapshots.js';
+import { memoryKV } from './helpers.js';
+
+const character = (level, hp = 40) => ({ id: 2000001, name: 'Brannoc Ironhand', level, hitPoints: { current: hp, max: 54 } });
+
+// Counts listings, which page through every snapshot of a character
+function countingKV() {
+  const kv = memoryKV();
+  const list = kv.list;
+  kv.lists = 0;
+  kv.list = options => { kv.lists++; return list(options); };
+  return kv;
+}
+
+test('recordSnapshot compares with the latest pointer instead of listing', async () => {
+  const env = { CHARACTER_HISTORY: countingKV() };
+
+  assert.ok(await recordSnapshot(env, character(5), 1000));
+  assert.equal(await recordSnapshot(env, character(5), 2000), null);
+  const second = await recordSnapshot(env, character(6), 3000);
+  assert.equal(second.level, 6);
+  assert.equal(await recordSnapshot(env, character(6), 4000), null);
+
+  // Only the very first recording, with no pointer yet, lists
+  assert.equal(env.CHARACTER_HISTORY.lists, 1);
+  assert.deepEqual(JSON.parse(env.CHARACTER_HISTORY.entries.get('latest:2000001').value), second);
+});
+
+test('histories without a pointer fall back to the newest listed snapshot', async () => {
+  const env = { CHARACTER_HISTORY: memoryKV() };
+  await recordSnapshot(env, character(5), 1000);
+  env.CHARACTER_HISTORY.entries.delete('latest:2000001');
+
+  assert.equal(await recordSnapshot(env, character(5), 2000), null);
+  assert.ok(await recordSnapshot(env, character(6), 3000));
+});
+
+test('the pointer expires with the snapshots', async () => {
+  const env = { CHARACTER_HISTORY: memoryKV(), SNAPSHOT_RETENTION_DAYS: '7' };
+  await recordSnapshot(env, character(5), 1000);
+  for (const { options } of env.CHARACTER_HISTORY.entries.values()) {
+    assert.equal(options.expirationTtl, 7 * 86400);
+  }
+});
+
+test('GET /character/{id}/history clamps limit to 1..500', async () => {
+  const env = { API_KEY: 'key', CHARACTER_HISTORY: memoryKV() };
+  for (let level = 1; level <= 3; level++) await recordSnapshot(env, character(level), level * 1000);
+
+  const history = async limit => {
+    const response = await agent.fetch(new Request(`https://agent.test/character/2000001/history?limit=${limit}`, {
+      headers: { 'Authorization': 'Bearer key' }
+    }), env, {});
+    return (await response.json()).snapshots.map(snapshot => snapshot.level);
+  };
+
+  assert.deepEqual(await history(-1), [3]);
+  assert.deepEqual(await history(2), [3, 2]);
+  assert.deepEqual(await history('abc'), [3, 2, 1]);
+});
@@ -0,0 +1,158 @@
+import { afterEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import agent from '../index.js';
+import { checkPayload, payloadProblems } from '../src/sources.js';
+import demoAdventurer from '../fixtures/characters/1000001.json' with { type: 'json' };
+import { fixtureKV, loadCharacter, memoryKV } from './helpers.js';
+
+const realFetch = globalThis.fetch;
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+// Stands in for the character service, answering every ID with `data`
+function serveLive(data) {
+  const requests = [];
+  globalThis.fetch = async (url, init) => {
+    requests.push({ url: String(url), headers: init?.headers });
+    return new Response(JSON.stringify({ success: true, message: 'Character successfully received.', data }), {
+      headers: { 'Content-Type': 'application/json' }
+    });
+  };
+  return requests;
+}
+
+async function getCharacter(env, id) {
+  const response = await agent.fetch(new Request(`https://agent.test/character/${id}`, { headers: { 'Authorization': 'Bearer key' } }), env, {});
+  return { status: response.status, body: await response.json() };
+}
+
+const baseEnv = { API_KEY: 'key', UPSTREAM_RATE_LIMIT: '1000', UPSTREAM_MAX_RETRIES: '0' };
+
+test('saved payloads have the expected shape', () => {
+  for (const data of [demoAdventurer, ...['fighter', 'barbarian', 'monk', 'ranger'].map(loadCharacter)]) {
+    assert.deepEqual(payloadProblems(data), [], data.name);
+  }
+});
+
+test('shape changes are reported by path', () => {
+  const data = loadCharacter('fighter');
+  data.stats = { strength: 15 };
+  data.classes[0].level = '5';
+  delete data.classes[0].definition.name;
+  delete data.baseHitPoints;
+  data.inventory[1].definition = null;
+  data.modifiers.race[0].type = 7;
+
+  assert.deepEqual(payloadProblems(data).map(problem => problem.path), [
+    'stats', 'classes[0].level', 'classes[0].definition.name', 'baseHitPoints', 'modifiers.race[0].type', 'inventory[1].definition'
+  ]);
+  assert.deepEqual(payloadProblems(null), [{ path: '(root)', expected: 'object', actual: 'null' }]);
+});
+
+test('checkPayload throws upstream_schema_changed with readable paths', () => {
+  const data = loadCharacter('monk');
+  data.stats = 'gone';
+  assert.throws(() => checkPayload(data, 2000003), error => {
+    assert.equal(error.code, 'upstream_schema_changed');
+    assert.equal(error.status, 502);
+    assert.deepEqual(error.paths, ['stats: expected array, got string']);
+    return true;
+  });
+});
+
+test('at most 20 paths are reported', () => {
+  const data = loadCharacter('fighter');
+  data.inventory = Array.from({ length: 30 }, () => ({ definition: {} }));
+  assert.throws(() => checkPayload(data, 2000001), error => error.paths.length === 20);
+});
+
+test('a changed live payload is a 502 instead of a sheet of defaults', async () => {
+  const data = loadCharacter('ranger');
+  data.stats = data.stats.map(({ id, value }) => ({ id, score: value }));
+  delete data.baseHitPoints;
+  serveLive(data);
+
+  const { status, body } = await getCharacter({ ...baseEnv, CACHE_TTL_SECONDS: '0' }, 2000004);
+  assert.equal(status, 502);
+  assert.equal(body.code, 'upstream_schema_changed');
+  assert.equal(body.paths.length, 7);
+  assert.equal(body.paths[0], 'stats[0].value: expected number, got undefined');
+  assert.equal(body.paths[6], 'baseHitPoints: expected number, got undefined');
+});
+
+test('UPSTREAM_VALIDATE=off skips the check', async () => {
+  const data = loadCharacter('ranger');
+  data.inventory[0].definition.name = 42;
+  serveLive(data);
+
+  assert.equal((await getCharacter({ ...baseEnv, CACHE_TTL_SECONDS: '0' }, 2000004)).status, 502);
+  assert.equal((await getCharacter({ ...baseEnv, CACHE_TTL_SECONDS: '0', UPSTREAM_VALIDATE: 'off' }, 2000004)).status, 200);
+});
+
+test('live requests use UPSTREAM_BASE_URL and UPSTREAM_USER_AGENT', async () => {
+  const requests = serveLive(loadCharacter('fighter'));
+  const env = { ...baseEnv, CACHE_TTL_SECONDS: '0', UPSTREAM_BASE_URL: 'http://localhost:9000/', UPSTREAM_USER_AGENT: 'table-bot' };
+  const { status, body } = await getCharacter(env, 2000001);
+  assert.equal(status, 200);
+  assert.equal(body.character.name, 'Brannoc Ironhand');
+  assert.equal(requests[0].url, 'http://localhost:9000/2000001');
+  assert.equal(requests[0].headers['User-Agent'], 'table-bot');
+});
+
+test('fixtures are replayed from KV, then the bundled directory, without network calls', async () => {
+  globalThis.fetch = async () => assert.fail('fixtures mode must not call the network');
+  const env = { ...baseEnv, UPSTREAM_SOURCE: 'fixtures', UPSTREAM_FIXTURES: fixtureKV('barbarian') };
+
+  assert.equal((await getCharacter(env, 2000002)).body.character.name, 'Grisha Bonecleaver');
+  assert.equal((await getCharacter(env, 1000001)).body.character.name, 'Demo Adventurer');
+  const missing = await getCharacter(env, 2000009);
+  assert.equal(missing.status, 404);
+  assert.equal(missing.body.code, 'not_found');
+});
+
+test('record mode saves live payloads, even ones that fail the check', async () => {
+  const kv = memoryKV();
+  const env = { ...baseEnv, CACHE_TTL_SECONDS: '0', UPSTREAM_SOURCE: 'record', UPSTREAM_FIXTURES: kv };
+
+  serveLive(loadCharacter('monk'));
+  assert.equal((await getCharacter(env, 2000003)).status, 200);
+  const entry = kv.entries.get('fixture:character:2000003');
+  assert.equal(JSON.parse(entry.value).name, 'Sister Ayla');
+  assert.equal(entry.options.metadata.name, 'Sister Ayla');
+
+  serveLive({ ...loadCharacter('monk'), id: 'renamed' });
+  assert.equal((await getCharacter(env, 2000003)).status, 502);
+  assert.equal(JSON.parse(kv.entries.get('fixture:character:2000003').value).id, 'renamed');
+});
+
+test('misconfigured sources answer with a typed JSON error', async () => {
+  let { status, body } = await getCharacter({ ...baseEnv, UPSTREAM_SOURCE: 'replay' }, 2000001);
+  assert.equal(status, 500);
+  assert.equal(body.code, 'invalid_upstream_source');
+
+  ({ status, body } = await getCharacter({ ...baseEnv, UPSTREAM_SOURCE: 'record' }, 2000001));
+  assert.equal(status, 501);
+  assert.equal(body.code, 'fixtures_not_configured');
+
+  // Batch routes fail once for the whole request instead of per ID
+  const response = await agent.fetch(new Request('https://agent.test/characters?ids=1,2', { headers: { 'Authorization': 'Bearer key' } }),
+    { ...baseEnv, UPSTREAM_SOURCE: 'record' }, {});
+  assert.equal(response.status, 501);
+  assert.equal((await response.json()).code, 'fixtures_not_configured');
+});
+
+test('switching sources does not share cached payloads', async () => {
+  const cache = memoryKV();
+  const live = { ...loadCharacter('fighter'), id: 2000002, name: 'Live Grisha' };
+  serveLive(live);
+
+  const liveEnv = { ...baseEnv, CHARACTER_CACHE: cache };
+  const fixtureEnv = { ...liveEnv, UPSTREAM_SOURCE: 'fixtures', UPSTREAM_FIXTURES: fixtureKV('barbarian') };
+
+  assert.equal((await getCharacter(liveEnv, 2000002)).body.character.name, 'Live Grisha');
+  assert.equal((await getCharacter(fixtureEnv, 2000002)).body.character.name, 'Grisha Bonecleaver');
+  assert.equal((await getCharacter(liveEnv, 2000002)).body.character.name, 'Live Grisha');
+  assert.deepEqual([...cache.entries.keys()].sort(), ['character/2000002', 'character/2000002/fixtures']);
+});
@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ThrottleState, UpstreamThrottle, throttleSettings } from '../src/throttle.js';
+
+const settings = { ratePerMinute: 60, failureThreshold: 3, cooldownSeconds: 30 };
+
+test('settings come from the environment with defaults', () => {
+  assert.deepEqual(throttleSettings({}), { ratePerMinute: 10, failureThreshold: 5, cooldownSeconds: 60 });
+  assert.deepEqual(throttleSettings({ UPSTREAM_RATE_LIMIT: '60', CIRCUIT_FAILURE_THRESHOLD: '3', CIRCUIT_COOLDOWN_SECONDS: '30' }), settings);
+});
+
+test('the bucket starts full, empties and refills at the per-minute rate', () => {
+  const throttle = new ThrottleState(settings, { refilledAt: 0 });
+  for (let request = 0; request < 60; request++) assert.ok(throttle.acquire(0).allowed);
+  assert.deepEqual(throttle.acquire(0), { allowed: false, reason: 'rate_limited', retryAfter: 1 });
+
+  // One token a second
+  assert.equal(throttle.acquire(500).allowed, false);
+  assert.equal(throttle.acquire(1000).allowed, true);
+  assert.equal(throttle.acquire(1000).allowed, false);
+});
+
+test('refilling never exceeds the bucket size', () => {
+  const throttle = new ThrottleState(settings, { tokens: 0, refilledAt: 0 });
+  throttle.refill(3600 * 1000);
+  assert.equal(throttle.tokens, 60);
+});
+
+test('repeated failures open the circuit until the cooldown passes', () => {
+  const throttle = new ThrottleState(settings, { refilledAt: 0 });
+  throttle.report({ ok: false }, 0);
+  throttle.report({ ok: false }, 0);
+  assert.equal(throttle.circuit, 'closed');
+  throttle.report({ ok: false }, 0);
+  assert.equal(throttle.circuit, 'open');
+
+  assert.deepEqual(throttle.acquire(10000), { allowed: false, reason: 'circuit_open', retryAfter: 20 });
+});
+
+test('a success resets the failure count', () => {
+  const throttle = new ThrottleState(settings, { refilledAt: 0 });
+  throttle.report({ ok: false }, 0);
+  throttle.report({ ok: false }, 0);
+  throttle.report({ ok: true }, 0);
+  throttle.report({ ok: false }, 0);
+  assert.equal(throttle.circuit, 'closed');
+  assert.equal(throttle.failures, 1);
+});
+
+test('half-open lets one probe through, and its outcome closes or reopens the circuit', () => {
+  const throttle = new ThrottleState(settings, { circuit: 'open', openUntil: 30000, failures: 3, refilledAt: 0 });
+
+  assert.ok(throttle.acquire(30000).allowed);
+  assert.equal(throttle.circuit, 'half-open');
+  assert.deepEqual(throttle.acquire(30000), { allowed: false, reason: 'circuit_open', retryAfter: 1 });
+
+  // A failed probe reopens the circuit for another cooldown
+  throttle.report({ ok: false }, 31000);
+  assert.equal(throttle.circuit, 'open');
+  assert.equal(throttle.openUntil, 61000);
+
+  assert.ok(throttle.acquire(61000).allowed);
+  throttle.report({ ok: true }, 61000);
+  assert.equal(throttle.circuit, 'closed');
+  assert.equal(throttle.failures, 0);
+  assert.ok(throttle.acquire(61000).allowed);
+});
+
+test('a 429 that blocks us opens the circuit at once for the longer of Retry-After and the cooldown', () => {
+  const throttle = new ThrottleState(settings, { refilledAt: 0 });
+  throttle.report({ ok: false, blocked: true, retryAfter: 120 }, 0);
+  assert.equal(throttle.circuit, 'open');
+  assert.equal(throttle.openUntil, 120000);
+
+  const short = new ThrottleState(settings, { refilledAt: 0 });
+  short.report({ ok: false, blocked: true, retryAfter: 5 }, 0);
+  assert.equal(short.openUntil, 30000);
+});
+
+test('the Durable Object keeps the state in storage between requests', async () => {
+  const stored = new Map();
+  const state = { storage: { get: async key => stored.get(key), put: async (key, value) => { stored.set(key, value); } } };
+  const env = { UPSTREAM_RATE_LIMIT: '1' };
+  const call = async (object, path, body) => (await object.fetch(new Request(`https://throttle${path}`, {
+    method: 'POST',
+    body: body && JSON.stringify(body)
+  }))).json();
+
+  assert.deepEqual(await call(new UpstreamThrottle(state, env), '/acquire'), { allowed: true });
+  // A fresh instance, as after eviction, still sees the empty bucket
+  const reloaded = new UpstreamThrottle(state, env);
+  assert.equal((await call(reloaded, '/acquire')).reason, 'rate_limited');
+  assert.deepEqual(await call(reloaded, '/report', { ok: false, blocked: true, retryAfter: 90 }), { circuit: 'open' });
+  assert.equal(stored.get('throttle').circuit, 'open');
+  assert.equal((await reloaded.fetch(new Request('https://throttle/nope'))).status, 404);
+});
@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import agent from '../index.js';
+import { ChunkError, UI_CHUNK_CONTRACT, UI_TABS, parseChunkRequest, uiChunk } from '../src/uichunk.js';
+
+const chunkUrl = params => new URL(`https://agent.test/ui-chunk?${new URLSearchParams(params)}`);
+const parse = params => parseChunkRequest(chunkUrl(params));
+
+test('step is an id or its 1-based number and defaults to lookup', () => {
+  assert.equal(parse({}).step.id, 'lookup');
+  assert.equal(parse({ step: '2', state: '{"characterId":1}' }).step.id, 'party');
+  assert.equal(parse({ step: 'party', state: '{"characterId":1}' }).step.id, 'party');
+});
+
+test('invalid steps, versions and states are ChunkErrors', () => {
+  const cases = [
+    [{ step: 'review' }, 'Invalid step', /step must be one of lookup, party, detail/],
+    [{ step: '4' }, 'Invalid step', /step must be one of/],
+    [{ version: '1.0.0' }, 'Unsupported version', /contract 2\.0\.0/],
+    [{ state: '{nope' }, 'Invalid state', /state must be a JSON object/],
+    [{ state: '[1]' }, 'Invalid state', /state must be a JSON object/],
+    [{ state: 'null' }, 'Invalid state', /state must be a JSON object/],
+    [{ state: '{"characterId":"1 OR 1"}' }, 'Invalid state', /state\.characterId must be a numeric character ID/],
+    [{ step: 'detail', state: '{"characterId":1,"memberId":2,"tab":"notes"}' }, 'Invalid state', /state\.tab must be one of/],
+    [{ step: 'party' }, 'Missing state', /Step party needs state\.characterId/],
+    [{ step: 'detail', state: '{}' }, 'Missing state', /needs state\.characterId and state\.memberId/]
+  ];
+  for (const [params, code, message] of cases) {
+    assert.throws(() => parse(params), error => error instanceof ChunkError && error.error === code && message.test(error.message),
+      JSON.stringify(params));
+  }
+  // Same major version is accepted
+  assert.doesNotThrow(() => parse({ version: '2.3.1' }));
+});
+
+test('only known state fields are kept, as strings', () => {
+  const { state } = parse({ step: 'detail', state: JSON.stringify({ characterId: 12, memberId: '34', extra: '<script>' }) });
+  assert.deepEqual(state, { characterId: '12', memberId: '34', tab: UI_TABS[0] });
+  assert.equal(parse({ step: 'detail', state: '{"characterId":1,"memberId":2,"tab":"spells"}' }).state.tab, 'spells');
+  // The tab only belongs to the detail step
+  assert.deepEqual(parse({ step: 'party', state: '{"characterId":1,"tab":"spells"}' }).state, { characterId: '1' });
+});
+
+test('the chunk carries its step, state and escaped markup', () => {
+  const { step, state } = parse({ step: 'detail', state: '{"characterId":1,"memberId":2}' });
+  const chunk = uiChunk(step, state, 'https://agent.test/"><b>');
+  assert.equal(chunk.contract, UI_CHUNK_CONTRACT);
+  assert.deepEqual(chunk.step, { id: 'detail', number: 3, title: 'Character details' });
+  assert.deepEqual(chunk.state, state);
+  assert.match(chunk.html, /data-step="detail"/);
+  assert.match(chunk.html, /data-state="\{&quot;characterId&quot;:&quot;1&quot;/);
+  assert.match(chunk.html, /data-base="https:\/\/agent\.test\/&quot;&gt;&lt;b&gt;"/);
+  assert.equal(chunk.html.match(/data-tab=/g).length, UI_TABS.length);
+});
+
+test('GET /ui-chunk returns the chunk, or a 400 listing the steps', async () => {
+  const get = async params => {
+    const response = await agent.fetch(new Request(chunkUrl(params)), {}, {});
+    return { status: response.status, body: await response.json() };
+  };
+
+  const ok = await get({ step: 'party', state: '{"characterId":1000001}' });
+  assert.equal(ok.status, 200);
+  assert.equal(ok.body.step.id, 'party');
+  assert.deepEqual(ok.body.state, { characterId: '1000001' });
+
+  const bad = await get({ step: 'party' });
+  assert.equal(bad.status, 400);
+  assert.equal(bad.body.error, 'Missing state');
+  assert.deepEqual(bad.body.steps, ['lookup', 'party', 'detail']);
+});
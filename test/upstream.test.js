@@ -0,0 +1,146 @@
+import { afterEach, beforeEach, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { UpstreamThrottle } from '../src/throttle.js';
+import { UpstreamError, fetchUpstream, parseRetryAfter } from '../src/upstream.js';
+
+// Fake clock: sleeping advances Date.now instead of waiting, and `delays` records every wait
+let now;
+let delays;
+beforeEach(() => {
+  now = Date.UTC(2026, 0, 1);
+  delays = [];
+  mock.method(Date, 'now', () => now);
+  mock.method(globalThis, 'setTimeout', (callback, ms) => {
+    delays.push(ms);
+    now += ms;
+    callback();
+  });
+  // Jitter picks the middle of each backoff window
+  mock.method(Math, 'random', () => 0.5);
+});
+
+const realFetch = globalThis.fetch;
+afterEach(() => {
+  mock.restoreAll();
+  globalThis.fetch = realFetch;
+});
+
+// Answers each call with the next scripted reply: a status with optional headers, or an Error to throw
+function serve(...replies) {
+  const calls = [];
+  globalThis.fetch = async url => {
+    calls.push({ url, at: now });
+    const reply = replies.shift() ?? { status: 200 };
+    if (reply instanceof Error) throw reply;
+    return new Response(reply.status === 200 ? '{}' : 'error', { status: reply.status, headers: reply.headers });
+  };
+  return calls;
+}
+
+// A fresh Durable Object per test, so no throttle state leaks between tests
+function testEnv(overrides = {}) {
+  const stored = new Map();
+  const storage = { get: async key => stored.get(key), put: async (key, value) => { stored.set(key, value); } };
+  const env = { UPSTREAM_RATE_LIMIT: '60', CIRCUIT_FAILURE_THRESHOLD: '5', CIRCUIT_COOLDOWN_SECONDS: '60', ...overrides };
+  const object = new UpstreamThrottle({ storage }, env);
+  env.UPSTREAM_THROTTLE = {
+    idFromName: name => name,
+    get: () => ({ fetch: (url, init) => object.fetch(new Request(url, init)) })
+  };
+  return env;
+}
+
+const rejectsWith = (promise, fields) => assert.rejects(promise, error => {
+  assert.ok(error instanceof UpstreamError);
+  for (const [key, value] of Object.entries(fields)) assert.equal(error[key], value, key);
+  return true;
+});
+
+test('Retry-After is read as seconds or an HTTP date', () => {
+  assert.equal(parseRetryAfter('3'), 3);
+  assert.equal(parseRetryAfter('1.2'), 2);
+  assert.equal(parseRetryAfter(new Date(now + 10000).toUTCString()), 10);
+  assert.equal(parseRetryAfter(new Date(now - 10000).toUTCString()), 0);
+  assert.equal(parseRetryAfter('soon'), null);
+  assert.equal(parseRetryAfter(null), null);
+});
+
+test('a 503 is retried after its Retry-After', async () => {
+  const calls = serve({ status: 503, headers: { 'Retry-After': '2' } }, { status: 200 });
+  const response = await fetchUpstream('https://upstream.test/1', {}, testEnv());
+  assert.equal(response.status, 200);
+  assert.equal(calls.length, 2);
+  assert.deepEqual(delays, [2000]);
+});
+
+test('a 429 is retried after its Retry-After', async () => {
+  const calls = serve({ status: 429, headers: { 'Retry-After': '1' } }, { status: 200 });
+  assert.equal((await fetchUpstream('https://upstream.test/1', {}, testEnv())).status, 200);
+  assert.equal(calls[1].at - calls[0].at, 1000);
+});
+
+test('5xx without Retry-After backs off exponentially, then gives up', async () => {
+  const calls = serve({ status: 500 }, { status: 502 }, { status: 500 });
+  await rejectsWith(fetchUpstream('https://upstream.test/1', {}, testEnv({ UPSTREAM_BACKOFF_MS: '200' })), {
+    code: 'upstream_error',
+    status: 502,
+    upstreamStatus: 500
+  });
+  assert.equal(calls.length, 3);
+  assert.deepEqual(delays, [100, 200]);
+});
+
+test('a Retry-After longer than UPSTREAM_MAX_WAIT_MS is not waited out, and opens the circuit', async () => {
+  const env = testEnv();
+  const calls = serve({ status: 429, headers: { 'Retry-After': '120' } });
+  await rejectsWith(fetchUpstream('https://upstream.test/1', {}, env), { code: 'rate_limited', status: 429, retryAfter: 120 });
+  assert.equal(calls.length, 1);
+  assert.deepEqual(delays, []);
+
+  // Until Retry-After has passed, requests fail fast without reaching D&D Beyond
+  now += 60000;
+  await rejectsWith(fetchUpstream('https://upstream.test/1', {}, env), { code: 'circuit_open', status: 503, retryAfter: 60 });
+  assert.equal(calls.length, 1);
+
+  // Then one probe goes through and its success closes the circuit
+  now += 60000;
+  assert.equal((await fetchUpstream('https://upstream.test/1', {}, env)).status, 200);
+  assert.equal((await fetchUpstream('https://upstream.test/1', {}, env)).status, 200);
+});
+
+test('consecutive failures open the circuit', async () => {
+  const env = testEnv({ CIRCUIT_FAILURE_THRESHOLD: '2', UPSTREAM_MAX_RETRIES: '0' });
+  serve({ status: 500 }, { status: 500 });
+  await rejectsWith(fetchUpstream('https://upstream.test/1', {}, env), { code: 'upstream_error' });
+  await rejectsWith(fetchUpstream('https://upstream.test/1', {}, env), { code: 'upstream_error' });
+  await rejectsWith(fetchUpstream('https://upstream.test/1', {}, env), { code: 'circuit_open' });
+});
+
+test('other statuses, including 404, are returned without a retry', async () => {
+  const calls = serve({ status: 404 });
+  assert.equal((await fetchUpstream('https://upstream.test/1', {}, testEnv())).status, 404);
+  assert.equal(calls.length, 1);
+});
+
+test('network errors and timeouts are retried and reported by code', async () => {
+  serve(new TypeError('fetch failed'), { status: 200 });
+  assert.equal((await fetchUpstream('https://upstream.test/1', {}, testEnv())).status, 200);
+
+  const timeout = new DOMException('The operation was aborted due to timeout', 'TimeoutError');
+  serve(timeout, timeout, timeout);
+  await rejectsWith(fetchUpstream('https://upstream.test/1', {}, testEnv()), { code: 'timeout', status: 504 });
+});
+
+test('an empty bucket waits for a token when it comes soon enough, else fails fast', async () => {
+  const env = testEnv({ UPSTREAM_RATE_LIMIT: '1' });
+  serve();
+  await fetchUpstream('https://upstream.test/1', {}, env);
+
+  // One token a minute is longer than the default 5 second wait
+  await rejectsWith(fetchUpstream('https://upstream.test/2', {}, env), { code: 'rate_limited', retryAfter: 60 });
+  const calls = serve();
+  await fetchUpstream('https://upstream.test/2', {}, { ...env, UPSTREAM_MAX_WAIT_MS: '60000' });
+  assert.deepEqual(delays.at(-1), 60000);
+  assert.equal(calls.length, 1);
+});
@@ -0,0 +1,205 @@
+import { after, before, beforeEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'node:crypto';
+import { createServer } from 'node:http';
+
+import agent from '../index.js';
+import { fixtureKV, memoryKV } from './helpers.js';
+
+// Local HTTP sink standing in for a webhook receiver. Each request takes the next scripted
+// reply from `replies` (204 once they run out) and is recorded in `received`.
+const sink = { received: [], replies: [] };
+let server;
+
+before(async () => {
+  server = createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      sink.received.push({ path: req.url, headers: req.headers, body, at: Date.now() });
+      const { status = 204, headers = {} } = sink.replies.shift() || {};
+      res.writeHead(status, headers).end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  sink.url = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+let env;
+beforeEach(() => {
+  sink.received = [];
+  sink.replies = [];
+  env = {
+    API_KEY: 'key',
+    WATCHES: memoryKV(),
+    UPSTREAM_SOURCE: 'fixtures',
+    UPSTREAM_FIXTURES: fixtureKV('fighter'),
+    PARTY_REQUEST_DELAY_MS: '0',
+    WATCH_RETRY_DELAY_MS: '1',
+    WATCH_TIMEOUT_MS: '2000'
+  };
+});
+
+async function api(method, path, body) {
+  const response = await agent.fetch(new Request(`https://agent.test${path}`, {
+    method,
+    headers: { 'Authorization': 'Bearer key', 'Content-Type': 'application/json' },
+    body: body && JSON.stringify(body)
+  }), env, {});
+  return { status: response.status, body: await response.json() };
+}
+
+// Level the fighter up in the fixture store, as if the player had done it on D&D Beyond
+function levelUp() {
+  const entry = env.UPSTREAM_FIXTURES.entries.get('fixture:character:2000001');
+  const data = JSON.parse(entry.value);
+  data.classes[0].level += 1;
+  entry.value = JSON.stringify(data);
+}
+
+const SECRET = 'a-shared-secret-of-some-length';
+
+test('JSON deliveries are signed over the timestamp and body', async () => {
+  const { body: created } = await api('POST', '/watches', { characterId: 2000001, url: `${sink.url}/hook`, secret: SECRET });
+  assert.equal(created.secret, SECRET);
+
+  const { status, body } = await api('POST', `/watches/${created.watch.id}/test`);
+  assert.equal(status, 200);
+  assert.equal(body.delivery.attempts, 1);
+
+  const [request] = sink.received;
+  assert.equal(request.path, '/hook');
+  const timestamp = request.headers['x-watch-timestamp'];
+  const expected = createHmac('sha256', SECRET).update(`${timestamp}.${request.body}`).digest('hex');
+  assert.equal(request.headers['x-watch-signature'], `sha256=${expected}`);
+  assert.ok(Math.abs(Date.now() / 1000 - Number(timestamp)) < 60);
+
+  const payload = JSON.parse(request.body);
+  assert.equal(payload.type, 'character.events');
+  assert.equal(payload.watchId, created.watch.id);
+  assert.deepEqual(payload.character, { id: 2000001, name: 'Brannoc Ironhand', level: 5 });
+  assert.equal(payload.events[0].type, 'test');
+});
+
+test('watches created without a secret get a generated one that is never listed', async () => {
+  const { body: created } = await api('POST', '/watches', { characterId: 2000001, url: sink.url });
+  assert.match(created.secret, /^[0-9a-f]{48}$/);
+  const { body } = await api('GET', '/watches');
+  assert.equal(body.watches[0].signed, true);
+  assert.ok(!('secret' in body.watches[0]) && !('state' in body.watches[0]));
+});
+
+test('transient failures are retried until delivered', async () => {
+  const { body: created } = await api('POST', '/watches', { characterId: 2000001, url: sink.url });
+  sink.replies.push({ status: 503 }, { status: 408 }, { status: 200 });
+
+  const { status, body } = await api('POST', `/watches/${created.watch.id}/test`);
+  assert.equal(status, 200);
+  assert.deepEqual(body.delivery, { ok: true, attempts: 3, status: 200, error: null });
+  assert.equal(sink.received.length, 3);
+  // Every attempt is signed afresh with the same body
+  assert.equal(new Set(sink.received.map(request => request.body)).size, 1);
+});
+
+test('Retry-After is honoured between attempts', async () => {
+  const { body: created } = await api('POST', '/watches', { characterId: 2000001, url: sink.url });
+  sink.replies.push({ status: 429, headers: { 'Retry-After': '1' } });
+
+  await api('POST', `/watches/${created.watch.id}/test`);
+  const [first, second] = sink.received;
+  assert.ok(second.at - first.at >= 950, `retried after ${second.at - first.at} ms`);
+});
+
+test('other client errors are not retried', async () => {
+  const { body: created } = await api('POST', '/watches', { characterId: 2000001, url: sink.url });
+  sink.replies.push({ status: 410 });
+
+  const { status, body } = await api('POST', `/watches/${created.watch.id}/test`);
+  assert.equal(status, 502);
+  assert.deepEqual(body.delivery, { ok: false, attempts: 1, status: 410, error: 'HTTP 410' });
+});
+
+test('Discord watches post embeds without signature headers', async () => {
+  const { body: created } = await api('POST', '/watches', { characterId: 2000001, url: `${sink.url}/discord`, format: 'discord' });
+  assert.equal(created.secret, null);
+  assert.equal(created.watch.signed, false);
+
+  levelUp();
+  await agent.scheduled({}, env, {});
+
+  const [request] = sink.received;
+  assert.equal(request.headers['x-watch-signature'], undefined);
+  const payload = JSON.parse(request.body);
+  assert.equal(payload.username, 'D&D Beyond Agent');
+  assert.deepEqual(payload.embeds.map(embed => embed.title), ['Brannoc Ironhand: Reached level 6']);
+  assert.equal(payload.embeds[0].color, 0x27ae60);
+  assert.equal(payload.embeds[0].footer.text, 'Level 6 · character 2000001');
+});
+
+test('Discord webhook URLs are detected and their token masked', async () => {
+  const url = 'https://discord.com/api/webhooks/123/secret-token';
+  const { body } = await api('POST', '/watches', { characterId: 2000001, url });
+  assert.equal(body.watch.format, 'discord');
+  assert.equal(body.watch.url, 'https://discord.com/api/webhooks/123/…');
+});
+
+test('the cron check only notifies on changes', async () => {
+  const { body: created } = await api('POST', '/watches', { characterId: 2000001, url: sink.url, events: ['level-up'] });
+
+  await agent.scheduled({}, env, {});
+  assert.equal(sink.received.length, 0);
+
+  levelUp();
+  await agent.scheduled({}, env, {});
+  assert.equal(sink.received.length, 1);
+  assert.deepEqual(JSON.parse(sink.received[0].body).events, [{ type: 'level-up', from: 5, to: 6, summary: 'Reached level 6' }]);
+
+  const { body } = await api('GET', `/watches/${created.watch.id}`);
+  assert.deepEqual(body.watch.lastDelivery.events, ['level-up']);
+  assert.equal(body.watch.lastDelivery.ok, true);
+});
+
+test('undelivered notifications become dead letters that keep their retention on retry', async () => {
+  await api('POST', '/watches', { characterId: 2000001, url: sink.url });
+  sink.replies.push({ status: 500 }, { status: 500 }, { status: 500 });
+  levelUp();
+  await agent.scheduled({}, env, {});
+
+  let { body } = await api('GET', '/watches/dead-letters');
+  assert.equal(body.deadLetters.length, 1);
+  const [deadLetter] = body.deadLetters;
+  assert.equal(deadLetter.attempts, 3);
+  assert.equal(deadLetter.status, 500);
+
+  const key = `deadletter:${deadLetter.id}`;
+  assert.equal(env.WATCHES.entries.get(key).options.expirationTtl, 30 * 86400);
+
+  // A failed retry adds its attempts and renews the retention
+  sink.replies.push({ status: 500 }, { status: 500 }, { status: 500 });
+  let response = await api('POST', `/watches/dead-letters/${deadLetter.id}/retry`);
+  assert.equal(response.status, 502);
+  const stored = env.WATCHES.entries.get(key);
+  assert.equal(stored.options.expirationTtl, 30 * 86400);
+  assert.equal(JSON.parse(stored.value).attempts, 6);
+
+  // The same payload is redelivered, and the dead letter goes once it arrives
+  response = await api('POST', `/watches/dead-letters/${deadLetter.id}/retry`);
+  assert.equal(response.status, 200);
+  assert.equal(sink.received.at(-1).body, sink.received[0].body);
+  ({ body } = await api('GET', '/watches/dead-letters'));
+  assert.deepEqual(body.deadLetters, []);
+  assert.equal((await api('DELETE', `/watches/dead-letters/${deadLetter.id}`)).status, 404);
+});
+
+test('dead letters can be discarded', async () => {
+  await api('POST', '/watches', { characterId: 2000001, url: sink.url });
+  sink.replies.push({ status: 404 });
+  levelUp();
+  await agent.scheduled({}, env, {});
+
+  const { body } = await api('GET', '/watches/dead-letters');
+  assert.equal((await api('DELETE', `/watches/dead-letters/${body.deadLetters[0].id}`)).status, 200);
+  assert.equal(env.WATCHES.entries.size, 1);
+});